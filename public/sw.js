@@ -0,0 +1,110 @@
+// Offline support: the app shell and avatars are cached here. API responses are not; the app
+// keeps those in IndexedDB itself so it can revalidate them and respect rate limits.
+
+const SHELL_CACHE = 'shell-v1'
+const AVATAR_CACHE = 'avatars-v1'
+const CACHES = [SHELL_CACHE, AVATAR_CACHE]
+const MAX_AVATARS = 500
+
+const SHELL_FILES = ['/', '/manifest.webmanifest', '/github.svg', '/icon.svg']
+
+// Sets self.PRECACHE_FILES to the hashed /assets/ files of this build (written by vite.config.js)
+importScripts('/precache-manifest.js')
+const ASSET_FILES = self.PRECACHE_FILES || []
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll([...SHELL_FILES, ...ASSET_FILES]))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Bundles of earlier builds keep their own names, so they pile up in the shell cache unless dropped
+const trimStaleAssets = async () => {
+  const cache = await caches.open(SHELL_CACHE)
+  const keys = await cache.keys()
+  await Promise.all(keys
+    .filter(request => {
+      const { pathname } = new URL(request.url)
+      return pathname.startsWith('/assets/') && !ASSET_FILES.includes(pathname)
+    })
+    .map(request => cache.delete(request)))
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !CACHES.includes(key)).map(key => caches.delete(key))))
+      .then(trimStaleAssets)
+      .then(() => self.clients.claim())
+  )
+})
+
+// Drop the oldest entries once a cache grows past `max`
+const trimCache = async (name, max) => {
+  const cache = await caches.open(name)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)))
+}
+
+// Every route is the same single page, so navigations go to the network and fall back to the
+// cached shell
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      await cache.put('/', response.clone())
+    }
+    return response
+  } catch {
+    return (await caches.match('/')) || Response.error()
+  }
+}
+
+// Built assets have content hashes in their names, so a cached copy never goes stale
+const handleAsset = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Serve avatars from the cache and refresh them in the background. They are fetched with CORS
+// (the avatar host allows it) because opaque responses count for megabytes each against quota.
+const handleAvatar = async (event) => {
+  const cache = await caches.open(AVATAR_CACHE)
+  const cached = await cache.match(event.request.url)
+  const refresh = fetch(event.request.url, { mode: 'cors', credentials: 'omit' })
+    .then(async (response) => {
+      if (response.ok) {
+        await cache.put(event.request.url, response.clone())
+        await trimCache(AVATAR_CACHE, MAX_AVATARS)
+      }
+      return response
+    })
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+  return refresh.catch(() => Response.error())
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname))) {
+    event.respondWith(handleAsset(request))
+  } else if (url.hostname === 'avatars.githubusercontent.com') {
+    event.respondWith(handleAvatar(event))
+  }
+})
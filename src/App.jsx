@@ -1,579 +1,422 @@
-import { useState, useEffect, useCallback } from 'react'
-import { Search, Star, GitFork, ExternalLink, TrendingUp, Calendar, Filter, FileText, ChevronDown, ChevronUp, AlertCircle, Key } from 'lucide-react'
-
-// Simple delay utility
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
-
-// Cache utilities
-const getCache = (key) => {
-  try {
-    const cached = localStorage.getItem(`github-trends-${key}`)
-    if (!cached) return null
-    const { data, timestamp } = JSON.parse(cached)
-    // Cache expires after 5 minutes
-    if (Date.now() - timestamp > 5 * 60 * 1000) {
-      localStorage.removeItem(`github-trends-${key}`)
-      return null
-    }
-    return data
-  } catch {
-    return null
-  }
-}
+import { useState, useEffect, useCallback, useRef, lazy, Suspense } from 'react'
+import AppHeader from './components/AppHeader'
+import RepoRoute from './components/RepoRoute'
+import ResultsBar from './components/ResultsBar'
+import RateLimitBanner from './components/RateLimitBanner'
+import OfflineBanner from './components/OfflineBanner'
+import TokenPanel from './components/TokenPanel'
+import CacheSettings from './components/CacheSettings'
+import FilterBar from './components/FilterBar'
+import WatchlistView from './components/WatchlistView'
+import TrendingView from './components/TrendingView'
+import AnalyticsDashboard from './components/AnalyticsDashboard'
+import CommandPalette from './components/CommandPalette'
+import ShortcutsHelp from './components/ShortcutsHelp'
+import AlertRulesPanel from './components/AlertRulesPanel'
+import CompareView from './components/CompareView'
+import CompareTray from './components/CompareTray'
+import { useRateLimits } from './hooks/useRateLimits'
+import { useUrlState } from './hooks/useUrlState'
+import { useDebouncedValue } from './hooks/useDebouncedValue'
+import { useLanguages } from './hooks/useLanguages'
+import { useWatchlist } from './hooks/useWatchlist'
+import { useHotkeys } from './hooks/useHotkeys'
+import { useVisitChanges } from './hooks/useVisitChanges'
+import { useAlertRules } from './hooks/useAlertRules'
+import { useRepoDetails } from './hooks/useRepoDetails'
+import { useTrendingRepos } from './hooks/useTrendingRepos'
+import { useTheme } from './hooks/useTheme'
+import { useScrollAnchor } from './hooks/useScrollAnchor'
+import { useRouteRepo } from './hooks/useRouteRepo'
+import { useRepoSelection } from './hooks/useRepoSelection'
+import { useAlertRefresh, ALERT_REFRESH_MINUTES } from './hooks/useAlertRefresh'
+import { usePaletteCommands } from './hooks/usePaletteCommands'
+import { setAuthToken } from './lib/github'
+import { countLanguages } from './lib/languages'
+import { loadStoredToken, storeToken } from './lib/auth'
+import { sortRepos, loadViewPrefs, saveViewPrefs } from './lib/sorting'
+import { collectionsContaining, DEFAULT_COLLECTION_ID } from './lib/watchlist'
+import { toggleCompared, MAX_COMPARED } from './lib/compare'
+import { formatDate } from './lib/format'
+import { t } from './lib/i18n'
 
-const setCache = (key, data) => {
-  try {
-    localStorage.setItem(`github-trends-${key}`, JSON.stringify({ data, timestamp: Date.now() }))
-  } catch {
-    // Ignore cache errors
-  }
-}
+// Markdown rendering and syntax highlighting only load once a README is opened
+const ReadmeViewer = lazy(() => import('./components/ReadmeViewer'))
 
 function App() {
-  const [repositories, setRepositories] = useState([])
-  const [repoDetails, setRepoDetails] = useState({})
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [rateLimited, setRateLimited] = useState(false)
-  const [searchQuery, setSearchQuery] = useState('')
-  const [languageFilter, setLanguageFilter] = useState('')
-  const [timeRange, setTimeRange] = useState('daily')
-  const [expandedRepo, setExpandedRepo] = useState(null)
-  const [githubToken, setGithubToken] = useState(import.meta.env.VITE_GITHUB_TOKEN || '')
+  // Filters, the expanded card and the /repo/:owner/:name route live in the URL so they can be shared
+  const [urlState, updateUrlState] = useUrlState()
+  const { timeRange, languages: languageFilter, query: searchQuery, expanded: expandedRepo, filters: advancedFilters } = urlState
+  // With API search on, the search box text becomes part of the query once typing pauses
+  const debouncedQuery = useDebouncedValue(searchQuery, 500)
+  const apiText = advancedFilters.apiSearch ? debouncedQuery : ''
+  const { languages, colorOf } = useLanguages()
+  const watchlist = useWatchlist()
+  // A token saved in the browser wins over one baked into the build
+  const [storedToken] = useState(loadStoredToken)
+  const [githubToken, setGithubToken] = useState(storedToken.token || import.meta.env.VITE_GITHUB_TOKEN || '')
+  const [persistToken, setPersistToken] = useState(storedToken.persist)
   const [showTokenInput, setShowTokenInput] = useState(false)
+  const { preference: themePreference, setPreference: setThemePreference } = useTheme()
+  const [showSettings, setShowSettings] = useState(false)
+  const [viewPrefs, setViewPrefs] = useState(loadViewPrefs)
+  const [showPalette, setShowPalette] = useState(false)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const searchInputRef = useRef(null)
+  const [readmeRepo, setReadmeRepo] = useState(null)
+  const alertRules = useAlertRules()
+  const [showAlerts, setShowAlerts] = useState(false)
+  const { limits, limited, now } = useRateLimits()
 
-  // Save token to localStorage when changed
   useEffect(() => {
-    if (githubToken) {
-      localStorage.setItem('github-token', githubToken)
-    } else {
-      localStorage.removeItem('github-token')
-    }
+    setAuthToken(githubToken)
   }, [githubToken])
 
-  // Get headers with optional auth token
-  const getHeaders = () => {
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json'
-    }
-    if (githubToken) {
-      headers['Authorization'] = `token ${githubToken}`
-    }
-    return headers
+  // Only tokens the user entered are stored, and only once they've been validated
+  const saveToken = (token, persist) => {
+    storeToken(token, persist)
+    setGithubToken(token)
+    setPersistToken(persist)
   }
-  const fetchReadme = async (owner, repo) => {
-    // Check cache first
-    const cacheKey = `readme-${owner}-${repo}`
-    const cached = getCache(cacheKey)
-    if (cached) return cached
-    
-    try {
-      const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/readme`,
-        { headers: getHeaders() }
-      )
-      
-      if (response.status === 403 || response.status === 429) {
-        setRateLimited(true)
-        return null
-      }
-      
-      if (!response.ok) {
-        return null
-      }
-      
-      const data = await response.json()
-      const decoded = atob(data.content.replace(/\n/g, ''))
-      setCache(cacheKey, decoded)
-      return decoded
-    } catch {
-      return null
-    }
+  const clearToken = () => {
+    storeToken('', false)
+    setGithubToken(import.meta.env.VITE_GITHUB_TOKEN || '')
   }
 
-  // Fetch repo info with rate limit handling
-  const fetchRepoInfo = async (owner, repo) => {
-    // Check cache first
-    const cacheKey = `info-${owner}-${repo}`
-    const cached = getCache(cacheKey)
-    if (cached) return cached
-    
-    try {
-      const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}`,
-        { headers: getHeaders() }
-      )
-      
-      if (response.status === 403 || response.status === 429) {
-        setRateLimited(true)
-        return null
-      }
-      
-      if (!response.ok) {
-        return null
-      }
-      
-      const data = await response.json()
-      setCache(cacheKey, data)
-      return data
-    } catch {
-      return null
-    }
-  }
+  useEffect(() => {
+    saveViewPrefs(viewPrefs)
+  }, [viewPrefs])
 
-  // Extract meaningful description from README
-  const extractDescription = (readme, existingDescription) => {
-    if (!readme) return existingDescription || 'No description available'
-    
-    // Remove HTML tags first
-    let cleanText = readme
-      .replace(/<[^>]*>/g, ' ') // Remove HTML tags
-      .replace(/#+ /g, '') // Remove markdown headers
-      .replace(/\*\*/g, '') // Remove bold
-      .replace(/\*/g, '') // Remove italic
-      .replace(/`/g, '') // Remove code
-      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Replace links with just text
-      .replace(/!\[([^\]]*)\]\([^)]+\)/g, '') // Remove images
-      .replace(/\n+/g, ' ') // Replace newlines with spaces
-      .replace(/\s+/g, ' ') // Collapse multiple spaces
-      .trim()
-    
-    // Get first 1-2 sentences (up to 200 chars)
-    const sentences = cleanText.split(/[.!?]+/)
-    let desc = ''
-    for (let sentence of sentences) {
-      sentence = sentence.trim()
-      if (sentence.length > 20 && !sentence.includes('==') && !sentence.includes('---')) {
-        desc += sentence + '. '
-        if (desc.length > 200) break
-      }
-    }
-    
-    desc = desc.trim()
-    
-    // If README extraction is too short or empty, fall back to existing description
-    if (desc.length < 30 && existingDescription) {
-      return existingDescription
-    }
-    
-    return desc || existingDescription || 'No description available'
-  }
+  const { repoDetails, requestDetails, loadDetailsBatch, resetDetails } = useRepoDetails()
+  const {
+    repositories,
+    starDeltas,
+    loading,
+    error,
+    cachedList,
+    visitListKey,
+    hasMore,
+    loadingMore,
+    loadMoreError,
+    fetchTrendingRepos,
+    loadMore
+  } = useTrendingRepos({
+    timeRange,
+    languages: languageFilter,
+    filters: advancedFilters,
+    text: apiText,
+    token: githubToken,
+    details: { loadDetailsBatch, resetDetails }
+  })
+  const visitChanges = useVisitChanges(visitListKey, repositories)
+  // Later pages are ranked in among the repos already shown; keep the one being read where it is
+  const captureScrollAnchor = useScrollAnchor(repositories)
+  const loadMoreAnchored = useCallback(
+    () => loadMore({ beforeUpdate: captureScrollAnchor }),
+    [loadMore, captureScrollAnchor]
+  )
 
-  // Get repo details with sequential fetching to avoid rate limits
-  const fetchRepoDetailsWithDelay = async (owner, repo, delayMs = 0) => {
-    if (delayMs > 0) {
-      await delay(delayMs)
-    }
-    
-    try {
-      const readme = await fetchReadme(owner, repo)
-      const repoInfo = await fetchRepoInfo(owner, repo)
-      
-      const enhancedDesc = extractDescription(readme, repoInfo?.description)
-      
-      return {
-        enhancedDescription: enhancedDesc,
-        topics: repoInfo?.topics || [],
-        readmeAvailable: !!readme
-      }
-    } catch {
-      return {
-        enhancedDescription: 'No description available',
-        topics: [],
-        readmeAvailable: false
-      }
-    }
-  }
+  const { rules: activeRules, permission: notificationPermission } = alertRules
+  const refreshInBackground = useCallback(() => fetchTrendingRepos({ background: true }), [fetchTrendingRepos])
+  const openNotifiedRepo = useCallback(
+    (repo) => updateUrlState({ repo: repo.full_name, expanded: repo.full_name }),
+    [updateUrlState]
+  )
+  useAlertRefresh({
+    rules: activeRules,
+    permission: notificationPermission,
+    refresh: refreshInBackground,
+    onOpen: openNotifiedRepo
+  })
 
-  const fetchTrendingRepos = useCallback(async () => {
-    setLoading(true)
-    setError(null)
-    setRateLimited(false)
-    
-    try {
-      const date = new Date()
-      let dateString
-      
-      switch (timeRange) {
-        case 'daily':
-          date.setDate(date.getDate() - 1)
-          break
-        case 'weekly':
-          date.setDate(date.getDate() - 7)
-          break
-        case 'monthly':
-          date.setMonth(date.getMonth() - 1)
-          break
-        default:
-          date.setDate(date.getDate() - 1)
-      }
-      
-      dateString = date.toISOString().split('T')[0]
-      
-      let query = `created:>${dateString}`
-      if (languageFilter) {
-        query += `+language:${languageFilter}`
-      }
-      
-      const response = await fetch(
-        `https://api.github.com/search/repositories?q=${query}&sort=stars&order=desc&per_page=30`,
-        { headers: getHeaders() }
-      )
-      
-      if (response.status === 403 || response.status === 429) {
-        setRateLimited(true)
-        if (!githubToken) {
-          throw new Error('GitHub API rate limit exceeded. Add a token for 5000 requests/hour, or wait 1 minute.')
-        }
-        throw new Error('GitHub API rate limit exceeded. Please wait a minute and try again.')
-      }
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch repositories')
-      }
-      
-      const data = await response.json()
-      const repos = data.items || []
-      setRepositories(repos)
-      
-      // Fetch enhanced details sequentially with delays to avoid rate limits
-      const details = {}
-      const topRepos = repos.slice(0, 6) // Reduced to 6 to minimize API calls
-      
-      for (let i = 0; i < topRepos.length; i++) {
-        const repo = topRepos[i]
-        const repoDetail = await fetchRepoDetailsWithDelay(
-          repo.owner.login, 
-          repo.name, 
-          i * 100 // 100ms delay between each request
-        )
-        details[repo.id] = repoDetail
-      }
-      
-      setRepoDetails(details)
-      
-    } catch (err) {
-      setError(err.message)
-    } finally {
-      setLoading(false)
-    }
-  }, [timeRange, languageFilter])
+  const closeReadme = useCallback(() => setReadmeRepo(null), [])
 
-  useEffect(() => {
-    fetchTrendingRepos()
-  }, [fetchTrendingRepos])
+  // Picking a preset window drops any custom date range
+  const setTimeRange = (range) => updateUrlState({ timeRange: range, filters: { ...advancedFilters, from: '', to: '' } })
+  const applyAdvancedFilters = (filters) => updateUrlState({ filters })
+  const setLanguageFilter = (selected) => updateUrlState({ languages: selected })
+  // Typing shouldn't leave a history entry per keystroke
+  const setSearchQuery = (query) => updateUrlState({ query }, { replace: true })
+  const toggleExpanded = (fullName) => updateUrlState({ expanded: expandedRepo === fullName ? null : fullName })
+  const openRepoByName = (fullName) => updateUrlState({ repo: fullName, expanded: fullName })
+  const openRepo = (repo) => openRepoByName(repo.full_name)
+  const setView = (view) => updateUrlState({ view, repo: null })
+  const closeRepo = () => updateUrlState({ repo: null })
+  // Ticking boxes shouldn't fill the history; opening the comparison does add an entry
+  const toggleCompare = (fullName) => updateUrlState({ compare: toggleCompared(urlState.compare, fullName) }, { replace: true })
+  const clearCompare = () => updateUrlState({ compare: [] }, { replace: true })
+  const compareFull = urlState.compare.length >= MAX_COMPARED
+  // Star gains in the window are only known for repos in the trending list
+  const comparedDeltas = Object.fromEntries(repositories
+    .filter(repo => urlState.compare.includes(repo.full_name) && starDeltas[repo.id])
+    .map(repo => [repo.full_name, starDeltas[repo.id]]))
 
-  const getDescription = (repo) => {
-    const details = repoDetails[repo.id]
-    if (details?.enhancedDescription) {
-      return details.enhancedDescription
-    }
-    return repo.description || 'No description available'
-  }
+  // The /repo/:owner/:name route, fetched when the repo isn't in the trending list
+  const { routeRepo, routeError } = useRouteRepo(urlState.repo, repositories)
 
-  const filteredRepos = repositories.filter(repo => 
+  // API search already matched the text server-side
+  const filteredRepos = advancedFilters.apiSearch ? repositories : repositories.filter(repo => 
     repo.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
     (repo.description && repo.description.toLowerCase().includes(searchQuery.toLowerCase())) ||
     repo.owner.login.toLowerCase().includes(searchQuery.toLowerCase())
   )
 
-  const formatNumber = (num) => {
-    if (num >= 1000) {
-      return (num / 1000).toFixed(1) + 'k'
+  const newCount = filteredRepos.filter(repo => visitChanges[repo.id]?.isNew).length
+  const unseenRepos = viewPrefs.hideSeen ? filteredRepos.filter(repo => !visitChanges[repo.id]?.seen) : filteredRepos
+  const sortedRepos = sortRepos(unseenRepos, viewPrefs)
+  const listReady = !loading && !error && urlState.view === 'trending'
+
+  // j/k move through whatever list is on screen; nothing is selectable on the other views
+  const { selectedRepoId, selectedRepo, moveSelection } = useRepoSelection(listReady && !urlState.repo ? sortedRepos : [])
+
+  const toggleBookmark = (repo) => {
+    if (collectionsContaining(watchlist.watchlist, repo.id).includes(DEFAULT_COLLECTION_ID)) {
+      watchlist.removeBookmark(DEFAULT_COLLECTION_ID, repo.id)
+    } else {
+      watchlist.addBookmark(DEFAULT_COLLECTION_ID, repo)
     }
-    return num.toString()
   }
 
+  useHotkeys({
+    'mod+k': () => setShowPalette(true),
+    '?': () => setShowShortcuts(true),
+    '/': () => searchInputRef.current?.focus(),
+    j: () => moveSelection(1),
+    k: () => moveSelection(-1),
+    Enter: () => selectedRepo && window.open(selectedRepo.html_url, '_blank', 'noopener,noreferrer'),
+    // Only cards expand; the list and table have nothing to show beyond the row
+    o: () => viewPrefs.view === 'grid' && selectedRepo && toggleExpanded(selectedRepo.full_name),
+    b: () => selectedRepo && toggleBookmark(selectedRepo)
+  }, !showPalette && !showShortcuts && !readmeRepo)
+
+  const closePalette = useCallback(() => setShowPalette(false), [])
+  const closeShortcuts = useCallback(() => setShowShortcuts(false), [])
+
+  const { commands: paletteCommands, commandsFor: paletteCommandsFor } = usePaletteCommands(showPalette, {
+    repositories,
+    languages,
+    actions: {
+      setTimeRange,
+      setView,
+      setThemePreference,
+      setLanguageFilter,
+      openRepo,
+      openRepoByName,
+      showToken: () => setShowTokenInput(true),
+      showSettings: () => setShowSettings(true),
+      showAlerts: () => setShowAlerts(true),
+      showShortcuts: () => setShowShortcuts(true)
+    }
+  })
+
+  const languageCounts = countLanguages(repositories)
+
+  const windowLabel = advancedFilters.from
+    ? t('window.since', { date: formatDate(`${advancedFilters.from}T00:00:00`) })
+    : t(`window.${timeRange}`)
+
   return (
     <div className="min-h-screen bg-slate-900 text-slate-100">
-      {/* Header */}
-      <header className="border-b border-slate-700 bg-slate-800/50 backdrop-blur-sm sticky top-0 z-10">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
-          <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg">
-                <TrendingUp className="w-6 h-6 text-white" />
-              </div>
-              <div>
-                <h1 className="text-xl font-bold bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
-                  GitHub Trends
-                </h1>
-                <p className="text-xs text-slate-400">Discover trending repositories</p>
-              </div>
-            </div>
-            
-            {/* Search Bar */}
-            <div className="flex items-center gap-2">
-              <div className="relative w-full sm:w-64">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-5 h-5" />
-                <input
-                  type="text"
-                  placeholder="Search repositories..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                />
-              </div>
-              <button
-                onClick={() => setShowTokenInput(!showTokenInput)}
-                className={`p-2 rounded-lg transition-colors ${githubToken ? 'text-green-400 bg-green-500/10' : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'}`}
-                title={githubToken ? 'GitHub token set (5000 req/hr)' : 'Add GitHub token for 5000 req/hr'}
-              >
-                <Key className="w-5 h-5" />
-              </button>
-            </div>
-          </div>
-        </div>
-      </header>
+      <AppHeader
+        view={urlState.view}
+        onViewChange={setView}
+        searchInputRef={searchInputRef}
+        searchQuery={searchQuery}
+        onSearchChange={setSearchQuery}
+        hasToken={!!githubToken}
+        hasRules={activeRules.length > 0}
+        showToken={showTokenInput}
+        onToggleToken={() => setShowTokenInput(!showTokenInput)}
+        showAlerts={showAlerts}
+        onToggleAlerts={() => setShowAlerts(!showAlerts)}
+        showSettings={showSettings}
+        onToggleSettings={() => setShowSettings(!showSettings)}
+        themePreference={themePreference}
+        onThemeChange={setThemePreference}
+      />
 
       {/* Filters */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
         {/* Token Input */}
         {showTokenInput && (
-          <div className="mb-4 bg-slate-800 border border-slate-700 rounded-lg p-4">
-            <label className="block text-sm font-medium text-slate-300 mb-2">
-              GitHub Personal Access Token (optional)
-            </label>
-            <div className="flex gap-2">
-              <input
-                type="password"
-                placeholder="ghp_xxxxxxxxxxxx"
-                value={githubToken}
-                onChange={(e) => setGithubToken(e.target.value)}
-                className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
-              />
-              <button
-                onClick={() => {
-                  setGithubToken('')
-                  setShowTokenInput(false)
-                }}
-                className="px-4 py-2 text-slate-400 hover:text-slate-200"
-              >
-                Clear
-              </button>
-            </div>
-            <p className="mt-2 text-xs text-slate-400">
-              Without token: 60 requests/hour. With token: 5000 requests/hour.
-              <a 
-                href="https://github.com/settings/tokens/new" 
-                target="_blank" 
-                rel="noopener noreferrer"
-                className="text-purple-400 hover:text-purple-300 ml-1"
-              >
-                Create token →
-              </a>
-            </p>
-          </div>
+          <TokenPanel
+            token={githubToken}
+            persist={persistToken}
+            onSave={saveToken}
+            onClear={clearToken}
+          />
+        )}
+
+        {showSettings && <CacheSettings />}
+
+        {showAlerts && (
+          <AlertRulesPanel
+            rules={activeRules}
+            saveError={alertRules.saveError}
+            permission={notificationPermission}
+            onRequestPermission={alertRules.requestPermission}
+            onAdd={alertRules.addRule}
+            onRemove={alertRules.removeRule}
+            refreshMinutes={ALERT_REFRESH_MINUTES}
+          />
+        )}
+
+        {cachedList && !urlState.repo && urlState.view !== 'watchlist' && (
+          <OfflineBanner {...cachedList} onRetry={fetchTrendingRepos} />
         )}
 
         {/* Rate Limit Warning */}
-        {rateLimited && (
-          <div className="mb-4 bg-amber-500/10 border border-amber-500/50 rounded-lg p-4 flex items-center gap-3">
-            <AlertCircle className="w-5 h-5 text-amber-400 flex-shrink-0" />
-            <div className="flex-1">
-              <p className="text-amber-400 font-medium">
-                GitHub API rate limit reached (60 req/hr without token)
-              </p>
-              <p className="text-amber-300/80 text-sm">
-                {!githubToken ? 'Add a GitHub token above for 5000 requests/hour, or wait 1 minute.' : 'Please wait 1 minute for the rate limit to reset.'}
-              </p>
+        <RateLimitBanner
+          limits={limits}
+          limited={limited}
+          now={now}
+          hasToken={!!githubToken}
+          onAddToken={() => setShowTokenInput(true)}
+        />
+
+        {urlState.repo ? (
+          <RepoRoute
+            repo={routeRepo}
+            error={routeError}
+            fromView={urlState.view}
+            onBack={closeRepo}
+            details={repoDetails}
+            starDeltas={starDeltas}
+            visitChanges={visitChanges}
+            windowLabel={windowLabel}
+            colorOf={colorOf}
+            onOpen={openRepo}
+            onVisible={requestDetails}
+            onViewReadme={setReadmeRepo}
+            watchlist={watchlist}
+            compare={urlState.compare}
+            compareFull={compareFull}
+            onToggleCompare={toggleCompare}
+          />
+        ) : urlState.view === 'watchlist' ? (
+          <WatchlistView watchlist={watchlist} onOpen={openRepoByName} />
+        ) : urlState.view === 'compare' ? (
+          <CompareView
+            names={urlState.compare}
+            starDeltas={comparedDeltas}
+            windowLabel={windowLabel}
+            onRemove={toggleCompare}
+            onOpen={openRepoByName}
+          />
+        ) : (
+          <>
+          <FilterBar
+            timeRange={timeRange}
+            onTimeRangeChange={setTimeRange}
+            languages={languageFilter}
+            onLanguagesChange={setLanguageFilter}
+            languageOptions={languages}
+            languageCounts={languageCounts}
+            colorOf={colorOf}
+            filters={advancedFilters}
+            onFiltersChange={applyAdvancedFilters}
+          />
+
+          {urlState.view === 'trending' && (
+            <ResultsBar
+              repos={sortedRepos}
+              newCount={newCount}
+              basicInfo={limited.includes('core')}
+              prefs={viewPrefs}
+              onPrefsChange={setViewPrefs}
+              details={repoDetails}
+              languages={languageFilter}
+              windowLabel={windowLabel}
+            />
+          )}
+
+          {/* Loading State */}
+          {loading && (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
             </div>
-            {!githubToken && (
+          )}
+
+          {/* Error State */}
+          {error && (
+            <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-center">
+              <p className="text-red-400">{error}</p>
               <button
-                onClick={() => setShowTokenInput(true)}
-                className="px-3 py-1 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 transition-colors"
+                onClick={fetchTrendingRepos}
+                className="mt-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
               >
-                Add Token
+                {t('app.retry')}
               </button>
-            )}
-          </div>
-        )}
-
-        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mb-6">
-          <div className="flex items-center gap-4">
-            <div className="flex items-center gap-2">
-              <Calendar className="w-4 h-4 text-slate-400" />
-              <span className="text-sm text-slate-400">Time Range:</span>
             </div>
-            <div className="flex bg-slate-800 rounded-lg p-1">
-              {['daily', 'weekly', 'monthly'].map((range) => (
-                <button
-                  key={range}
-                  onClick={() => setTimeRange(range)}
-                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
-                    timeRange === range
-                      ? 'bg-purple-500 text-white'
-                      : 'text-slate-400 hover:text-slate-200'
-                  }`}
-                >
-                  {range.charAt(0).toUpperCase() + range.slice(1)}
-                </button>
-              ))}
-            </div>
-          </div>
-          
-          <div className="flex items-center gap-2">
-            <Filter className="w-4 h-4 text-slate-400" />
-            <select
-              value={languageFilter}
-              onChange={(e) => setLanguageFilter(e.target.value)}
-              className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
-            >
-              <option value="">All Languages</option>
-              <option value="javascript">JavaScript</option>
-              <option value="typescript">TypeScript</option>
-              <option value="python">Python</option>
-              <option value="java">Java</option>
-              <option value="go">Go</option>
-              <option value="rust">Rust</option>
-              <option value="cpp">C++</option>
-              <option value="c">C</option>
-              <option value="csharp">C#</option>
-              <option value="php">PHP</option>
-              <option value="ruby">Ruby</option>
-              <option value="swift">Swift</option>
-              <option value="kotlin">Kotlin</option>
-            </select>
-          </div>
-        </div>
-
-        {/* Results Count */}
-        <div className="mb-4">
-          <p className="text-slate-400 text-sm">
-            Showing {filteredRepos.length} trending repositories
-            {rateLimited && ' (basic info only)'}
-          </p>
-        </div>
-
-        {/* Loading State */}
-        {loading && (
-          <div className="flex items-center justify-center py-12">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
-          </div>
+          )}
+
+          {/* Analytics */}
+          {!loading && !error && urlState.view === 'analytics' && (
+            <AnalyticsDashboard
+              repos={filteredRepos}
+              details={repoDetails}
+              colorOf={colorOf}
+              timeRange={timeRange}
+              filters={advancedFilters}
+              languages={languageFilter}
+              text={apiText}
+              periodLabel={windowLabel}
+              onSelectTopic={(topic) => updateUrlState({ view: 'trending', filters: { ...advancedFilters, topic } })}
+              onSelectLanguage={(language) => updateUrlState({ view: 'trending', languages: [language] })}
+            />
+          )}
+
+          {/* Repositories */}
+          {listReady && (
+            <TrendingView
+              repos={sortedRepos}
+              noResults={filteredRepos.length === 0}
+              allSeen={filteredRepos.length > 0 && sortedRepos.length === 0}
+              prefs={viewPrefs}
+              onPrefsChange={setViewPrefs}
+              details={repoDetails}
+              starDeltas={starDeltas}
+              visitChanges={visitChanges}
+              windowLabel={windowLabel}
+              colorOf={colorOf}
+              selectedId={selectedRepoId}
+              expandedRepo={expandedRepo}
+              onToggleExpand={toggleExpanded}
+              onOpen={openRepo}
+              onVisible={requestDetails}
+              onViewReadme={setReadmeRepo}
+              watchlist={watchlist}
+              compare={urlState.compare}
+              compareFull={compareFull}
+              onToggleCompare={toggleCompare}
+              hasMore={hasMore}
+              loadingMore={loadingMore}
+              loadMoreError={loadMoreError}
+              onLoadMore={loadMoreAnchored}
+            />
+          )}
+          </>
         )}
 
-        {/* Error State */}
-        {error && (
-          <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-center">
-            <p className="text-red-400">{error}</p>
-            <button
-              onClick={fetchTrendingRepos}
-              className="mt-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
-            >
-              Retry
-            </button>
-          </div>
+        {readmeRepo && (
+          <Suspense fallback={null}>
+            <ReadmeViewer repo={readmeRepo} onClose={closeReadme} />
+          </Suspense>
         )}
 
-        {/* Repository Grid */}
-        {!loading && !error && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {filteredRepos.map((repo) => (
-              <div
-                key={repo.id}
-                className="repo-card bg-slate-800 border border-slate-700 rounded-xl p-5 hover:border-purple-500/50"
-              >
-                <div className="flex items-start justify-between mb-3">
-                  <div className="flex items-center gap-3">
-                    <img
-                      src={repo.owner.avatar_url}
-                      alt={repo.owner.login}
-                      className="w-10 h-10 rounded-full border-2 border-slate-600"
-                    />
-                    <div>
-                      <h3 className="font-semibold text-slate-100 text-sm">
-                        {repo.owner.login}/{repo.name}
-                      </h3>
-                      <p className="text-xs text-slate-400">
-                        {new Date(repo.created_at).toLocaleDateString()}
-                      </p>
-                    </div>
-                  </div>
-                  <a
-                    href={repo.html_url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="p-2 text-slate-400 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors"
-                  >
-                    <ExternalLink className="w-4 h-4" />
-                  </a>
-                </div>
-                
-                <div className="mb-3">
-                  <p className={`text-slate-300 text-sm mb-2 ${expandedRepo === repo.id ? '' : 'line-clamp-3'}`}>
-                    {getDescription(repo)}
-                  </p>
-                  {repoDetails[repo.id]?.enhancedDescription?.length > 150 && (
-                    <button
-                      onClick={() => setExpandedRepo(expandedRepo === repo.id ? null : repo.id)}
-                      className="text-xs text-purple-400 hover:text-purple-300 flex items-center gap-1"
-                    >
-                      {expandedRepo === repo.id ? (
-                        <><ChevronUp className="w-3 h-3" /> Show less</>
-                      ) : (
-                        <><ChevronDown className="w-3 h-3" /> Show more</>
-                      )}
-                    </button>
-                  )}
-                </div>
-                
-                {/* Topics/Tags */}
-                {repoDetails[repo.id]?.topics && repoDetails[repo.id].topics.length > 0 && (
-                  <div className="flex flex-wrap gap-1 mb-3">
-                    {repoDetails[repo.id].topics.slice(0, 4).map((topic) => (
-                      <span
-                        key={topic}
-                        className="px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded-full"
-                      >
-                        {topic}
-                      </span>
-                    ))}
-                    {repoDetails[repo.id].topics.length > 4 && (
-                      <span className="px-2 py-0.5 text-slate-500 text-xs">
-                        +{repoDetails[repo.id].topics.length - 4}
-                      </span>
-                    )}
-                  </div>
-                )}
-                
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-4">
-                    <div className="flex items-center gap-1 text-amber-400">
-                      <Star className="w-4 h-4" />
-                      <span className="text-sm font-medium">
-                        {formatNumber(repo.stargazers_count)}
-                      </span>
-                    </div>
-                    <div className="flex items-center gap-1 text-blue-400">
-                      <GitFork className="w-4 h-4" />
-                      <span className="text-sm font-medium">
-                        {formatNumber(repo.forks_count)}
-                      </span>
-                    </div>
-                  </div>
-                  
-                  {repo.language && (
-                    <span className="px-2 py-1 bg-slate-700 text-slate-300 text-xs rounded-full">
-                      {repo.language}
-                    </span>
-                  )}
-                </div>
-              </div>
-            ))}
-          </div>
+        {showPalette && (
+          <CommandPalette commands={paletteCommands} commandsFor={paletteCommandsFor} onClose={closePalette} />
         )}
 
-        {/* Empty State */}
-        {!loading && !error && filteredRepos.length === 0 && (
-          <div className="text-center py-12">
-            <div className="text-6xl mb-4">🔍</div>
-            <h3 className="text-xl font-semibold text-slate-300 mb-2">
-              No repositories found
-            </h3>
-            <p className="text-slate-400">
-              Try adjusting your search or filters
-            </p>
-          </div>
+        {showShortcuts && <ShortcutsHelp onClose={closeShortcuts} />}
+
+        {urlState.compare.length > 0 && urlState.view !== 'compare' && (
+          <CompareTray
+            names={urlState.compare}
+            onRemove={toggleCompare}
+            onCompare={() => setView('compare')}
+            onClear={clearCompare}
+          />
         )}
       </div>
     </div>
@@ -0,0 +1,219 @@
+import { useState } from 'react'
+import { SlidersHorizontal } from 'lucide-react'
+import { DEFAULT_ADVANCED_FILTERS, LICENSES } from '../lib/query'
+import { t } from '../lib/i18n'
+
+const inputClass = 'w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-sm text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500'
+const labelClass = 'block text-xs font-medium text-slate-400 mb-1'
+
+function RangeInputs({ label, min, max, onChange }) {
+  return (
+    <fieldset>
+      <legend className={labelClass}>{label}</legend>
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          min="0"
+          placeholder={t('advanced.min')}
+          aria-label={t('advanced.minOf', { label })}
+          value={min}
+          onChange={(e) => onChange(e.target.value, max)}
+          className={inputClass}
+        />
+        <span className="text-slate-500">–</span>
+        <input
+          type="number"
+          min="0"
+          placeholder={t('advanced.max')}
+          aria-label={t('advanced.maxOf', { label })}
+          value={max}
+          onChange={(e) => onChange(min, e.target.value)}
+          className={inputClass}
+        />
+      </div>
+    </fieldset>
+  )
+}
+
+// Edits a draft of the advanced filters and hands it to `onApply`, which turns it into search qualifiers
+function AdvancedFilters({ filters, onApply, onClose }) {
+  const [draft, setDraft] = useState({ ...filters, excludeOwners: filters.excludeOwners.join(', ') })
+
+  const set = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onApply({
+      ...draft,
+      topic: draft.topic.trim(),
+      excludeOwners: draft.excludeOwners.split(/[,\s]+/).map(owner => owner.trim()).filter(Boolean)
+    })
+  }
+
+  const handleReset = () => {
+    setDraft({ ...DEFAULT_ADVANCED_FILTERS, excludeOwners: '' })
+    onApply(DEFAULT_ADVANCED_FILTERS)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 bg-slate-800 border border-slate-700 rounded-lg p-4">
+      <div className="flex items-center gap-2 mb-4">
+        <SlidersHorizontal className="w-4 h-4 text-slate-400" />
+        <h2 className="text-sm font-medium text-slate-300">{t('advanced.title')}</h2>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        <RangeInputs
+          label={t('advanced.stars')}
+          min={draft.minStars}
+          max={draft.maxStars}
+          onChange={(minStars, maxStars) => set({ minStars, maxStars })}
+        />
+        <RangeInputs
+          label={t('advanced.forks')}
+          min={draft.minForks}
+          max={draft.maxForks}
+          onChange={(minForks, maxForks) => set({ minForks, maxForks })}
+        />
+        <div>
+          <label className={labelClass} htmlFor="filter-topic">{t('advanced.topic')}</label>
+          <input
+            id="filter-topic"
+            type="text"
+            placeholder={t('advanced.topicPlaceholder')}
+            value={draft.topic}
+            onChange={(e) => set({ topic: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="filter-license">{t('advanced.license')}</label>
+          <select
+            id="filter-license"
+            value={draft.license}
+            onChange={(e) => set({ license: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">{t('advanced.anyLicense')}</option>
+            {LICENSES.map(license => (
+              <option key={license.key} value={license.key}>{license.name}</option>
+            ))}
+          </select>
+        </div>
+        <fieldset>
+          <legend className={labelClass}>{t('advanced.dateField')}</legend>
+          <div className="flex bg-slate-900 rounded-lg p-1">
+            {['created', 'pushed'].map(field => (
+              <button
+                key={field}
+                type="button"
+                onClick={() => set({ dateField: field })}
+                aria-pressed={draft.dateField === field}
+                className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  draft.dateField === field
+                    ? 'bg-purple-500 text-white'
+                    : 'text-slate-400 hover:text-slate-200'
+                }`}
+              >
+                {t(`advanced.dateField.${field}`)}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+        <fieldset>
+          <legend className={labelClass}>{t('advanced.dateRange')}</legend>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              aria-label={t('advanced.from')}
+              value={draft.from}
+              max={draft.to || undefined}
+              onChange={(e) => set({ from: e.target.value })}
+              className={inputClass}
+            />
+            <span className="text-slate-500">–</span>
+            <input
+              type="date"
+              aria-label={t('advanced.to')}
+              value={draft.to}
+              min={draft.from || undefined}
+              disabled={!draft.from}
+              onChange={(e) => set({ to: e.target.value })}
+              className={`${inputClass} disabled:opacity-50`}
+            />
+          </div>
+        </fieldset>
+        <div>
+          <label className={labelClass} htmlFor="filter-exclude">{t('advanced.excludeOwners')}</label>
+          <input
+            id="filter-exclude"
+            type="text"
+            placeholder={t('advanced.excludeOwnersPlaceholder')}
+            value={draft.excludeOwners}
+            onChange={(e) => set({ excludeOwners: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-col justify-end gap-2 text-sm text-slate-300">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.excludeArchived}
+              onChange={(e) => set({ excludeArchived: e.target.checked })}
+              className="accent-purple-500"
+            />
+            {t('advanced.excludeArchived')}
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.publicOnly}
+              onChange={(e) => set({ publicOnly: e.target.checked })}
+              className="accent-purple-500"
+            />
+            {t('advanced.publicOnly')}
+          </label>
+        </div>
+        <div className="flex flex-col justify-end gap-2 text-sm text-slate-300">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.apiSearch}
+              onChange={(e) => set({ apiSearch: e.target.checked })}
+              className="accent-purple-500"
+            />
+            {t('advanced.apiSearch')}
+          </label>
+          <p className="text-xs text-slate-500">
+            {t('advanced.apiSearchHint')}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2 mt-4">
+        <button
+          type="button"
+          onClick={handleReset}
+          className="px-4 py-2 text-sm text-slate-400 hover:text-slate-200"
+        >
+          {t('advanced.reset')}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm text-slate-400 hover:text-slate-200"
+        >
+          {t('advanced.close')}
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 transition-colors"
+        >
+          {t('advanced.apply')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default AdvancedFilters
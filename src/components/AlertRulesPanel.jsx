@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import { Bell, Plus, X } from 'lucide-react'
+import { createAlertRule, describeAlertRule } from '../lib/alertRules'
+import { t } from '../lib/i18n'
+
+const inputClass = 'w-full px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-sm text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500'
+
+const EMPTY_FORM = { topic: '', language: '', minStars: '' }
+
+function AlertRulesPanel({ rules, saveError, permission, onRequestPermission, onAdd, onRemove, refreshMinutes }) {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const rule = createAlertRule(form)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!rule) return
+    onAdd(rule)
+    setForm(EMPTY_FORM)
+    // Adding the first rule is the natural moment to ask
+    if (permission === 'default') onRequestPermission()
+  }
+
+  return (
+    <div className="mb-4 bg-slate-800 border border-slate-700 rounded-lg p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <Bell className="w-4 h-4 text-slate-400" />
+        <h2 className="text-sm font-medium text-slate-300">{t('alerts.title')}</h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2 mb-3">
+        <input
+          type="text"
+          value={form.topic}
+          onChange={(e) => setForm({ ...form, topic: e.target.value })}
+          placeholder={t('alerts.topicPlaceholder')}
+          aria-label={t('alerts.topic')}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={form.language}
+          onChange={(e) => setForm({ ...form, language: e.target.value })}
+          placeholder={t('alerts.language')}
+          aria-label={t('alerts.language')}
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="0"
+          value={form.minStars}
+          onChange={(e) => setForm({ ...form, minStars: e.target.value })}
+          placeholder={t('alerts.minStarsPlaceholder')}
+          aria-label={t('alerts.minStars')}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={!rule}
+          className="flex items-center justify-center gap-1 px-3 py-1.5 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-4 h-4" /> {t('alerts.add')}
+        </button>
+      </form>
+
+      {saveError && (
+        <p role="alert" className="text-sm text-red-400 mb-3">{saveError}</p>
+      )}
+
+      {rules.length > 0 ? (
+        <ul className="flex flex-wrap gap-2 mb-3">
+          {rules.map(existing => (
+            <li key={existing.id} className="flex items-center gap-1 pl-3 pr-1 py-0.5 bg-purple-500/20 text-purple-300 text-sm rounded-full">
+              {describeAlertRule(existing)}
+              <button
+                onClick={() => onRemove(existing.id)}
+                className="p-0.5 rounded-full hover:bg-purple-500/30"
+                aria-label={t('alerts.remove', { rule: describeAlertRule(existing) })}
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500 mb-3">{t('alerts.empty')}</p>
+      )}
+
+      <p className="text-xs text-slate-500">
+        {t('alerts.hint', { minutes: refreshMinutes })}{' '}
+        {permission === 'unsupported' && t('alerts.unsupported')}
+        {permission === 'denied' && t('alerts.denied')}
+        {permission === 'default' && (
+          <button onClick={onRequestPermission} className="text-purple-400 hover:text-purple-300">
+            {t('alerts.allow')}
+          </button>
+        )}
+      </p>
+    </div>
+  )
+}
+
+export default AlertRulesPanel
@@ -0,0 +1,192 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Building2, User, ArrowUpRight, ArrowDownRight } from 'lucide-react'
+import { summarizeRepos, compareBreakdown, fetchPeriodComparison } from '../lib/analytics'
+import { formatDate } from '../lib/format'
+import { t } from '../lib/i18n'
+
+const TOP_N = 12
+
+function Change({ value }) {
+  // Keeps the column lined up for rows without a comparison
+  if (value === null) return <span className="w-14" aria-hidden="true" />
+  if (Math.abs(value) < 0.5) return <span className="text-xs text-slate-500 w-14 text-right">{t('analytics.noChange')}</span>
+  const up = value > 0
+  return (
+    <span className={`flex items-center justify-end gap-0.5 text-xs w-14 ${up ? 'text-green-400' : 'text-red-400'}`}>
+      {up ? <ArrowUpRight className="w-3 h-3" /> : <ArrowDownRight className="w-3 h-3" />}
+      {t('analytics.points', { count: Math.round(Math.abs(value)) })}
+    </span>
+  )
+}
+
+// One breakdown as horizontal bars; entries are buttons when `onSelect` is given. `labelOf`
+// names the keys that are placeholders rather than names, such as "Unknown".
+function BreakdownList({ entries, colorOf, labelOf = key => key, onSelect, emptyText }) {
+  if (entries.length === 0) {
+    return <p className="text-sm text-slate-500">{emptyText}</p>
+  }
+  const max = Math.max(...entries.map(entry => entry.share))
+
+  return (
+    <ol className="space-y-1.5">
+      {entries.map(entry => {
+        const label = (
+          <>
+            <span className="flex items-center gap-2 text-sm text-slate-300 truncate">
+              {colorOf && <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: colorOf(entry.key) }}></span>}
+              {labelOf(entry.key)}
+            </span>
+            <span className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+              <span
+                className="block h-full bg-purple-500 rounded-full"
+                style={{ width: `${(entry.share / max) * 100}%` }}
+              ></span>
+            </span>
+          </>
+        )
+        return (
+          <li key={entry.key} className="flex items-center gap-3">
+            {onSelect ? (
+              <button
+                onClick={() => onSelect(entry.key)}
+                className="flex-1 min-w-0 grid grid-cols-[minmax(0,10rem)_1fr] items-center gap-3 text-left hover:text-purple-300"
+                title={t('analytics.filterBy', { name: labelOf(entry.key) })}
+              >
+                {label}
+              </button>
+            ) : (
+              <div className="flex-1 min-w-0 grid grid-cols-[minmax(0,10rem)_1fr] items-center gap-3">{label}</div>
+            )}
+            <span className="text-xs text-slate-400 w-20 text-right">
+              {t('analytics.share', { count: entry.count, percent: Math.round(entry.share * 100) })}
+            </span>
+            <Change value={entry.change} />
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+function Panel({ title, children }) {
+  return (
+    <section className="bg-slate-800 border border-slate-700 rounded-xl p-5">
+      <h2 className="text-sm font-semibold text-slate-200 mb-4">{title}</h2>
+      {children}
+    </section>
+  )
+}
+
+// Aggregate view of the trending list for the current filters, compared with the window before it
+function AnalyticsDashboard({ repos, details, colorOf, timeRange, filters, languages, text, periodLabel, onSelectTopic, onSelectLanguage }) {
+  const [periods, setPeriods] = useState(null)
+  const [periodsError, setPeriodsError] = useState(null)
+  // Callers pass fresh objects on every render; refetch only when the values change
+  const filtersKey = JSON.stringify(filters)
+  const languagesKey = languages.join(',')
+  const search = useMemo(() => ({
+    timeRange,
+    filters: JSON.parse(filtersKey),
+    languages: languagesKey ? languagesKey.split(',') : [],
+    text
+  }), [timeRange, filtersKey, languagesKey, text])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setPeriods(null)
+    setPeriodsError(null)
+    fetchPeriodComparison({ ...search, signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setPeriods(result)
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setPeriodsError(err.message)
+      })
+    return () => controller.abort()
+  }, [search])
+
+  const current = summarizeRepos(repos, details)
+  // Changes are measured between the two created: populations, not against the trending list
+  const now = periods && summarizeRepos(periods.current)
+  const before = periods && summarizeRepos(periods.previous)
+  const compare = (key) => compareBreakdown(current[key], before?.[key], now?.[key]).slice(0, TOP_N)
+
+  if (repos.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-6xl mb-4">📊</div>
+        <h3 className="text-xl font-semibold text-slate-300 mb-2">{t('analytics.empty')}</h3>
+        <p className="text-slate-400">{t('app.emptyHint')}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-400">
+        {t('analytics.total', { count: current.total, window: periodLabel })}{' '}
+        {periods && t('analytics.comparison', {
+          current: periods.current.length,
+          previous: periods.previous.length,
+          since: formatDate(periods.window.since),
+          until: formatDate(periods.window.until)
+        })}
+        {!periods && !periodsError && t('analytics.loadingPrevious')}
+        {periodsError && <span className="text-red-400">{t('analytics.previousError', { error: periodsError })}</span>}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Panel title={t('analytics.topics')}>
+          <BreakdownList
+            entries={compare('topics')}
+            onSelect={onSelectTopic}
+            emptyText={t('analytics.noTopics')}
+          />
+        </Panel>
+
+        <Panel title={t('analytics.languages')}>
+          <BreakdownList
+            entries={compare('languages')}
+            colorOf={colorOf}
+            labelOf={(language) => language === 'Unknown' ? t('analytics.unknownLanguage') : language}
+            onSelect={(language) => language !== 'Unknown' && onSelectLanguage(language)}
+            emptyText={t('analytics.noLanguages')}
+          />
+        </Panel>
+
+        <Panel title={t('analytics.ownerTypes')}>
+          <BreakdownList
+            entries={compare('ownerTypes')}
+            labelOf={(type) => t(`analytics.ownerType.${type}`)}
+            emptyText={t('analytics.noOwners')}
+          />
+        </Panel>
+
+        <Panel title={t('analytics.owners')}>
+          <ol className="space-y-2">
+            {compareBreakdown(current.owners, before?.owners, now?.owners).slice(0, TOP_N).map(owner => (
+              <li key={owner.key} className="flex items-center gap-3">
+                <img src={owner.avatarUrl} alt="" className="w-6 h-6 rounded-full" />
+                <a
+                  href={`https://github.com/${owner.key}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 text-sm text-slate-300 hover:text-purple-400 truncate"
+                >
+                  {owner.key}
+                </a>
+                {owner.type === 'Organization'
+                  ? <Building2 className="w-4 h-4 text-slate-500" aria-label={t('analytics.ownerType.Organization')} />
+                  : <User className="w-4 h-4 text-slate-500" aria-label={t('analytics.ownerType.User')} />}
+                <span className="text-xs text-slate-400 w-20 text-right">{t('analytics.repoCount', { count: owner.count })}</span>
+                <Change value={owner.change} />
+              </li>
+            ))}
+          </ol>
+        </Panel>
+      </div>
+    </div>
+  )
+}
+
+export default AnalyticsDashboard
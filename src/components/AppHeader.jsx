@@ -0,0 +1,113 @@
+import { Search, TrendingUp, Key, Settings, Bookmark, BarChart3, Bell, Columns3 } from 'lucide-react'
+import ThemeToggle from './ThemeToggle'
+import { VIEWS } from '../lib/urlState'
+import { t } from '../lib/i18n'
+
+const VIEW_ICONS = { trending: TrendingUp, analytics: BarChart3, watchlist: Bookmark, compare: Columns3 }
+
+const panelButtonClass = (active) => `p-2 rounded-lg transition-colors ${
+  active ? 'text-purple-400 bg-purple-500/10' : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'
+}`
+
+// Sticky top bar: title, view switcher, search box and the buttons that open the token,
+// notification and cache panels
+function AppHeader({
+  view,
+  onViewChange,
+  searchInputRef,
+  searchQuery,
+  onSearchChange,
+  hasToken,
+  hasRules,
+  showToken,
+  onToggleToken,
+  showAlerts,
+  onToggleAlerts,
+  showSettings,
+  onToggleSettings,
+  themePreference,
+  onThemeChange
+}) {
+  return (
+    <header className="border-b border-slate-700 bg-slate-800/50 backdrop-blur-sm sticky top-0 z-10">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gradient-to-br from-purple-500 to-pink-500 rounded-lg">
+              <TrendingUp className="w-6 h-6 text-white" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
+                GitHub Trends
+              </h1>
+              <p className="text-xs text-slate-400">{t('app.tagline')}</p>
+            </div>
+          </div>
+
+          {/* Search Bar */}
+          <div className="flex items-center gap-2">
+            <div className="flex bg-slate-800 rounded-lg p-1" role="group" aria-label={t('app.views')}>
+              {VIEWS.map(id => {
+                const Icon = VIEW_ICONS[id]
+                return (
+                  <button
+                    key={id}
+                    onClick={() => onViewChange(id)}
+                    aria-pressed={view === id}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      view === id ? 'bg-purple-500 text-white' : 'text-slate-400 hover:text-slate-200'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" /> {t(`nav.${id}`)}
+                  </button>
+                )
+              })}
+            </div>
+            <div className="relative w-full sm:w-64">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400 w-5 h-5" />
+              <input
+                ref={searchInputRef}
+                type="text"
+                placeholder={t('app.search')}
+                aria-label={t('app.searchLabel')}
+                value={searchQuery}
+                onChange={(e) => onSearchChange(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+            <button
+              onClick={onToggleToken}
+              className={`p-2 rounded-lg transition-colors ${hasToken ? 'text-green-400 bg-green-500/10' : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'}`}
+              title={hasToken ? t('app.tokenSet') : t('app.tokenMissing')}
+              aria-label={hasToken ? t('app.tokenSet') : t('app.tokenMissing')}
+              aria-expanded={showToken}
+            >
+              <Key className="w-5 h-5" />
+            </button>
+            <button
+              onClick={onToggleAlerts}
+              className={panelButtonClass(showAlerts || hasRules)}
+              title={t('app.alerts')}
+              aria-label={t('app.alerts')}
+              aria-expanded={showAlerts}
+            >
+              <Bell className="w-5 h-5" />
+            </button>
+            <button
+              onClick={onToggleSettings}
+              className={panelButtonClass(showSettings)}
+              title={t('app.cacheSettings')}
+              aria-label={t('app.cacheSettings')}
+              aria-expanded={showSettings}
+            >
+              <Settings className="w-5 h-5" />
+            </button>
+            <ThemeToggle preference={themePreference} onChange={onThemeChange} />
+          </div>
+        </div>
+      </div>
+    </header>
+  )
+}
+
+export default AppHeader
@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef } from 'react'
+import { Bookmark, BookmarkCheck, Plus } from 'lucide-react'
+import { collectionsContaining } from '../lib/watchlist'
+import { t } from '../lib/i18n'
+
+// Bookmark toggle for a card, with a popover to file the repo into any number of collections
+function BookmarkMenu({ repo, watchlist }) {
+  const [open, setOpen] = useState(false)
+  const [newName, setNewName] = useState('')
+  const containerRef = useRef(null)
+  const savedIn = collectionsContaining(watchlist.watchlist, repo.id)
+
+  useEffect(() => {
+    if (!open) return
+    const handlePointer = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handlePointer)
+    document.addEventListener('keydown', handleKey)
+    return () => {
+      document.removeEventListener('mousedown', handlePointer)
+      document.removeEventListener('keydown', handleKey)
+    }
+  }, [open])
+
+  const toggle = (collectionId) => {
+    if (savedIn.includes(collectionId)) {
+      watchlist.removeBookmark(collectionId, repo.id)
+    } else {
+      watchlist.addBookmark(collectionId, repo)
+    }
+  }
+
+  const createAndAdd = (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+    watchlist.createCollection(name, repo)
+    setNewName('')
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`p-2 rounded-lg transition-colors ${
+          savedIn.length > 0
+            ? 'text-purple-400 bg-purple-500/10'
+            : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'
+        }`}
+        title={savedIn.length > 0 ? t('bookmark.saved') : t('bookmark.add')}
+        aria-label={t('bookmark.menu', { name: repo.full_name })}
+        aria-expanded={open}
+      >
+        {savedIn.length > 0 ? <BookmarkCheck className="w-4 h-4" /> : <Bookmark className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-1 w-56 bg-slate-800 border border-slate-700 rounded-lg shadow-xl py-1">
+          <p className="px-3 py-1 text-xs text-slate-500">{t('bookmark.saveTo')}</p>
+          {watchlist.watchlist.collections.map(collection => (
+            <label
+              key={collection.id}
+              className="flex items-center gap-2 px-3 py-1.5 text-sm text-slate-300 hover:bg-slate-700 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={savedIn.includes(collection.id)}
+                onChange={() => toggle(collection.id)}
+                className="accent-purple-500"
+              />
+              <span className="flex-1 truncate">{collection.name}</span>
+              <span className="text-xs text-slate-500">{collection.repos.length}</span>
+            </label>
+          ))}
+          {watchlist.saveError && (
+            <p role="alert" className="px-3 py-1 text-xs text-red-400">{watchlist.saveError}</p>
+          )}
+          <form onSubmit={createAndAdd} className="flex items-center gap-1 px-2 pt-2 mt-1 border-t border-slate-700">
+            <input
+              type="text"
+              placeholder={t('bookmark.newCollection')}
+              aria-label={t('bookmark.newCollection')}
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-sm text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="p-1 text-slate-400 hover:text-purple-400 disabled:opacity-40"
+              title={t('bookmark.create')}
+              aria-label={t('bookmark.create')}
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BookmarkMenu
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Database, Trash2 } from 'lucide-react'
+import { getCacheStats, clearCache, getCacheBudget, setCacheBudget, CACHE_BUDGET_OPTIONS, CACHE_TTLS } from '../lib/cache'
+import { formatBytes } from '../lib/format'
+import { t } from '../lib/i18n'
+
+function CacheSettings() {
+  const [stats, setStats] = useState(null)
+  const [budget, setBudget] = useState(getCacheBudget)
+  const [clearing, setClearing] = useState(false)
+
+  const refreshStats = useCallback(async () => {
+    setStats(await getCacheStats())
+  }, [])
+
+  useEffect(() => {
+    refreshStats()
+  }, [refreshStats])
+
+  const handleBudgetChange = async (e) => {
+    const bytes = Number(e.target.value)
+    setBudget(bytes)
+    await setCacheBudget(bytes).catch(() => {})
+    refreshStats()
+  }
+
+  const handleClear = async () => {
+    setClearing(true)
+    try {
+      await clearCache()
+    } catch {
+      // Nothing cached to clear
+    }
+    await refreshStats()
+    setClearing(false)
+  }
+
+  return (
+    <div className="mb-4 bg-slate-800 border border-slate-700 rounded-lg p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <Database className="w-4 h-4 text-slate-400" />
+        <h2 className="text-sm font-medium text-slate-300">{t('cache.title')}</h2>
+      </div>
+      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+        <p className="text-sm text-slate-400 flex-1">
+          {stats
+            ? t('cache.usage', { size: formatBytes(stats.bytes), count: stats.entries })
+            : t('cache.measuring')}
+        </p>
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          {t('cache.limit')}
+          <select
+            value={budget}
+            onChange={handleBudgetChange}
+            className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {CACHE_BUDGET_OPTIONS.map(option => (
+              <option key={option} value={option}>{formatBytes(option)}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleClear}
+          disabled={clearing || stats?.entries === 0}
+          className="flex items-center gap-1 px-3 py-1 text-sm text-red-400 border border-red-500/50 rounded-lg hover:bg-red-500/10 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+          {t('cache.clear')}
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-slate-500">
+        {t('cache.hint', { info: CACHE_TTLS.info / 60000, readme: CACHE_TTLS.readme / 60000 })}
+      </p>
+    </div>
+  )
+}
+
+export default CacheSettings
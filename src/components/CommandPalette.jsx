@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react'
+import { Search } from 'lucide-react'
+import { t } from '../lib/i18n'
+import { useFocusTrap } from '../hooks/useFocusTrap'
+
+// Long lists such as every linguist language are only useful once narrowed down
+const MAX_RESULTS = 50
+
+const matches = (command, terms) => {
+  const text = `${command.group} ${command.label}`.toLowerCase()
+  return terms.every(term => text.includes(term))
+}
+
+// Ctrl/Cmd-K launcher. `commands` are { id, group, label, run }; `commandsFor(query)` can add
+// entries that depend on what was typed, like jumping to an owner/name that isn't listed.
+function CommandPalette({ commands, commandsFor, onClose }) {
+  const [query, setQuery] = useState('')
+  const [active, setActive] = useState(0)
+  const listRef = useRef(null)
+  const inputRef = useRef(null)
+  const dialogRef = useFocusTrap(inputRef)
+
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+  const results = [...(commandsFor?.(query.trim()) || []), ...commands.filter(command => matches(command, terms))]
+    .slice(0, MAX_RESULTS)
+
+  useEffect(() => {
+    setActive(0)
+  }, [query])
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' })
+  }, [active])
+
+  const run = (command) => {
+    onClose()
+    command.run()
+  }
+
+  const handleKey = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive(i => Math.min(results.length - 1, i + 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive(i => Math.max(0, i - 1))
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault()
+      run(results[active])
+    } else if (e.key === 'Escape') {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-30 bg-slate-950/80 backdrop-blur-sm flex items-start justify-center p-4 pt-[15vh]"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t('palette.title')}
+        className="w-full max-w-lg focus:outline-none bg-slate-800 border border-slate-700 rounded-xl shadow-2xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="relative border-b border-slate-700">
+          <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-results"
+            aria-activedescendant={results[active] ? `command-${results[active].id}` : undefined}
+            placeholder={t('palette.placeholder')}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKey}
+            className="w-full pl-11 pr-4 py-3 bg-transparent text-slate-100 placeholder-slate-500 focus:outline-none"
+          />
+        </div>
+        <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-80 overflow-y-auto py-1">
+          {results.length === 0 && (
+            <li className="px-4 py-3 text-sm text-slate-500">{t('palette.noMatches')}</li>
+          )}
+          {results.map((command, i) => (
+            <li
+              key={command.id}
+              id={`command-${command.id}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseMove={() => setActive(i)}
+              onClick={() => run(command)}
+              className={`flex items-center justify-between gap-3 px-4 py-2 text-sm cursor-pointer ${
+                i === active ? 'bg-purple-500/20 text-slate-100' : 'text-slate-300'
+              }`}
+            >
+              <span className="truncate">{command.label}</span>
+              <span className="text-xs text-slate-500 flex-shrink-0">{command.group}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest'
+import { useState } from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import CommandPalette from './CommandPalette'
+
+const commands = [
+  { id: 'one', group: 'Go to', label: 'Trending', run: vi.fn() },
+  { id: 'two', group: 'Go to', label: 'Analytics', run: vi.fn() }
+]
+
+function Harness() {
+  const [open, setOpen] = useState(false)
+  return (
+    <>
+      <button onClick={() => setOpen(true)}>Open palette</button>
+      <button>Elsewhere</button>
+      {open && <CommandPalette commands={commands} onClose={() => setOpen(false)} />}
+    </>
+  )
+}
+
+describe('CommandPalette', () => {
+  it('keeps Tab inside the dialog and gives focus back when it closes', async () => {
+    render(<Harness />)
+    const trigger = screen.getByRole('button', { name: 'Open palette' })
+    await userEvent.click(trigger)
+
+    const input = screen.getByRole('combobox')
+    expect(input).toHaveFocus()
+    await userEvent.tab()
+    expect(input).toHaveFocus()
+    await userEvent.tab({ shift: true })
+    expect(input).toHaveFocus()
+
+    await userEvent.keyboard('{Escape}')
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(trigger).toHaveFocus()
+  })
+})
@@ -0,0 +1,41 @@
+import { X, Columns3 } from 'lucide-react'
+import { MAX_COMPARED } from '../lib/compare'
+import { t } from '../lib/i18n'
+
+// Bar pinned to the bottom of the screen listing the repos picked for comparison
+function CompareTray({ names, onRemove, onCompare, onClear }) {
+  return (
+    <div className="fixed bottom-4 inset-x-0 z-20 flex justify-center px-4 pointer-events-none">
+      <div className="pointer-events-auto flex flex-wrap items-center gap-2 bg-slate-800 border border-purple-500/50 rounded-xl shadow-xl px-4 py-2">
+        <span className="text-sm text-slate-400">
+          {t('tray.count', { count: names.length, max: MAX_COMPARED })}
+        </span>
+        {names.map(name => (
+          <span key={name} className="flex items-center gap-1 pl-2 pr-1 py-0.5 bg-slate-700 text-slate-200 text-sm rounded-full">
+            {name}
+            <button
+              onClick={() => onRemove(name)}
+              className="p-0.5 rounded-full hover:bg-slate-600"
+              aria-label={t('compare.remove', { name })}
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </span>
+        ))}
+        <button
+          onClick={onCompare}
+          disabled={names.length < 2}
+          className="flex items-center gap-1 px-3 py-1 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title={names.length < 2 ? t('tray.pickTwo') : undefined}
+        >
+          <Columns3 className="w-4 h-4" /> {t('tray.compare')}
+        </button>
+        <button onClick={onClear} className="text-sm text-slate-400 hover:text-slate-200">
+          {t('tray.clear')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CompareTray
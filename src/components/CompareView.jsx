@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef } from 'react'
+import { X, Columns3, ExternalLink } from 'lucide-react'
+import { fetchComparisonEntry, compareRowsFor, bestIndexes } from '../lib/compare'
+import { t } from '../lib/i18n'
+
+function EmptyCompare() {
+  return (
+    <div className="text-center py-12">
+      <Columns3 className="w-12 h-12 text-slate-600 mx-auto mb-4" />
+      <p className="text-slate-400">{t('compare.empty')}</p>
+      <p className="text-slate-500 text-sm">{t('compare.emptyHint')}</p>
+    </div>
+  )
+}
+
+// Side-by-side table of the repos in `names` (owner/name), with the best value of each ranked row
+// highlighted. Entries load independently and stay loaded while others are added or removed.
+// `starDeltas` holds the trending window's star deltas of the compared repos, keyed by name.
+function CompareView({ names, starDeltas, windowLabel, onRemove, onOpen }) {
+  const [entries, setEntries] = useState({})
+  const namesKey = names.join(',')
+
+  // Requests outlive changes to the selection (their results are cached anyway) and stop on unmount
+  const requestedRef = useRef(new Set())
+  const controllerRef = useRef(null)
+  useEffect(() => {
+    const controller = new AbortController()
+    const requested = requestedRef.current
+    controllerRef.current = controller
+    return () => {
+      controller.abort()
+      requested.clear()
+    }
+  }, [])
+
+  useEffect(() => {
+    const controller = controllerRef.current
+    namesKey.split(',').filter(name => name && !requestedRef.current.has(name)).forEach(name => {
+      requestedRef.current.add(name)
+      setEntries(prev => ({ ...prev, [name]: { status: 'loading' } }))
+      fetchComparisonEntry(name, controller.signal)
+        .then(entry => ({ status: 'ready', entry }))
+        .catch(err => {
+          // Let a repo that failed be retried by removing and adding it again
+          requestedRef.current.delete(name)
+          return { status: 'error', error: err.message }
+        })
+        .then(result => {
+          if (!controller.signal.aborted) setEntries(prev => ({ ...prev, [name]: result }))
+        })
+    })
+  }, [namesKey])
+
+  if (names.length === 0) return <EmptyCompare />
+
+  const columns = names.map(name => ({ name, ...entries[name] }))
+  const ready = columns.map(column => column.status === 'ready' ? { ...column.entry, delta: starDeltas[column.name] || null } : null)
+  const rows = compareRowsFor(names, name => !!starDeltas[name])
+
+  const cell = (column, content) => {
+    if (column.status === 'error') return <span className="text-red-400 text-xs">{column.error}</span>
+    if (column.status !== 'ready') return <span className="block h-4 w-16 bg-slate-700 rounded animate-pulse"></span>
+    return content
+  }
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th scope="col" className="px-4 py-3 text-left font-medium text-slate-400 w-40">
+              <span className="sr-only">{t('compare.metric')}</span>
+            </th>
+            {columns.map(column => (
+              <th key={column.name} scope="col" className="px-4 py-3 text-left align-top">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {column.entry && (
+                      <img src={column.entry.repo.owner.avatar_url} alt="" className="w-6 h-6 rounded-full" />
+                    )}
+                    <a
+                      href={`/repo/${column.name}`}
+                      onClick={(e) => {
+                        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+                        e.preventDefault()
+                        onOpen(column.name)
+                      }}
+                      className="font-semibold text-slate-100 hover:text-purple-400 truncate"
+                    >
+                      {column.name}
+                    </a>
+                    {column.entry && (
+                      <a
+                        href={column.entry.repo.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-slate-500 hover:text-purple-400"
+                        aria-label={t('card.openOnGitHub', { name: column.name })}
+                      >
+                        <ExternalLink className="w-3.5 h-3.5" />
+                      </a>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => onRemove(column.name)}
+                    className="p-1 text-slate-500 hover:text-slate-200 rounded"
+                    aria-label={t('compare.remove', { name: column.name })}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const values = ready.map(entry => entry ? row.value(entry) : null)
+            const best = bestIndexes(values, row.better)
+            return (
+              <tr key={row.id} className="border-b border-slate-700/50">
+                <th scope="row" className="px-4 py-2 text-left font-normal text-slate-400 whitespace-nowrap">
+                  {typeof row.label === 'function' ? row.label(windowLabel) : row.label}
+                </th>
+                {columns.map((column, index) => (
+                  <td
+                    key={column.name}
+                    className={`px-4 py-2 ${best.includes(index) ? 'bg-green-500/10 text-green-300 font-medium' : 'text-slate-200'}`}
+                  >
+                    {cell(column, values[index] === null || values[index] === undefined ? (
+                      <span className="text-slate-500">—</span>
+                    ) : (
+                      <>
+                        {row.format(values[index])}
+                        {best.includes(index) && <span className="sr-only"> {t('compare.best')}</span>}
+                      </>
+                    ))}
+                  </td>
+                ))}
+              </tr>
+            )
+          })}
+          <tr className="border-b border-slate-700/50">
+            <th scope="row" className="px-4 py-2 text-left font-normal text-slate-400 align-top">{t('compare.topics')}</th>
+            {columns.map(column => (
+              <td key={column.name} className="px-4 py-2 align-top">
+                {cell(column, column.entry?.repo.topics?.length > 0 ? (
+                  <div className="flex flex-wrap gap-1">
+                    {column.entry.repo.topics.map(topic => (
+                      <span key={topic} className="px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded-full">{topic}</span>
+                    ))}
+                  </div>
+                ) : (
+                  <span className="text-slate-500">—</span>
+                ))}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <th scope="row" className="px-4 py-2 text-left font-normal text-slate-400 align-top">{t('compare.summary')}</th>
+            {columns.map(column => (
+              <td key={column.name} className="px-4 py-2 align-top text-slate-300 max-w-xs">
+                {cell(column, column.entry?.summary || <span className="text-slate-500">—</span>)}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,128 @@
+import { useState, useEffect, useRef } from 'react'
+import { Download } from 'lucide-react'
+import {
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  loadExportFields,
+  saveExportFields,
+  toExportRow,
+  serializeExport
+} from '../lib/exporters'
+import { downloadFile } from '../lib/download'
+import { t } from '../lib/i18n'
+
+// Download the list as shown, in a chosen format and with a chosen set of columns
+function ExportMenu({ repos, details, title }) {
+  const [open, setOpen] = useState(false)
+  const [format, setFormat] = useState('markdown')
+  const [fields, setFields] = useState(loadExportFields)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const handlePointer = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handlePointer)
+    document.addEventListener('keydown', handleKey)
+    return () => {
+      document.removeEventListener('mousedown', handlePointer)
+      document.removeEventListener('keydown', handleKey)
+    }
+  }, [open])
+
+  const toggleField = (id) => {
+    const next = fields.includes(id) ? fields.filter(field => field !== id) : [...fields, id]
+    setFields(next)
+    saveExportFields(next)
+  }
+
+  // Cards only fetch their README summary once scrolled into view
+  const enriched = repos.filter(repo => details[repo.id] && !details[repo.id].loading).length
+
+  const download = () => {
+    const { extension, type } = EXPORT_FORMATS.find(({ id }) => id === format)
+    const generatedAt = new Date()
+    const content = serializeExport(
+      format,
+      repos.map(repo => toExportRow(repo, details[repo.id])),
+      fields,
+      { title, link: window.location.href, generatedAt }
+    )
+    downloadFile(content, `github-trends-${generatedAt.toISOString().slice(0, 10)}.${extension}`, type)
+    setOpen(false)
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={repos.length === 0}
+        className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm transition-colors disabled:opacity-40 ${
+          open ? 'text-purple-400 bg-purple-500/10' : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'
+        }`}
+      >
+        <Download className="w-4 h-4" />
+        {t('export.button')}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-1 w-64 bg-slate-800 border border-slate-700 rounded-lg shadow-xl p-3 space-y-3">
+          <fieldset>
+            <legend className="text-xs text-slate-500 mb-1">{t('export.format')}</legend>
+            <div className="grid grid-cols-2 gap-1">
+              {EXPORT_FORMATS.map(({ id, label }) => (
+                <label key={id} className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    checked={format === id}
+                    onChange={() => setFormat(id)}
+                    className="accent-purple-500"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend className="text-xs text-slate-500 mb-1">{t('export.fields')}</legend>
+            <div className="grid grid-cols-2 gap-1">
+              {EXPORT_FIELDS.map(({ id, label }) => (
+                <label key={id} className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={fields.includes(id)}
+                    onChange={() => toggleField(id)}
+                    className="accent-purple-500"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {enriched < repos.length && (fields.includes('description') || fields.includes('topics')) && (
+            <p className="text-xs text-slate-500">
+              {t('export.enriched', { enriched, total: repos.length })}
+            </p>
+          )}
+
+          <button
+            onClick={download}
+            disabled={fields.length === 0}
+            className="w-full px-3 py-1.5 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 disabled:opacity-40 transition-colors"
+          >
+            {t('export.download', { count: repos.length })}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { Calendar, SlidersHorizontal } from 'lucide-react'
+import AdvancedFilters from './AdvancedFilters'
+import LanguageSelect from './LanguageSelect'
+import { DEFAULT_ADVANCED_FILTERS } from '../lib/query'
+import { TIME_RANGES } from '../lib/urlState'
+import { t } from '../lib/i18n'
+
+// Time range, language and advanced filters for the trending search. A custom date range in
+// `filters` overrides the preset, so no preset shows as active while one is set.
+function FilterBar({ timeRange, onTimeRangeChange, languages, onLanguagesChange, languageOptions, languageCounts, colorOf, filters, onFiltersChange }) {
+  const [showAdvanced, setShowAdvanced] = useState(false)
+  const activeFilterCount = Object.keys(DEFAULT_ADVANCED_FILTERS)
+    .filter(key => JSON.stringify(filters[key]) !== JSON.stringify(DEFAULT_ADVANCED_FILTERS[key]))
+    .length
+
+  return (
+    <>
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Calendar className="w-4 h-4 text-slate-400" />
+            <span id="time-range-label" className="text-sm text-slate-400">{t('filters.timeRange')}</span>
+          </div>
+          <div className="flex bg-slate-800 rounded-lg p-1" role="group" aria-labelledby="time-range-label">
+            {TIME_RANGES.map((range) => (
+              <button
+                key={range}
+                onClick={() => onTimeRangeChange(range)}
+                aria-pressed={timeRange === range && !filters.from}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  timeRange === range && !filters.from
+                    ? 'bg-purple-500 text-white'
+                    : 'text-slate-400 hover:text-slate-200'
+                }`}
+              >
+                {t(`range.${range}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <LanguageSelect
+            selected={languages}
+            onChange={onLanguagesChange}
+            languages={languageOptions}
+            counts={languageCounts}
+            colorOf={colorOf}
+          />
+          <button
+            onClick={() => setShowAdvanced(!showAdvanced)}
+            aria-expanded={showAdvanced}
+            className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm transition-colors ${
+              showAdvanced || activeFilterCount > 0
+                ? 'text-purple-400 bg-purple-500/10'
+                : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'
+            }`}
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            {activeFilterCount > 0 ? t('filters.advancedCount', { count: activeFilterCount }) : t('filters.advanced')}
+          </button>
+        </div>
+      </div>
+
+      {showAdvanced && (
+        <AdvancedFilters
+          key={JSON.stringify(filters)}
+          filters={filters}
+          onApply={onFiltersChange}
+          onClose={() => setShowAdvanced(false)}
+        />
+      )}
+    </>
+  )
+}
+
+export default FilterBar
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import FilterBar from './FilterBar'
+import { DEFAULT_ADVANCED_FILTERS } from '../lib/query'
+
+const renderBar = (props = {}) => render(
+  <FilterBar
+    timeRange="daily"
+    onTimeRangeChange={vi.fn()}
+    languages={[]}
+    onLanguagesChange={vi.fn()}
+    languageOptions={[]}
+    languageCounts={[]}
+    colorOf={() => '#8b949e'}
+    filters={DEFAULT_ADVANCED_FILTERS}
+    onFiltersChange={vi.fn()}
+    {...props}
+  />
+)
+
+describe('FilterBar', () => {
+  it('highlights the current time range and reports a new one', async () => {
+    const onTimeRangeChange = vi.fn()
+    renderBar({ onTimeRangeChange })
+    expect(screen.getByRole('button', { name: 'Daily' })).toHaveAttribute('aria-pressed', 'true')
+
+    await userEvent.click(screen.getByRole('button', { name: 'Weekly' }))
+    expect(onTimeRangeChange).toHaveBeenCalledWith('weekly')
+  })
+
+  it('shows no preset as active while a custom date range is set', () => {
+    renderBar({ filters: { ...DEFAULT_ADVANCED_FILTERS, from: '2024-01-01' } })
+    expect(screen.getByRole('button', { name: 'Daily' })).toHaveAttribute('aria-pressed', 'false')
+  })
+
+  it('counts active advanced filters and opens them', async () => {
+    renderBar({ filters: { ...DEFAULT_ADVANCED_FILTERS, topic: 'llm', minStars: 500 } })
+    const toggle = screen.getByRole('button', { name: 'Advanced (2)' })
+
+    await userEvent.click(toggle)
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    expect(screen.getByText('Advanced filters')).toBeInTheDocument()
+  })
+})
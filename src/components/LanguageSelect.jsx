@@ -0,0 +1,190 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { Filter, ChevronDown, Search, X } from 'lucide-react'
+import { t } from '../lib/i18n'
+
+// Rendering all ~800 languages at once makes the list sluggish; searching narrows it anyway
+const MAX_LISTED = 100
+
+function LanguageOption({ name, color, count, checked, onToggle }) {
+  return (
+    <label className="flex items-center gap-2 px-3 py-1.5 text-sm text-slate-300 hover:bg-slate-700 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={() => onToggle(name)}
+        className="accent-purple-500"
+      />
+      <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: color }}></span>
+      <span className="flex-1 truncate">{name}</span>
+      {count !== undefined && <span className="text-xs text-slate-500">{count}</span>}
+    </label>
+  )
+}
+
+// Searchable multi-select over every linguist language, with counts for the current results on top.
+// Picks are collected in a draft and applied when the popover closes, so ticking three languages
+// costs one search rather than three.
+function LanguageSelect({ selected, onChange, languages, counts, colorOf }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState(selected)
+  const [search, setSearch] = useState('')
+  const containerRef = useRef(null)
+
+  const openPopover = () => {
+    setDraft(selected)
+    setSearch('')
+    setOpen(true)
+  }
+
+  const close = useCallback(() => {
+    setOpen(false)
+    const changed = draft.length !== selected.length ||
+      draft.some(name => !selected.some(language => language.toLowerCase() === name.toLowerCase()))
+    if (changed) onChange(draft)
+  }, [draft, selected, onChange])
+
+  useEffect(() => {
+    if (!open) return
+    const handlePointer = (e) => {
+      if (!containerRef.current?.contains(e.target)) close()
+    }
+    const handleKey = (e) => {
+      if (e.key === 'Escape') close()
+    }
+    document.addEventListener('mousedown', handlePointer)
+    document.addEventListener('keydown', handleKey)
+    return () => {
+      document.removeEventListener('mousedown', handlePointer)
+      document.removeEventListener('keydown', handleKey)
+    }
+  }, [open, close])
+
+  const isSelected = (name) => draft.some(language => language.toLowerCase() === name.toLowerCase())
+
+  const toggle = (name) => {
+    setDraft(isSelected(name)
+      ? draft.filter(language => language.toLowerCase() !== name.toLowerCase())
+      : [...draft, name])
+  }
+
+  const term = search.trim().toLowerCase()
+  const matches = (language) => !term ||
+    language.name.toLowerCase().includes(term) ||
+    language.aliases?.some(alias => alias.toLowerCase().includes(term))
+
+  const inResults = new Set(counts.map(({ name }) => name.toLowerCase()))
+  const resultOptions = counts.filter(matches)
+  const otherOptions = languages
+    .filter(language => !inResults.has(language.name.toLowerCase()) && matches(language))
+    .slice(0, MAX_LISTED)
+
+  const label = selected.length === 0
+    ? t('languages.all')
+    : selected.length === 1 ? selected[0] : t('languages.more', { first: selected[0], count: selected.length - 1 })
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => (open ? close() : openPopover())}
+        aria-expanded={open}
+        className="flex items-center gap-2 bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+      >
+        <Filter className="w-4 h-4 text-slate-400" />
+        {selected.length === 1 && (
+          <span className="w-3 h-3 rounded-full" style={{ backgroundColor: colorOf(selected[0]) }}></span>
+        )}
+        <span className="max-w-[10rem] truncate">{label}</span>
+        <ChevronDown className="w-4 h-4 text-slate-400" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-72 bg-slate-800 border border-slate-700 rounded-lg shadow-xl">
+          <div className="p-2 border-b border-slate-700">
+            <div className="relative">
+              <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+              <input
+                type="text"
+                autoFocus
+                placeholder={t('languages.search')}
+                aria-label={t('languages.searchLabel')}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="w-full pl-8 pr-2 py-1.5 bg-slate-700 border border-slate-600 rounded-md text-sm text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          </div>
+
+          {draft.length > 0 && (
+            <div className="flex flex-wrap gap-1 p-2 border-b border-slate-700">
+              {draft.map(name => (
+                <button
+                  key={name}
+                  onClick={() => toggle(name)}
+                  className="flex items-center gap-1 px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded-full hover:bg-purple-500/30"
+                >
+                  {name}
+                  <X className="w-3 h-3" />
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div role="group" aria-label={t('languages.label')} className="max-h-72 overflow-y-auto py-1">
+            {resultOptions.length > 0 && (
+              <fieldset>
+                <legend className="px-3 py-1 text-xs font-medium text-slate-500">{t('languages.inResults')}</legend>
+                {resultOptions.map(({ name, count }) => (
+                  <LanguageOption
+                    key={name}
+                    name={name}
+                    color={colorOf(name)}
+                    count={count}
+                    checked={isSelected(name)}
+                    onToggle={toggle}
+                  />
+                ))}
+              </fieldset>
+            )}
+            {otherOptions.length > 0 && (
+              <fieldset>
+                <legend className="px-3 py-1 text-xs font-medium text-slate-500">{t('languages.others')}</legend>
+                {otherOptions.map(({ name, color }) => (
+                  <LanguageOption
+                    key={name}
+                    name={name}
+                    color={color}
+                    checked={isSelected(name)}
+                    onToggle={toggle}
+                  />
+                ))}
+              </fieldset>
+            )}
+            {resultOptions.length === 0 && otherOptions.length === 0 && (
+              <p className="px-3 py-4 text-sm text-slate-500 text-center">
+                {languages.length === 0 && !term ? t('languages.loading') : t('languages.noMatches')}
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-between p-2 border-t border-slate-700">
+            <button
+              onClick={() => setDraft([])}
+              disabled={draft.length === 0}
+              className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-50"
+            >
+              {t('languages.clear')}
+            </button>
+            <button
+              onClick={close}
+              className="px-3 py-1 bg-purple-500 text-white text-xs rounded-md hover:bg-purple-600 transition-colors"
+            >
+              {t('languages.done')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LanguageSelect
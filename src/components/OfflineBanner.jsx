@@ -0,0 +1,29 @@
+import { WifiOff } from 'lucide-react'
+import { formatDateTime } from '../lib/format'
+import { t } from '../lib/i18n'
+
+// Shown in place of the error box when the list on screen is the last one saved, not a live search
+function OfflineBanner({ fetchedAt, matchesFilters, reason, onRetry }) {
+  return (
+    <div className="mb-4 bg-sky-500/10 border border-sky-500/50 rounded-lg p-4 flex items-center gap-3">
+      <WifiOff className="w-5 h-5 text-sky-400 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="text-sky-300 font-medium">
+          {t('offline.title', { time: formatDateTime(fetchedAt) })}
+        </p>
+        <p className="text-sky-200/80 text-sm">
+          {reason}
+          {!matchesFilters && ` ${t('offline.stale')}`}
+        </p>
+      </div>
+      <button
+        onClick={onRetry}
+        className="px-3 py-1 bg-sky-500 text-white text-sm rounded-lg hover:bg-sky-600 transition-colors"
+      >
+        {t('app.retry')}
+      </button>
+    </div>
+  )
+}
+
+export default OfflineBanner
@@ -0,0 +1,45 @@
+import { AlertCircle } from 'lucide-react'
+import { t } from '../lib/i18n'
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000))
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+function RateLimitBanner({ limits, limited, now, hasToken, onAddToken }) {
+  if (limited.length === 0) return null
+
+  return (
+    <div className="mb-4 bg-amber-500/10 border border-amber-500/50 rounded-lg p-4 flex items-center gap-3">
+      <AlertCircle className="w-5 h-5 text-amber-400 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="text-amber-400 font-medium">
+          {t('rateLimit.title')}
+        </p>
+        {limited.map(resource => (
+          <p key={resource} className="text-amber-300/80 text-sm">
+            {t(`rateLimit.${resource}`)}
+            {limits[resource].limit !== null && ` ${t(resource === 'search' ? 'rateLimit.perMinute' : 'rateLimit.perHour', { limit: limits[resource].limit })}`}
+            {' '}{t('rateLimit.resume', { time: formatCountdown(limits[resource].limitedUntil - now) })}
+          </p>
+        ))}
+        {!hasToken && (
+          <p className="text-amber-300/80 text-sm">
+            {t('rateLimit.tokenHint')}
+          </p>
+        )}
+      </div>
+      {!hasToken && (
+        <button
+          onClick={onAddToken}
+          className="px-3 py-1 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 transition-colors"
+        >
+          {t('rateLimit.addToken')}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default RateLimitBanner
@@ -0,0 +1,107 @@
+import { useState, useEffect, useMemo } from 'react'
+import { X, ExternalLink, FileText } from 'lucide-react'
+import 'highlight.js/styles/github-dark.css'
+import { fetchReadme } from '../lib/readme'
+import { renderMarkdown } from '../lib/markdown'
+import { t } from '../lib/i18n'
+import { useFocusTrap } from '../hooks/useFocusTrap'
+
+function ReadmeViewer({ repo, onClose }) {
+  const [readme, setReadme] = useState(null)
+  const [status, setStatus] = useState('loading')
+  const dialogRef = useFocusTrap()
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setStatus('loading')
+    fetchReadme(repo.owner.login, repo.name, controller.signal).then(result => {
+      if (controller.signal.aborted) return
+      setReadme(result)
+      setStatus(result ? 'ready' : 'missing')
+    })
+    return () => controller.abort()
+  }, [repo])
+
+  // Close on Escape and keep the page behind from scrolling
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    const overflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    window.addEventListener('keydown', handleKey)
+    return () => {
+      document.body.style.overflow = overflow
+      window.removeEventListener('keydown', handleKey)
+    }
+  }, [onClose])
+
+  const html = useMemo(() => readme && renderMarkdown(readme.content, {
+    owner: repo.owner.login,
+    repo: repo.name,
+    branch: repo.default_branch,
+    path: readme.path
+  }), [readme, repo])
+
+  return (
+    <div
+      className="fixed inset-0 z-20 bg-slate-950/80 backdrop-blur-sm flex items-start justify-center p-4 overflow-y-auto"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t('readme.title', { name: repo.full_name })}
+        className="w-full max-w-4xl my-8 focus:outline-none bg-slate-800 border border-slate-700 rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3 px-5 py-3 border-b border-slate-700">
+          <div className="flex items-center gap-2 min-w-0">
+            <FileText className="w-4 h-4 text-slate-400 flex-shrink-0" />
+            <h2 className="font-semibold text-slate-100 text-sm truncate">
+              {repo.full_name}{readme && <span className="text-slate-400 font-normal"> / {readme.path}</span>}
+            </h2>
+          </div>
+          <div className="flex items-center gap-1">
+            <a
+              href={`${repo.html_url}#readme`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="p-2 text-slate-400 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors"
+              title={t('readme.openOnGitHub', { name: repo.full_name })}
+              aria-label={t('readme.openOnGitHub', { name: repo.full_name })}
+            >
+              <ExternalLink className="w-4 h-4" />
+            </a>
+            <button
+              onClick={onClose}
+              className="p-2 text-slate-400 hover:text-slate-100 hover:bg-slate-700 rounded-lg transition-colors"
+              title={t('dialog.close')}
+              aria-label={t('dialog.close')}
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6">
+          {status === 'loading' && (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-purple-500"></div>
+            </div>
+          )}
+          {status === 'missing' && (
+            <p className="text-slate-400 text-center py-12">{t('readme.missing')}</p>
+          )}
+          {status === 'ready' && (
+            <div className="markdown-body" dangerouslySetInnerHTML={{ __html: html }} />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ReadmeViewer
@@ -0,0 +1,221 @@
+import { useEffect, useRef } from 'react'
+import { Star, GitFork, ExternalLink, ChevronDown, ChevronUp, FileText } from 'lucide-react'
+import BookmarkMenu from './BookmarkMenu'
+import Sparkline from './Sparkline'
+import RepoInsights from './RepoInsights'
+import VisitBadge from './VisitBadge'
+import { useRepoHistory } from '../hooks/useRepoHistory'
+import { formatNumber, formatRelativeTime, formatDate } from '../lib/format'
+import { t } from '../lib/i18n'
+
+function RepoCard({ repo, details, starDelta, visitChange, windowLabel, languageColor, colorOf, expanded, selected, onToggleExpand, onOpen, onVisible, onViewReadme, watchlist, compared, compareFull, onToggleCompare }) {
+  const cardRef = useRef(null)
+  const detailsLoading = !details || details.loading
+  const { history } = useRepoHistory(repo.id, { days: 30, enabled: expanded })
+  const starPoints = history.map(snapshot => ({ x: snapshot.timestamp, y: snapshot.stars }))
+
+  // Ask for README/topic enrichment the first time the card scrolls into view
+  useEffect(() => {
+    const card = cardRef.current
+    if (!card || details) return
+    
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect()
+        onVisible(repo)
+      }
+    }, { rootMargin: '200px' })
+    observer.observe(card)
+    return () => observer.disconnect()
+  }, [repo, details, onVisible])
+
+  const description = details?.enhancedDescription || repo.description || t('card.noDescription')
+
+  return (
+    <div
+      ref={cardRef}
+      data-repo-id={repo.id}
+      className={`repo-card bg-slate-800 border rounded-xl p-5 hover:border-purple-500/50 ${
+        // An expanded grid card takes the full row so the detail panel has room
+        expanded && onToggleExpand ? 'md:col-span-2 lg:col-span-3' : ''
+      } ${
+        selected ? 'border-purple-500 ring-2 ring-purple-500/40' : 'border-slate-700'
+      }`}
+    >
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <img
+            src={repo.owner.avatar_url}
+            alt=""
+            className="w-10 h-10 rounded-full border-2 border-slate-600"
+          />
+          <div>
+            <h3 className="flex items-center gap-2 font-semibold text-slate-100 text-sm">
+              <a
+                href={`/repo/${repo.owner.login}/${repo.name}`}
+                onClick={(e) => {
+                  // Keep modified clicks (new tab etc.) working as normal links
+                  if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+                  e.preventDefault()
+                  onOpen(repo)
+                }}
+                className="hover:text-purple-400 transition-colors"
+              >
+                {repo.owner.login}/{repo.name}
+              </a>
+              <VisitBadge change={visitChange} />
+            </h3>
+            <p className="text-xs text-slate-400">
+              <time dateTime={repo.created_at} title={formatDate(repo.created_at)}>
+                {t('card.created', { time: formatRelativeTime(repo.created_at) })}
+              </time>
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center">
+          {watchlist && <BookmarkMenu repo={repo} watchlist={watchlist} />}
+          <a
+            href={repo.html_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="p-2 text-slate-400 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors"
+            aria-label={t('card.openOnGitHub', { name: repo.full_name })}
+            title={t('card.openOnGitHub', { name: repo.full_name })}
+          >
+            <ExternalLink className="w-4 h-4" />
+          </a>
+        </div>
+      </div>
+      
+      <div className="mb-3">
+        {detailsLoading && !repo.description ? (
+          <div className="space-y-2 mb-2 animate-pulse">
+            <div className="h-3 bg-slate-700 rounded w-full"></div>
+            <div className="h-3 bg-slate-700 rounded w-5/6"></div>
+            <div className="h-3 bg-slate-700 rounded w-2/3"></div>
+          </div>
+        ) : (
+          <p className={`text-slate-300 text-sm mb-2 ${expanded ? '' : 'line-clamp-3'} ${detailsLoading ? 'opacity-60' : ''}`}>
+            {description}
+          </p>
+        )}
+        <div className="flex items-center gap-3">
+          {onToggleExpand && (
+            <button
+              onClick={() => onToggleExpand(repo.full_name)}
+              aria-expanded={expanded}
+              className="text-xs text-purple-400 hover:text-purple-300 flex items-center gap-1"
+            >
+              {expanded ? (
+                <><ChevronUp className="w-3 h-3" /> {t('card.hideDetails')}</>
+              ) : (
+                <><ChevronDown className="w-3 h-3" /> {t('card.showDetails')}</>
+              )}
+            </button>
+          )}
+          {details?.readmeAvailable && (
+            <button
+              onClick={() => onViewReadme(repo)}
+              className="text-xs text-purple-400 hover:text-purple-300 flex items-center gap-1"
+            >
+              <FileText className="w-3 h-3" /> {t('card.viewReadme')}
+            </button>
+          )}
+          {onToggleCompare && (
+            <label
+              className={`ml-auto text-xs flex items-center gap-1 ${compareFull && !compared ? 'text-slate-600' : 'text-slate-400 hover:text-slate-200 cursor-pointer'}`}
+              title={compareFull && !compared ? t('card.compareFull') : undefined}
+            >
+              <input
+                type="checkbox"
+                checked={!!compared}
+                disabled={compareFull && !compared}
+                onChange={() => onToggleCompare(repo.full_name)}
+                className="accent-purple-500"
+              />
+              {t('card.compare')}
+            </label>
+          )}
+        </div>
+      </div>
+      
+      {/* Topics/Tags */}
+      {detailsLoading ? (
+        <div className="flex gap-1 mb-3 animate-pulse">
+          <div className="h-4 w-14 bg-slate-700 rounded-full"></div>
+          <div className="h-4 w-20 bg-slate-700 rounded-full"></div>
+          <div className="h-4 w-12 bg-slate-700 rounded-full"></div>
+        </div>
+      ) : details.topics.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {details.topics.slice(0, 4).map((topic) => (
+            <span
+              key={topic}
+              className="px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded-full"
+            >
+              {topic}
+            </span>
+          ))}
+          {details.topics.length > 4 && (
+            <span className="px-2 py-0.5 text-slate-500 text-xs" title={t('card.moreTopics', { count: details.topics.length - 4 })}>
+              +{details.topics.length - 4}
+            </span>
+          )}
+        </div>
+      )}
+      
+      {expanded && <RepoInsights repo={repo} colorOf={colorOf} />}
+
+      {expanded && starPoints.length >= 2 && (
+        <div className="flex items-center gap-2 mb-3 text-xs text-slate-500">
+          <Sparkline points={starPoints} width={160} label={t('card.sparkline')} />
+          {t('card.sparklineCaption')}
+        </div>
+      )}
+      
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-4">
+          <div className="flex items-center gap-1 text-amber-400" title={t('card.stars', { count: repo.stargazers_count })}>
+            <Star className="w-4 h-4" />
+            <span className="sr-only">{t('card.stars', { count: repo.stargazers_count })}</span>
+            <span className="text-sm font-medium" aria-hidden="true">
+              {formatNumber(repo.stargazers_count)}
+            </span>
+          </div>
+          <div className="flex items-center gap-1 text-blue-400" title={t('card.forks', { count: repo.forks_count })}>
+            <GitFork className="w-4 h-4" />
+            <span className="sr-only">{t('card.forks', { count: repo.forks_count })}</span>
+            <span className="text-sm font-medium" aria-hidden="true">
+              {formatNumber(repo.forks_count)}
+            </span>
+          </div>
+        </div>
+        
+        {starDelta ? (
+          <span
+            className="text-xs font-medium text-green-400"
+            title={starDelta.partial ? t('card.historySince', { date: formatDate(starDelta.since) }) : undefined}
+          >
+            {t('card.starsGained', {
+              count: formatNumber(starDelta.gained),
+              window: starDelta.partial ? t('window.since', { date: formatDate(starDelta.since) }) : windowLabel
+            })}
+          </span>
+        ) : (
+          <span className="text-xs text-slate-500" title={t('card.trackingHint')}>
+            {t('card.tracking')}
+          </span>
+        )}
+        
+        {repo.language && (
+          <span className="flex items-center gap-1.5 text-slate-300 text-xs">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: languageColor }}></span>
+            {repo.language}
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RepoCard
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import RepoCard from './RepoCard'
+import { makeRepo } from '../test/github'
+
+const repo = makeRepo(1, { stargazers_count: 15430, forks_count: 210, topics: ['llm', 'rust', 'cli', 'ai', 'search'] })
+const details = { enhancedDescription: 'Summarized from the README.', topics: repo.topics, readmeAvailable: true }
+
+const renderCard = (props = {}) => render(
+  <RepoCard
+    repo={repo}
+    details={details}
+    starDelta={{ gained: 1200, since: 0, partial: false }}
+    windowLabel="this week"
+    languageColor="#f1e05a"
+    onOpen={vi.fn()}
+    onVisible={vi.fn()}
+    onViewReadme={vi.fn()}
+    {...props}
+  />
+)
+
+describe('RepoCard', () => {
+  it('shows the README summary, counts and star gain', () => {
+    renderCard()
+    expect(screen.getByText('Summarized from the README.')).toBeInTheDocument()
+    expect(screen.getByText('15.4K')).toBeInTheDocument()
+    expect(screen.getByText('15,430 stars')).toBeInTheDocument()
+    expect(screen.getByText('+1.2K stars this week')).toBeInTheDocument()
+    // Four topics and a count of the rest
+    expect(screen.getByText('llm')).toBeInTheDocument()
+    expect(screen.getByText('+1')).toBeInTheDocument()
+  })
+
+  it('opens the repo page on a plain click of its name', async () => {
+    const onOpen = vi.fn()
+    renderCard({ onOpen })
+    await userEvent.click(screen.getByRole('link', { name: 'owner1/repo1' }))
+    expect(onOpen).toHaveBeenCalledWith(repo)
+  })
+
+  it('labels the icon-only GitHub link', () => {
+    renderCard()
+    expect(screen.getByRole('link', { name: 'Open owner1/repo1 on GitHub' })).toHaveAttribute('href', repo.html_url)
+  })
+
+  it('toggles the detail panel', async () => {
+    const onToggleExpand = vi.fn()
+    renderCard({ onToggleExpand })
+    await userEvent.click(screen.getByRole('button', { name: /show details/i }))
+    expect(onToggleExpand).toHaveBeenCalledWith('owner1/repo1')
+  })
+
+  it('marks repos that are new since the last visit', () => {
+    renderCard({ visitChange: { seen: false, isNew: true, climbed: 0 } })
+    expect(screen.getByText('NEW')).toBeInTheDocument()
+  })
+
+  it('falls back to the search description while details load', () => {
+    renderCard({ details: undefined })
+    expect(screen.queryByText('Summarized from the README.')).not.toBeInTheDocument()
+    expect(screen.getByText('Description of repo1')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,202 @@
+import { Scale, Globe, Tag, CircleDot, GitPullRequest, HeartPulse } from 'lucide-react'
+import { useRepoInsights } from '../hooks/useRepoInsights'
+import { formatNumber, formatDate } from '../lib/format'
+import { t } from '../lib/i18n'
+
+const ACTIVITY_WEEKS = 12
+const TOP_LANGUAGES = 5
+
+// Community profile files, in the order GitHub's checklist lists them
+const COMMUNITY_FILES = ['readme', 'code_of_conduct', 'contributing', 'license', 'issue_template', 'pull_request_template']
+const OTHER_LANGUAGES_COLOR = '#64748b'
+
+function Section({ title, section, children }) {
+  return (
+    <section>
+      <h4 className="text-xs font-medium uppercase tracking-wide text-slate-500 mb-2">{title}</h4>
+      {!section || section.status === 'loading' ? (
+        <div className="h-4 bg-slate-700 rounded w-2/3 animate-pulse"></div>
+      ) : section.status === 'error' ? (
+        <p className="text-xs text-slate-500">{t('insights.loadError')}</p>
+      ) : (
+        children(section.data)
+      )}
+    </section>
+  )
+}
+
+function Fact({ icon: Icon, label, children }) {
+  return (
+    <div className="flex items-center gap-2 min-w-0">
+      <Icon className="w-3.5 h-3.5 text-slate-500 flex-shrink-0" />
+      <dt className="sr-only">{label}</dt>
+      <dd className="text-slate-300 truncate">{children}</dd>
+    </div>
+  )
+}
+
+function ActivityBars({ weeks }) {
+  const recent = weeks.slice(-ACTIVITY_WEEKS)
+  const max = Math.max(1, ...recent.map(week => week.total))
+  const total = recent.reduce((sum, week) => sum + week.total, 0)
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-12" role="img" aria-label={t('insights.commits', { count: total, weeks: recent.length })}>
+        {recent.map(week => (
+          <span
+            key={week.week}
+            className="flex-1 bg-purple-500/70 rounded-sm min-h-[2px]"
+            style={{ height: `${(week.total / max) * 100}%` }}
+            title={t('insights.weekCommits', { date: formatDate(week.week), count: week.total })}
+          ></span>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500 mt-1">{t('insights.commits', { count: total, weeks: recent.length })}</p>
+    </div>
+  )
+}
+
+function LanguageBreakdown({ bytes, colorOf }) {
+  const total = Object.values(bytes).reduce((sum, count) => sum + count, 0)
+  if (total === 0) return <p className="text-xs text-slate-500">{t('insights.noCode')}</p>
+
+  const entries = Object.entries(bytes)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ name, share: count / total, color: colorOf(name) }))
+  const top = entries.slice(0, TOP_LANGUAGES)
+  const otherShare = entries.slice(TOP_LANGUAGES).reduce((sum, entry) => sum + entry.share, 0)
+  if (otherShare > 0) top.push({ name: t('insights.otherLanguages'), share: otherShare, color: OTHER_LANGUAGES_COLOR })
+  const percent = (share) => t('insights.percent', { percent: Math.round(share * 1000) / 10 })
+
+  return (
+    <div>
+      <div className="flex h-2 rounded-full overflow-hidden bg-slate-700">
+        {top.map(entry => (
+          <span
+            key={entry.name}
+            style={{ width: `${entry.share * 100}%`, backgroundColor: entry.color }}
+            title={`${entry.name} ${percent(entry.share)}`}
+          ></span>
+        ))}
+      </div>
+      <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-2">
+        {top.map(entry => (
+          <li key={entry.name} className="flex items-center gap-1.5 text-xs text-slate-300">
+            <span
+              className="w-2 h-2 rounded-full"
+              style={{ backgroundColor: entry.color }}
+            ></span>
+            {entry.name} <span className="text-slate-500">{percent(entry.share)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// License, release, issue/PR counts, community health, languages, contributors and commit
+// activity for one repo; fetched when the panel first renders and served from the cache after
+function RepoInsights({ repo, colorOf }) {
+  const sections = useRepoInsights(repo)
+  const openPulls = sections.openPulls?.status === 'ready' ? sections.openPulls.data : null
+
+  return (
+    <div className="border-t border-slate-700 pt-4 mb-3 space-y-4 text-sm">
+      <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <Fact icon={Scale} label={t('insights.license')}>
+          {repo.license?.spdx_id && repo.license.spdx_id !== 'NOASSERTION'
+            ? repo.license.spdx_id
+            : repo.license?.name || t('insights.noLicense')}
+        </Fact>
+        {repo.homepage && (
+          <Fact icon={Globe} label={t('insights.homepage')}>
+            <a href={repo.homepage} target="_blank" rel="noopener noreferrer" className="text-purple-400 hover:text-purple-300">
+              {repo.homepage.replace(/^https?:\/\//, '').replace(/\/$/, '')}
+            </a>
+          </Fact>
+        )}
+        <Fact icon={Tag} label={t('insights.release')}>
+          {sections.release?.status === 'ready' ? (
+            sections.release.data ? (
+              <a href={sections.release.data.html_url} target="_blank" rel="noopener noreferrer" className="text-purple-400 hover:text-purple-300">
+                {sections.release.data.tag_name}
+                <span className="text-slate-500"> · {formatDate(sections.release.data.published_at)}</span>
+              </a>
+            ) : t('insights.noReleases')
+          ) : sections.release?.status === 'error' ? t('insights.releaseError') : t('insights.loadingRelease')}
+        </Fact>
+        {/* GitHub's open issue count includes pull requests */}
+        <Fact icon={CircleDot} label={t('insights.issues')}>
+          {t('insights.issueCount', { count: formatNumber(Math.max(0, repo.open_issues_count - (openPulls ?? 0))) })}
+        </Fact>
+        <Fact icon={GitPullRequest} label={t('insights.pulls')}>
+          {openPulls !== null
+            ? t('insights.pullCount', { count: formatNumber(openPulls) })
+            : sections.openPulls?.status === 'error' ? t('insights.pullsError') : t('insights.loadingPulls')}
+        </Fact>
+      </dl>
+
+      <Section title={t('insights.community')} section={sections.community}>
+        {profile => (
+          <div>
+            <div className="flex items-center gap-2">
+              <HeartPulse className="w-3.5 h-3.5 text-slate-500" />
+              <span className="flex-1 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                <span className="block h-full bg-green-500 rounded-full" style={{ width: `${profile.healthPercentage}%` }}></span>
+              </span>
+              <span className="text-xs text-slate-300">{profile.healthPercentage}%</span>
+            </div>
+            {profile.files.some(file => !file.present && COMMUNITY_FILES.includes(file.name)) && (
+              <p className="text-xs text-slate-500 mt-1">
+                {t('insights.missing', {
+                  files: profile.files
+                    .filter(file => !file.present && COMMUNITY_FILES.includes(file.name))
+                    .map(file => t(`insights.file.${file.name}`))
+                    .join(', ')
+                })}
+              </p>
+            )}
+          </div>
+        )}
+      </Section>
+
+      <Section title={t('insights.languages')} section={sections.languages}>
+        {bytes => <LanguageBreakdown bytes={bytes} colorOf={colorOf} />}
+      </Section>
+
+      <Section title={t('insights.contributors')} section={sections.contributors}>
+        {contributors => contributors.length === 0 ? (
+          <p className="text-xs text-slate-500">{t('insights.noContributors')}</p>
+        ) : (
+          <ul className="flex flex-wrap gap-1.5">
+            {contributors.map(contributor => (
+              <li key={contributor.login}>
+                <a href={contributor.html_url} target="_blank" rel="noopener noreferrer" title={t('insights.contributorCommits', { login: contributor.login, count: contributor.contributions })}>
+                  <img
+                    src={contributor.avatar_url}
+                    alt={contributor.login}
+                    loading="lazy"
+                    className="w-7 h-7 rounded-full border border-slate-600 hover:border-purple-400"
+                  />
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Section>
+
+      <Section title={t('insights.activity')} section={sections.activity}>
+        {weeks => !weeks ? (
+          <p className="text-xs text-slate-500">{t('insights.computing')}</p>
+        ) : weeks.length === 0 ? (
+          <p className="text-xs text-slate-500">{t('insights.noCommits')}</p>
+        ) : (
+          <ActivityBars weeks={weeks} />
+        )}
+      </Section>
+    </div>
+  )
+}
+
+export default RepoInsights
@@ -0,0 +1,69 @@
+import { Star, GitFork } from 'lucide-react'
+import BookmarkMenu from './BookmarkMenu'
+import VisitBadge from './VisitBadge'
+import { formatNumber, formatDate } from '../lib/format'
+import { t } from '../lib/i18n'
+import { useRowVisibility } from '../hooks/useRowVisibility'
+
+// Compact view: a single line per repo, about three times as many on screen as the grid
+function RepoList({ repos, details, starDeltas, visitChanges, windowLabel, colorOf, selectedId, onOpen, onVisible, watchlist }) {
+  const listRef = useRowVisibility(repos, details, onVisible)
+
+  return (
+    <ul ref={listRef} className="bg-slate-800 border border-slate-700 rounded-xl divide-y divide-slate-700/50">
+      {repos.map(repo => {
+        const delta = starDeltas[repo.id]
+        return (
+          <li
+            key={repo.id}
+            data-repo-id={repo.id}
+            className={`flex items-center gap-3 px-3 py-2 hover:bg-slate-700/30 ${selectedId === repo.id ? 'bg-purple-500/15' : ''}`}
+          >
+            <img
+              src={repo.owner.avatar_url}
+              alt={repo.owner.login}
+              className="w-6 h-6 rounded-full"
+            />
+            <div className="flex-1 min-w-0 flex items-baseline gap-2">
+              <a
+                href={`/repo/${repo.owner.login}/${repo.name}`}
+                onClick={(e) => {
+                  if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+                  e.preventDefault()
+                  onOpen(repo)
+                }}
+                className="text-sm font-medium text-slate-100 hover:text-purple-400 transition-colors whitespace-nowrap"
+              >
+                {repo.full_name}
+              </a>
+              <VisitBadge change={visitChanges?.[repo.id]} />
+              <span className="text-xs text-slate-400 truncate">
+                {details[repo.id]?.enhancedDescription || repo.description}
+              </span>
+            </div>
+            {repo.language && (
+              <span className="hidden sm:flex items-center gap-1.5 text-xs text-slate-300 whitespace-nowrap">
+                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: colorOf(repo.language) }}></span>
+                {repo.language}
+              </span>
+            )}
+            <span className="flex items-center gap-1 text-xs text-amber-400 w-16 justify-end">
+              <Star className="w-3 h-3" /> {formatNumber(repo.stargazers_count)}
+            </span>
+            <span className="hidden sm:flex items-center gap-1 text-xs text-blue-400 w-14 justify-end">
+              <GitFork className="w-3 h-3" /> {formatNumber(repo.forks_count)}
+            </span>
+            <span
+              className="hidden md:block text-xs text-green-400 w-36 text-right whitespace-nowrap"
+            >
+              {delta && `+${formatNumber(delta.gained)} ${delta.partial ? t('window.since', { date: formatDate(delta.since) }) : windowLabel}`}
+            </span>
+            {watchlist && <BookmarkMenu repo={repo} watchlist={watchlist} />}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default RepoList
@@ -0,0 +1,68 @@
+import { ArrowLeft } from 'lucide-react'
+import RepoCard from './RepoCard'
+import TrendChart from './TrendChart'
+import { t } from '../lib/i18n'
+
+// The /repo/:owner/:name page: the repo's expanded card and star history, with a link back to
+// `fromView`. `repo` is null while it loads or when it couldn't be (`error`).
+function RepoRoute({
+  repo,
+  error,
+  fromView,
+  onBack,
+  details,
+  starDeltas,
+  visitChanges,
+  windowLabel,
+  colorOf,
+  onOpen,
+  onVisible,
+  onViewReadme,
+  watchlist,
+  compare,
+  compareFull,
+  onToggleCompare
+}) {
+  return (
+    <div className="max-w-2xl mx-auto">
+      <button
+        onClick={onBack}
+        className="mb-4 flex items-center gap-2 text-sm text-slate-400 hover:text-slate-200 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4" /> {t('app.backTo', { view: t(`nav.${fromView}`) })}
+      </button>
+      {repo ? (
+        <>
+        <RepoCard
+          repo={repo}
+          details={details[repo.id]}
+          starDelta={starDeltas[repo.id]}
+          visitChange={visitChanges[repo.id]}
+          windowLabel={windowLabel}
+          languageColor={colorOf(repo.language)}
+          colorOf={colorOf}
+          expanded
+          onOpen={onOpen}
+          onVisible={onVisible}
+          onViewReadme={onViewReadme}
+          watchlist={watchlist}
+          compared={compare.includes(repo.full_name)}
+          compareFull={compareFull}
+          onToggleCompare={onToggleCompare}
+        />
+        <TrendChart repo={repo} />
+        </>
+      ) : error ? (
+        <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4 text-center">
+          <p className="text-red-400">{error}</p>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500"></div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RepoRoute
@@ -0,0 +1,109 @@
+import { ArrowUp, ArrowDown } from 'lucide-react'
+import BookmarkMenu from './BookmarkMenu'
+import VisitBadge from './VisitBadge'
+import { nextDirection, starsPerDay } from '../lib/sorting'
+import { formatNumber, formatDate } from '../lib/format'
+import { t } from '../lib/i18n'
+import { useRowVisibility } from '../hooks/useRowVisibility'
+
+const COLUMNS = [
+  { id: 'name', label: t('table.name'), align: 'left' },
+  { id: null, label: t('table.language'), align: 'left', wide: true },
+  { id: 'stars', label: t('table.stars'), align: 'right' },
+  { id: 'trending', label: t('table.trending'), align: 'right' },
+  { id: 'forks', label: t('table.forks'), align: 'right', wide: true },
+  { id: 'starsPerDay', label: t('table.starsPerDay'), align: 'right' },
+  { id: 'issues', label: t('table.issues'), align: 'right', wide: true },
+  { id: 'pushed', label: t('table.pushed'), align: 'right', wide: true }
+]
+
+// Columns marked `wide` drop out on small screens instead of scrolling, which would clip the bookmark popover
+const cellVisibility = (wide) => wide ? 'hidden md:table-cell' : ''
+
+// Dense view: one row per repo, sortable by clicking a column header
+function RepoTable({ repos, details, starDeltas, visitChanges, colorOf, selectedId, prefs, onPrefsChange, onOpen, onVisible, watchlist }) {
+  const bodyRef = useRowVisibility(repos, details, onVisible)
+  const sortBy = (sort) => onPrefsChange({ ...prefs, sort, direction: nextDirection(prefs, sort) })
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-slate-700 text-slate-400">
+            {COLUMNS.map(({ id, label, align, wide }) => (
+              <th
+                key={id ?? 'language'}
+                scope="col"
+                aria-sort={id && prefs.sort === id ? (prefs.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                className={`px-3 py-2 font-medium whitespace-nowrap ${align === 'right' ? 'text-right' : 'text-left'} ${cellVisibility(wide)}`}
+              >
+                {id ? (
+                  <button
+                    onClick={() => sortBy(id)}
+                    className={`inline-flex items-center gap-1 hover:text-slate-200 ${prefs.sort === id ? 'text-purple-400' : ''}`}
+                  >
+                    {label}
+                    {prefs.sort === id && (prefs.direction === 'asc'
+                      ? <ArrowUp className="w-3 h-3" />
+                      : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                ) : label}
+              </th>
+            ))}
+            <th scope="col"><span className="sr-only">{t('table.actions')}</span></th>
+          </tr>
+        </thead>
+        <tbody ref={bodyRef}>
+          {repos.map(repo => (
+            <tr
+              key={repo.id}
+              data-repo-id={repo.id}
+              className={`border-b border-slate-700/50 last:border-0 hover:bg-slate-700/30 ${selectedId === repo.id ? 'bg-purple-500/15' : ''}`}
+            >
+              <td className="px-3 py-2 max-w-xs">
+                <div className="flex items-center gap-2">
+                  <a
+                    href={`/repo/${repo.owner.login}/${repo.name}`}
+                    onClick={(e) => {
+                      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+                      e.preventDefault()
+                      onOpen(repo)
+                    }}
+                    className="font-medium text-slate-100 hover:text-purple-400 transition-colors"
+                  >
+                    {repo.full_name}
+                  </a>
+                  <VisitBadge change={visitChanges?.[repo.id]} />
+                </div>
+                {repo.description && <p className="text-xs text-slate-400 truncate">{repo.description}</p>}
+              </td>
+              <td className="hidden md:table-cell px-3 py-2 whitespace-nowrap text-slate-300">
+                {repo.language && (
+                  <span className="flex items-center gap-1.5 text-xs">
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: colorOf(repo.language) }}></span>
+                    {repo.language}
+                  </span>
+                )}
+              </td>
+              <td className="px-3 py-2 text-right text-amber-400">{formatNumber(repo.stargazers_count)}</td>
+              <td className="px-3 py-2 text-right text-green-400">
+                {starDeltas[repo.id] ? `+${formatNumber(starDeltas[repo.id].gained)}` : '—'}
+              </td>
+              <td className="hidden md:table-cell px-3 py-2 text-right text-blue-400">{formatNumber(repo.forks_count)}</td>
+              <td className="px-3 py-2 text-right text-slate-300">{starsPerDay(repo).toFixed(1)}</td>
+              <td className="hidden md:table-cell px-3 py-2 text-right text-slate-300">{formatNumber(repo.open_issues_count ?? 0)}</td>
+              <td className="hidden md:table-cell px-3 py-2 text-right text-slate-400 whitespace-nowrap">
+                {repo.pushed_at ? formatDate(repo.pushed_at) : '—'}
+              </td>
+              <td className="px-1 py-1">
+                {watchlist && <BookmarkMenu repo={repo} watchlist={watchlist} />}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default RepoTable
@@ -0,0 +1,29 @@
+import ViewControls from './ViewControls'
+import ExportMenu from './ExportMenu'
+import { t } from '../lib/i18n'
+
+// Above the trending list: how many repos are showing (and how many are new since the last
+// visit), the layout and sort controls, and the export menu for what's on screen
+function ResultsBar({ repos, newCount, basicInfo, prefs, onPrefsChange, details, languages, windowLabel }) {
+  return (
+    <div className="mb-4 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+      <p className="text-slate-400 text-sm">
+        {t('app.showing', { count: repos.length })}
+        {newCount > 0 && t('app.newSinceVisit', { count: newCount })}
+        {basicInfo && t('app.basicInfo')}
+      </p>
+      <div className="flex items-center gap-2">
+        <ViewControls prefs={prefs} onChange={onPrefsChange} />
+        <ExportMenu
+          repos={repos}
+          details={details}
+          title={languages.length > 0
+            ? t('app.exportTitleLanguages', { languages: languages.join(', '), window: windowLabel })
+            : t('app.exportTitle', { window: windowLabel })}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default ResultsBar
@@ -0,0 +1,75 @@
+import { useEffect } from 'react'
+import { X } from 'lucide-react'
+import { t } from '../lib/i18n'
+import { useFocusTrap } from '../hooks/useFocusTrap'
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+
+export const SHORTCUTS = [
+  { keys: [isMac ? '⌘' : 'Ctrl', 'K'], description: t('shortcuts.palette') },
+  { keys: ['j'], description: t('shortcuts.next') },
+  { keys: ['k'], description: t('shortcuts.previous') },
+  { keys: ['Enter'], description: t('shortcuts.open') },
+  { keys: ['o'], description: t('shortcuts.expand') },
+  { keys: ['b'], description: t('shortcuts.bookmark') },
+  { keys: ['/'], description: t('shortcuts.search') },
+  { keys: ['?'], description: t('shortcuts.help') },
+  { keys: ['Esc'], description: t('shortcuts.close') }
+]
+
+function ShortcutsHelp({ onClose }) {
+  const dialogRef = useFocusTrap()
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape' || e.key === '?') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  return (
+    <div
+      className="fixed inset-0 z-30 bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        tabIndex={-1}
+        className="w-full max-w-md focus:outline-none bg-slate-800 border border-slate-700 rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-5 py-3 border-b border-slate-700">
+          <h2 id="shortcuts-title" className="font-semibold text-slate-100 text-sm">{t('shortcuts.title')}</h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-slate-400 hover:text-slate-100 hover:bg-slate-700 rounded-lg transition-colors"
+            title={t('dialog.close')}
+            aria-label={t('dialog.close')}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <dl className="px-5 py-4 space-y-2">
+          {SHORTCUTS.map(({ keys, description }) => (
+            <div key={description} className="flex items-center justify-between gap-4 text-sm">
+              <dt className="text-slate-300">{description}</dt>
+              <dd className="flex gap-1">
+                {keys.map(key => (
+                  <kbd key={key} className="px-2 py-0.5 bg-slate-700 border border-slate-600 rounded text-xs text-slate-200 font-mono">
+                    {key}
+                  </kbd>
+                ))}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutsHelp
@@ -0,0 +1,27 @@
+// Tiny inline line chart of `points` ({ x: timestamp, y: value }), spaced by time rather than by
+// index since snapshots aren't evenly spaced. Renders nothing until there are two points to join.
+function Sparkline({ points, width = 120, height = 28, className = 'text-purple-400', label }) {
+  if (points.length < 2) return null
+
+  const xs = points.map(point => point.x)
+  const ys = points.map(point => point.y)
+  const minX = Math.min(...xs)
+  const spanX = Math.max(...xs) - minX || 1
+  const minY = Math.min(...ys)
+  const spanY = Math.max(...ys) - minY || 1
+  const line = points
+    .map(({ x, y }) => {
+      const px = ((x - minX) / spanX) * width
+      const py = height - 2 - ((y - minY) / spanY) * (height - 4)
+      return `${px.toFixed(1)},${py.toFixed(1)}`
+    })
+    .join(' ')
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className={className} role="img" aria-label={label}>
+      <polyline points={line} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  )
+}
+
+export default Sparkline
@@ -0,0 +1,25 @@
+import { Monitor, Sun, Moon } from 'lucide-react'
+import { nextThemePreference } from '../lib/theme'
+import { t } from '../lib/i18n'
+
+const ICONS = { system: Monitor, light: Sun, dark: Moon }
+
+// Header button cycling through the system, light and dark themes
+function ThemeToggle({ preference, onChange }) {
+  const Icon = ICONS[preference]
+  const next = nextThemePreference(preference)
+  const label = t('theme.switch', { current: t(`theme.${preference}`), next: t(`theme.${next}`) })
+
+  return (
+    <button
+      onClick={() => onChange(next)}
+      className="p-2 rounded-lg text-slate-400 hover:text-purple-400 hover:bg-purple-500/10 transition-colors"
+      title={label}
+      aria-label={label}
+    >
+      <Icon className="w-5 h-5" />
+    </button>
+  )
+}
+
+export default ThemeToggle
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { CheckCircle2, AlertCircle, Github } from 'lucide-react'
+import {
+  validateToken,
+  isDeviceFlowAvailable,
+  startDeviceFlow,
+  pollDeviceFlow
+} from '../lib/auth'
+import { t } from '../lib/i18n'
+
+function TokenInfo({ info }) {
+  return (
+    <div className="mt-3 flex items-start gap-3 bg-green-500/10 border border-green-500/30 rounded-lg p-3" role="status">
+      <img src={info.avatarUrl} alt="" className="w-8 h-8 rounded-full" />
+      <div className="text-sm">
+        <p className="flex items-center gap-1 text-green-300 font-medium">
+          <CheckCircle2 className="w-4 h-4" /> {t('token.signedIn', { login: info.login })}
+        </p>
+        <p className="text-slate-400 text-xs mt-1">
+          {info.kind} · {info.scopes === null
+            ? t('token.perRepository')
+            : info.scopes.length > 0 ? t('token.scopes', { scopes: info.scopes.join(', ') }) : t('token.noScopes')}
+        </p>
+        <p className="text-slate-400 text-xs">
+          {t('token.remaining', { remaining: info.rateLimit.remaining, limit: info.rateLimit.limit })}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// Enter, check and store the GitHub token, or sign in through the OAuth device flow when configured
+function TokenPanel({ token, persist, onSave, onClear }) {
+  const [draft, setDraft] = useState(token)
+  const [remember, setRemember] = useState(persist)
+  const [status, setStatus] = useState(token ? 'checking' : 'idle')
+  const [info, setInfo] = useState(null)
+  const [error, setError] = useState(null)
+  const [device, setDevice] = useState(null)
+  const abortRef = useRef(null)
+  // The last token shown as valid, so saving one doesn't check it a second time
+  const checkedRef = useRef(null)
+
+  const check = useCallback(async (candidate) => {
+    abortRef.current?.abort()
+    const controller = new AbortController()
+    abortRef.current = controller
+    setStatus('checking')
+    setError(null)
+    try {
+      const result = await validateToken(candidate, controller.signal)
+      if (controller.signal.aborted) return null
+      checkedRef.current = candidate
+      setInfo(result)
+      setStatus('valid')
+      return result
+    } catch (err) {
+      if (controller.signal.aborted) return null
+      setInfo(null)
+      setError(err.message)
+      setStatus('invalid')
+      return null
+    }
+  }, [])
+
+  // Show who the current token belongs to when the panel opens or the token changes elsewhere
+  useEffect(() => {
+    if (token && token !== checkedRef.current) check(token)
+    return () => abortRef.current?.abort()
+  }, [token, check])
+
+  const save = async (e) => {
+    e.preventDefault()
+    const candidate = draft.trim()
+    if (!candidate) return
+    if (await check(candidate)) onSave(candidate, remember)
+  }
+
+  const clear = () => {
+    abortRef.current?.abort()
+    setDraft('')
+    setInfo(null)
+    setError(null)
+    setDevice(null)
+    setStatus('idle')
+    checkedRef.current = null
+    onClear()
+  }
+
+  const signIn = async () => {
+    abortRef.current?.abort()
+    const controller = new AbortController()
+    abortRef.current = controller
+    setError(null)
+    try {
+      const flow = await startDeviceFlow(controller.signal)
+      setDevice(flow)
+      const accessToken = await pollDeviceFlow(flow, controller.signal)
+      setDevice(null)
+      setDraft(accessToken)
+      if (await check(accessToken)) onSave(accessToken, remember)
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setDevice(null)
+      setError(err.message)
+    }
+  }
+
+  const cancelSignIn = () => {
+    abortRef.current?.abort()
+    setDevice(null)
+  }
+
+  return (
+    <div className="mb-4 bg-slate-800 border border-slate-700 rounded-lg p-4">
+      <form onSubmit={save}>
+        <label htmlFor="github-token" className="block text-sm font-medium text-slate-300 mb-2">
+          {t('token.label')}
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="github-token"
+            type="password"
+            autoComplete="off"
+            placeholder="ghp_xxxxxxxxxxxx"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-invalid={status === 'invalid'}
+            aria-describedby={error ? 'github-token-error' : undefined}
+            className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <button
+            type="submit"
+            disabled={!draft.trim() || status === 'checking'}
+            className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 disabled:opacity-40 transition-colors"
+          >
+            {status === 'checking' ? t('token.checking') : t('token.save')}
+          </button>
+          <button
+            type="button"
+            onClick={clear}
+            className="px-4 py-2 text-slate-400 hover:text-slate-200"
+          >
+            {t('token.clear')}
+          </button>
+        </div>
+        <label className="mt-2 flex items-center gap-2 text-xs text-slate-400">
+          <input
+            type="checkbox"
+            checked={remember}
+            onChange={(e) => {
+              setRemember(e.target.checked)
+              if (token && status === 'valid') onSave(token, e.target.checked)
+            }}
+            className="accent-purple-500"
+          />
+          {t('token.remember')}
+        </label>
+      </form>
+
+      {isDeviceFlowAvailable() && (
+        <div className="mt-3">
+          {device ? (
+            <div className="bg-slate-900/60 border border-slate-700 rounded-lg p-3 text-sm text-slate-300" role="status">
+              <p>
+                {t('token.enterCode')}{' '}
+                <code className="px-2 py-0.5 bg-slate-700 rounded font-mono text-slate-100">{device.userCode}</code>{' '}
+                <a href={device.verificationUri} target="_blank" rel="noopener noreferrer" className="text-purple-400 hover:text-purple-300">
+                  {device.verificationUri}
+                </a>
+              </p>
+              <p className="mt-1 text-xs text-slate-400">
+                {t('token.waiting')}{' '}
+                <button onClick={cancelSignIn} className="text-slate-300 hover:text-slate-100 underline">{t('token.cancel')}</button>
+              </p>
+            </div>
+          ) : (
+            <button
+              onClick={signIn}
+              className="flex items-center gap-2 px-3 py-1.5 bg-slate-700 text-slate-100 text-sm rounded-lg hover:bg-slate-600 transition-colors"
+            >
+              <Github className="w-4 h-4" /> {t('token.signIn')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {status === 'valid' && info && <TokenInfo info={info} />}
+      {error && (
+        <p id="github-token-error" className="mt-3 flex items-center gap-1 text-sm text-red-400" role="alert">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" /> {error}
+        </p>
+      )}
+
+      <p className="mt-2 text-xs text-slate-400">
+        {t('token.limits')}
+        <a 
+          href="https://github.com/settings/tokens/new" 
+          target="_blank" 
+          rel="noopener noreferrer"
+          className="text-purple-400 hover:text-purple-300 ml-1"
+        >
+          {t('token.create')} <span aria-hidden="true">→</span>
+        </a>
+      </p>
+    </div>
+  )
+}
+
+export default TokenPanel
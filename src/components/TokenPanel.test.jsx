@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import TokenPanel from './TokenPanel'
+
+describe('TokenPanel', () => {
+  it('saves a token once GitHub accepts it', async () => {
+    const onSave = vi.fn()
+    render(<TokenPanel token="" persist={false} onSave={onSave} onClear={vi.fn()} />)
+
+    await userEvent.type(screen.getByPlaceholderText(/ghp_/), 'good-token')
+    await userEvent.click(screen.getByRole('button', { name: /save/i }))
+
+    expect(await screen.findByText(/Signed in as octocat/)).toBeInTheDocument()
+    expect(onSave).toHaveBeenCalledWith('good-token', false)
+  })
+
+  it('keeps a rejected token out of storage', async () => {
+    const onSave = vi.fn()
+    render(<TokenPanel token="" persist={false} onSave={onSave} onClear={vi.fn()} />)
+
+    await userEvent.type(screen.getByPlaceholderText(/ghp_/), 'bad-token')
+    await userEvent.click(screen.getByRole('button', { name: /save/i }))
+
+    expect(await screen.findByText(/GitHub rejected this token/)).toBeInTheDocument()
+    expect(onSave).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef } from 'react'
+import { History } from 'lucide-react'
+import { useRepoHistory } from '../hooks/useRepoHistory'
+import { backfillStarHistory, MAX_BACKFILL_REQUESTS } from '../lib/snapshots'
+import { formatNumber, formatDate, formatDateTime } from '../lib/format'
+import { t } from '../lib/i18n'
+
+const METRICS = [
+  { id: 'stars', label: t('chart.stars'), color: 'text-amber-400' },
+  { id: 'forks', label: t('chart.forks'), color: 'text-blue-400' },
+  { id: 'watchers', label: t('chart.watchers'), color: 'text-green-400' },
+  { id: 'openIssues', label: t('chart.openIssues'), color: 'text-red-400' }
+]
+
+const RANGES = [30, 90]
+
+const WIDTH = 600
+const HEIGHT = 200
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 }
+
+// History chart for the repo detail view, drawn from local snapshots plus any backfilled stars
+function TrendChart({ repo }) {
+  const [days, setDays] = useState(30)
+  const [metric, setMetric] = useState('stars')
+  const [backfilling, setBackfilling] = useState(false)
+  const [backfillError, setBackfillError] = useState(null)
+  const { history, reload } = useRepoHistory(repo.id, { days })
+  const abortRef = useRef(null)
+
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const backfill = async () => {
+    abortRef.current = new AbortController()
+    setBackfilling(true)
+    setBackfillError(null)
+    try {
+      await backfillStarHistory(repo, { days: Math.max(...RANGES), signal: abortRef.current.signal })
+      reload()
+    } catch (err) {
+      if (err.name !== 'AbortError') setBackfillError(err.message)
+    } finally {
+      setBackfilling(false)
+    }
+  }
+
+  const { label, color } = METRICS.find(({ id }) => id === metric)
+  const points = history
+    .filter(snapshot => snapshot[metric] != null)
+    .map(snapshot => ({ x: snapshot.timestamp, y: snapshot[metric] }))
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const minX = Date.now() - days * 24 * 60 * 60 * 1000
+  const maxX = Date.now()
+  const ys = points.map(point => point.y)
+  const minY = Math.min(...ys)
+  const maxY = Math.max(...ys)
+  const spanY = maxY - minY || 1
+  const toX = (x) => PADDING.left + ((x - minX) / (maxX - minX)) * plotWidth
+  const toY = (y) => PADDING.top + plotHeight - ((y - minY) / spanY) * plotHeight
+
+  return (
+    <section className="mt-4 bg-slate-800 border border-slate-700 rounded-xl p-5">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex bg-slate-900/60 rounded-lg p-1">
+          {METRICS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setMetric(id)}
+              className={`px-2 py-0.5 rounded-md text-xs font-medium transition-colors ${
+                metric === id ? 'bg-purple-500 text-white' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex bg-slate-900/60 rounded-lg p-1">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-2 py-0.5 rounded-md text-xs font-medium transition-colors ${
+                days === range ? 'bg-purple-500 text-white' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              {t('chart.days', { count: range })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length < 2 ? (
+        <p className="py-8 text-center text-sm text-slate-400">
+          {points.length === 0 ? t('chart.noHistory') : t('chart.oneSnapshot')} {t('chart.snapshotHint')}
+        </p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={`w-full h-auto ${color}`} role="img" aria-label={t('chart.label', { metric: label, days })}>
+          <g className="text-slate-500" fill="currentColor" fontSize="11">
+            <text x={PADDING.left - 6} y={toY(maxY) + 4} textAnchor="end">{formatNumber(maxY)}</text>
+            <text x={PADDING.left - 6} y={toY(minY) + 4} textAnchor="end">{formatNumber(minY)}</text>
+            <text x={PADDING.left} y={HEIGHT - 6}>{formatDate(minX)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">{t('chart.today')}</text>
+          </g>
+          <line
+            x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight}
+            className="text-slate-700" stroke="currentColor"
+          />
+          <polyline
+            points={points.map(({ x, y }) => `${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join(' ')}
+            fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"
+          />
+          {points.map(({ x, y }) => (
+            <circle key={x} cx={toX(x)} cy={toY(y)} r="2.5" fill="currentColor">
+              <title>{t('chart.point', { time: formatDateTime(x), count: y })}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+
+      {metric === 'stars' && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+          <button
+            onClick={backfill}
+            disabled={backfilling}
+            className="flex items-center gap-1 text-purple-400 hover:text-purple-300 disabled:opacity-50"
+          >
+            <History className="w-3 h-3" />
+            {backfilling ? t('chart.backfilling') : t('chart.backfill')}
+          </button>
+          <span>{t('chart.backfillCost', { count: MAX_BACKFILL_REQUESTS })}</span>
+          {backfillError && <span className="text-red-400">{backfillError}</span>}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default TrendChart
@@ -0,0 +1,152 @@
+import RepoCard from './RepoCard'
+import RepoList from './RepoList'
+import RepoTable from './RepoTable'
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll'
+import { t } from '../lib/i18n'
+
+// The trending list in the chosen layout (grid, compact list or table), with infinite scroll and
+// a load more button for the next page. `noResults` shows the empty state instead, and `allSeen`
+// says that hiding seen repos left nothing of a non-empty list.
+function TrendingView({
+  repos,
+  noResults,
+  allSeen,
+  prefs,
+  onPrefsChange,
+  details,
+  starDeltas,
+  visitChanges,
+  windowLabel,
+  colorOf,
+  selectedId,
+  expandedRepo,
+  onToggleExpand,
+  onOpen,
+  onVisible,
+  onViewReadme,
+  watchlist,
+  compare,
+  compareFull,
+  onToggleCompare,
+  hasMore,
+  loadingMore,
+  loadMoreError,
+  onLoadMore
+}) {
+  // Automatic loading stops after a failure; the button retries
+  const sentinelRef = useInfiniteScroll(onLoadMore, hasMore && !loadMoreError)
+
+  return (
+    <>
+      {prefs.view === 'table' && (
+        <RepoTable
+          repos={repos}
+          details={details}
+          starDeltas={starDeltas}
+          visitChanges={visitChanges}
+          colorOf={colorOf}
+          selectedId={selectedId}
+          prefs={prefs}
+          onPrefsChange={onPrefsChange}
+          onOpen={onOpen}
+          onVisible={onVisible}
+          watchlist={watchlist}
+        />
+      )}
+
+      {prefs.view === 'list' && (
+        <RepoList
+          repos={repos}
+          details={details}
+          starDeltas={starDeltas}
+          visitChanges={visitChanges}
+          windowLabel={windowLabel}
+          colorOf={colorOf}
+          selectedId={selectedId}
+          onOpen={onOpen}
+          onVisible={onVisible}
+          watchlist={watchlist}
+        />
+      )}
+
+      {prefs.view === 'grid' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {repos.map((repo) => (
+            <RepoCard
+              key={repo.id}
+              repo={repo}
+              details={details[repo.id]}
+              starDelta={starDeltas[repo.id]}
+              visitChange={visitChanges[repo.id]}
+              windowLabel={windowLabel}
+              languageColor={colorOf(repo.language)}
+              colorOf={colorOf}
+              expanded={expandedRepo === repo.full_name}
+              selected={selectedId === repo.id}
+              onToggleExpand={onToggleExpand}
+              onOpen={onOpen}
+              onVisible={onVisible}
+              onViewReadme={onViewReadme}
+              watchlist={watchlist}
+              compared={compare.includes(repo.full_name)}
+              compareFull={compareFull}
+              onToggleCompare={onToggleCompare}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Load More */}
+      {hasMore && (
+        <div ref={sentinelRef} className="flex flex-col items-center gap-2 py-8">
+          {loadMoreError && (
+            <p className="text-red-400 text-sm">{loadMoreError}</p>
+          )}
+          {loadingMore ? (
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-500"></div>
+          ) : (
+            <button
+              onClick={onLoadMore}
+              className="px-4 py-2 bg-slate-800 border border-slate-700 text-slate-300 rounded-lg hover:border-purple-500/50 hover:text-slate-100 transition-colors"
+            >
+              {loadMoreError ? t('app.retry') : t('app.loadMore')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Empty State */}
+      {noResults && (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">🔍</div>
+          <h3 className="text-xl font-semibold text-slate-300 mb-2">
+            {t('app.noResults')}
+          </h3>
+          <p className="text-slate-400">
+            {t('app.emptyHint')}
+          </p>
+        </div>
+      )}
+
+      {allSeen && (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">👀</div>
+          <h3 className="text-xl font-semibold text-slate-300 mb-2">
+            {t('app.allSeen')}
+          </h3>
+          <p className="text-slate-400">
+            {t('app.allSeenHint')}{' '}
+            <button
+              onClick={() => onPrefsChange({ ...prefs, hideSeen: false })}
+              className="text-purple-400 hover:text-purple-300"
+            >
+              {t('app.showSeen')}
+            </button>
+          </p>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default TrendingView
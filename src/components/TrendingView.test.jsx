@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import TrendingView from './TrendingView'
+import { DEFAULT_VIEW_PREFS } from '../lib/sorting'
+import { makeRepo } from '../test/github'
+
+const renderView = (props = {}) => render(
+  <TrendingView
+    repos={[]}
+    prefs={{ ...DEFAULT_VIEW_PREFS, hideSeen: true }}
+    onPrefsChange={vi.fn()}
+    details={{}}
+    starDeltas={{}}
+    visitChanges={{}}
+    windowLabel="today"
+    colorOf={() => '#8b949e'}
+    compare={[]}
+    hasMore={false}
+    {...props}
+  />
+)
+
+describe('TrendingView', () => {
+  it('says every repo was seen, rather than nothing found, and can show them again', async () => {
+    const onPrefsChange = vi.fn()
+    renderView({ allSeen: true, onPrefsChange })
+
+    expect(screen.queryByText('No repositories found')).not.toBeInTheDocument()
+    expect(screen.getByText('You\'ve seen every repo in this list')).toBeInTheDocument()
+    await userEvent.click(screen.getByRole('button', { name: 'Show them again' }))
+    expect(onPrefsChange).toHaveBeenCalledWith(expect.objectContaining({ hideSeen: false }))
+  })
+
+  it.each(['list', 'table'])('asks for details of rows scrolled into view in the %s view', (view) => {
+    // Every observed row counts as on screen at once
+    class VisibleObserver {
+      constructor(callback) { this.callback = callback }
+      observe(target) { this.callback([{ target, isIntersecting: true }]) }
+      unobserve() {}
+      disconnect() {}
+    }
+    vi.stubGlobal('IntersectionObserver', VisibleObserver)
+    const onVisible = vi.fn()
+    const repos = [makeRepo(1), makeRepo(2)]
+    renderView({ repos, details: { 2: { enhancedDescription: 'Loaded' } }, prefs: { ...DEFAULT_VIEW_PREFS, view }, onVisible })
+    vi.unstubAllGlobals()
+
+    expect(onVisible.mock.calls.map(([repo]) => repo.id)).toEqual([1])
+  })
+})
@@ -0,0 +1,68 @@
+import { LayoutGrid, List, Table, ArrowUp, ArrowDown, EyeOff } from 'lucide-react'
+import { SORT_KEYS, nextDirection } from '../lib/sorting'
+import { t } from '../lib/i18n'
+
+const VIEW_OPTIONS = [
+  { id: 'grid', Icon: LayoutGrid },
+  { id: 'list', Icon: List },
+  { id: 'table', Icon: Table }
+]
+
+function ViewControls({ prefs, onChange }) {
+  const changeSort = (sort) => onChange({ ...prefs, sort, direction: SORT_KEYS.find(key => key.id === sort).direction })
+  const flipDirection = () => onChange({ ...prefs, direction: nextDirection(prefs, prefs.sort) })
+
+  return (
+    <div className="flex items-center gap-2">
+      <label className="flex items-center gap-2 text-sm text-slate-400">
+        {t('view.sort')}
+        <select
+          value={prefs.sort}
+          onChange={(e) => changeSort(e.target.value)}
+          className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          {SORT_KEYS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        onClick={flipDirection}
+        className="p-1.5 text-slate-400 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors"
+        title={prefs.direction === 'asc' ? t('view.ascending') : t('view.descending')}
+        aria-label={prefs.direction === 'asc' ? t('view.ascending') : t('view.descending')}
+      >
+        {prefs.direction === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+      </button>
+      <button
+        onClick={() => onChange({ ...prefs, hideSeen: !prefs.hideSeen })}
+        className={`p-1.5 rounded-lg transition-colors ${
+          prefs.hideSeen ? 'text-purple-400 bg-purple-500/10' : 'text-slate-400 hover:text-purple-400 hover:bg-purple-500/10'
+        }`}
+        title={t('view.hideSeen')}
+        aria-label={t('view.hideSeen')}
+        aria-pressed={prefs.hideSeen}
+      >
+        <EyeOff className="w-4 h-4" />
+      </button>
+      <div className="flex bg-slate-800 rounded-lg p-1" role="group" aria-label={t('view.layout')}>
+        {VIEW_OPTIONS.map(({ id, Icon }) => (
+          <button
+            key={id}
+            onClick={() => onChange({ ...prefs, view: id })}
+            aria-pressed={prefs.view === id}
+            className={`p-1 rounded-md transition-colors ${
+              prefs.view === id ? 'bg-purple-500 text-white' : 'text-slate-400 hover:text-slate-200'
+            }`}
+            title={t(`view.${id}`)}
+            aria-label={t(`view.${id}`)}
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ViewControls
@@ -0,0 +1,27 @@
+import { ArrowUp } from 'lucide-react'
+import { t } from '../lib/i18n'
+
+// "NEW" or "climbed N places" since the last visit; nothing for repos that held or lost ground
+function VisitBadge({ change }) {
+  if (change?.isNew) {
+    return (
+      <span className="px-1.5 py-0.5 bg-green-500/20 text-green-300 text-[10px] font-semibold rounded" title={t('visit.newHint')}>
+        {t('visit.new')}
+      </span>
+    )
+  }
+  if (change?.climbed > 0) {
+    return (
+      <span
+        className="flex items-center gap-0.5 px-1.5 py-0.5 bg-blue-500/20 text-blue-300 text-[10px] font-medium rounded whitespace-nowrap"
+        title={t('visit.climbed', { count: change.climbed })}
+      >
+        <ArrowUp className="w-3 h-3" /> <span aria-hidden="true">{change.climbed}</span>
+        <span className="sr-only">{t('visit.climbed', { count: change.climbed })}</span>
+      </span>
+    )
+  }
+  return null
+}
+
+export default VisitBadge
@@ -0,0 +1,306 @@
+import { useState, useEffect, useRef } from 'react'
+import { Star, GitFork, RefreshCw, Download, Upload, Pencil, Trash2, X, GitCommit } from 'lucide-react'
+import { fetchRepoInfo } from '../lib/repos'
+import { exportCollections, DEFAULT_COLLECTION_ID } from '../lib/watchlist'
+import { createRequestQueue } from '../lib/requestQueue'
+import { downloadFile } from '../lib/download'
+import { formatNumber, formatDate, formatTime } from '../lib/format'
+import { t } from '../lib/i18n'
+
+const refreshQueue = createRequestQueue({ concurrency: 2, spacingMs: 100 })
+
+function Change({ value }) {
+  if (!value) return null
+  return (
+    <span className={`text-xs font-medium ${value > 0 ? 'text-green-400' : 'text-red-400'}`}>
+      {value > 0 ? '+' : '−'}{formatNumber(Math.abs(value))}
+    </span>
+  )
+}
+
+function BookmarkRow({ bookmark, current, onOpen, onRemove }) {
+  const stars = current?.stargazers_count ?? bookmark.baseline.stars
+  const forks = current?.forks_count ?? bookmark.baseline.forks
+  const pushedAt = current?.pushed_at ?? bookmark.baseline.pushedAt
+  const pushedSince = current && bookmark.baseline.pushedAt && current.pushed_at > bookmark.baseline.pushedAt
+
+  return (
+    <li className="flex items-start gap-3 bg-slate-800 border border-slate-700 rounded-xl p-4">
+      <img
+        src={bookmark.owner.avatar_url}
+        alt={bookmark.owner.login}
+        className="w-10 h-10 rounded-full border-2 border-slate-600"
+      />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center justify-between gap-2">
+          <a
+            href={`/repo/${bookmark.fullName}`}
+            onClick={(e) => {
+              if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+              e.preventDefault()
+              onOpen(bookmark.fullName)
+            }}
+            className="font-semibold text-sm text-slate-100 hover:text-purple-400 transition-colors truncate"
+          >
+            {bookmark.fullName}
+          </a>
+          <button
+            onClick={() => onRemove(bookmark.id)}
+            className="p-1 text-slate-500 hover:text-red-400 transition-colors"
+            title={t('watchlist.remove')}
+            aria-label={t('watchlist.remove')}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {bookmark.description && (
+          <p className="text-sm text-slate-400 line-clamp-2 mt-1">{bookmark.description}</p>
+        )}
+        <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+          <span className="flex items-center gap-1 text-amber-400">
+            <Star className="w-4 h-4" /> {formatNumber(stars)}
+            {current && <Change value={stars - bookmark.baseline.stars} />}
+          </span>
+          <span className="flex items-center gap-1 text-blue-400">
+            <GitFork className="w-4 h-4" /> {formatNumber(forks)}
+            {current && <Change value={forks - bookmark.baseline.forks} />}
+          </span>
+          {pushedAt && (
+            <span className={`flex items-center gap-1 text-xs ${pushedSince ? 'text-green-400' : 'text-slate-500'}`}>
+              <GitCommit className="w-4 h-4" />
+              {t(pushedSince ? 'watchlist.pushedSince' : 'watchlist.pushed', { date: formatDate(pushedAt) })}
+            </span>
+          )}
+          <span className="text-xs text-slate-500 ml-auto">
+            {t('watchlist.saved', { date: formatDate(bookmark.bookmarkedAt) })}
+          </span>
+        </div>
+      </div>
+    </li>
+  )
+}
+
+// Saved collections: browse, rename, refresh against GitHub, and move between machines as JSON
+function WatchlistView({ watchlist, onOpen }) {
+  const { collections } = watchlist.watchlist
+  const [activeId, setActiveId] = useState(DEFAULT_COLLECTION_ID)
+  const [renaming, setRenaming] = useState(null)
+  const [newName, setNewName] = useState('')
+  // Latest repo info by id, filled in by Refresh
+  const [current, setCurrent] = useState({})
+  const [refreshing, setRefreshing] = useState(false)
+  const [refreshedAt, setRefreshedAt] = useState(null)
+  const [importError, setImportError] = useState(null)
+  const fileInputRef = useRef(null)
+  const abortRef = useRef(null)
+
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const active = collections.find(collection => collection.id === activeId) || collections[0]
+
+  const refresh = async () => {
+    abortRef.current?.abort()
+    const controller = new AbortController()
+    abortRef.current = controller
+    setRefreshing(true)
+
+    await Promise.all(active.repos.map(bookmark =>
+      refreshQueue.enqueue(signal => fetchRepoInfo(bookmark.owner.login, bookmark.name, signal), controller.signal)
+        .then(info => {
+          if (info) setCurrent(prev => ({ ...prev, [bookmark.id]: info }))
+        })
+        .catch(() => {
+          // Aborted by leaving the view or refreshing again
+        })
+    ))
+    if (!controller.signal.aborted) {
+      setRefreshing(false)
+      setRefreshedAt(new Date())
+    }
+  }
+
+  const createCollection = (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+    watchlist.createCollection(name)
+    setNewName('')
+  }
+
+  const commitRename = (e) => {
+    e.preventDefault()
+    const name = renaming.name.trim()
+    if (name) watchlist.renameCollection(renaming.id, name)
+    setRenaming(null)
+  }
+
+  const deleteActive = () => {
+    if (!window.confirm(t('watchlist.confirmDelete', { name: active.name, count: active.repos.length }))) return
+    watchlist.deleteCollection(active.id)
+    setActiveId(DEFAULT_COLLECTION_ID)
+  }
+
+  const exportJson = (collectionIds) => {
+    const date = new Date().toISOString().slice(0, 10)
+    downloadFile(exportCollections(watchlist.watchlist, collectionIds), `github-trends-collections-${date}.json`, 'application/json')
+  }
+
+  const importJson = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setImportError(null)
+    try {
+      watchlist.importCollections(await file.text())
+    } catch (err) {
+      setImportError(err instanceof SyntaxError ? t('watchlist.invalidJson') : err.message)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+        <div className="flex flex-wrap items-center gap-1 bg-slate-800 rounded-lg p-1">
+          {collections.map(collection => (
+            <button
+              key={collection.id}
+              onClick={() => setActiveId(collection.id)}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                collection.id === active.id ? 'bg-purple-500 text-white' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              {collection.name} <span className="opacity-60">{collection.repos.length}</span>
+            </button>
+          ))}
+        </div>
+        <form onSubmit={createCollection} className="flex items-center gap-2">
+          <input
+            type="text"
+            placeholder={t('watchlist.newCollection')}
+            aria-label={t('watchlist.newCollection')}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="px-3 py-1 bg-slate-700 border border-slate-600 rounded-lg text-sm text-slate-100 placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="px-3 py-1 bg-purple-500 text-white text-sm rounded-lg hover:bg-purple-600 disabled:opacity-40 transition-colors"
+          >
+            {t('watchlist.create')}
+          </button>
+        </form>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {renaming ? (
+          <form onSubmit={commitRename} className="flex items-center gap-2">
+            <input
+              type="text"
+              autoFocus
+              value={renaming.name}
+              onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+              aria-label={t('watchlist.name')}
+              className="px-3 py-1 bg-slate-700 border border-slate-600 rounded-lg text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <button type="submit" className="text-sm text-purple-400 hover:text-purple-300">{t('watchlist.save')}</button>
+            <button type="button" onClick={() => setRenaming(null)} className="text-sm text-slate-400 hover:text-slate-200">{t('watchlist.cancel')}</button>
+          </form>
+        ) : (
+          <h2 className="text-lg font-semibold text-slate-100 mr-2">{active.name}</h2>
+        )}
+        {!renaming && (
+          <button
+            onClick={() => setRenaming({ id: active.id, name: active.name })}
+            className="p-1.5 text-slate-400 hover:text-purple-400 rounded-lg transition-colors"
+            title={t('watchlist.rename')}
+            aria-label={t('watchlist.rename')}
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+        {active.id !== DEFAULT_COLLECTION_ID && (
+          <button
+            onClick={deleteActive}
+            className="p-1.5 text-slate-400 hover:text-red-400 rounded-lg transition-colors"
+            title={t('watchlist.delete')}
+            aria-label={t('watchlist.delete')}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={refresh}
+            disabled={refreshing || active.repos.length === 0}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-slate-300 bg-slate-800 border border-slate-700 rounded-lg hover:border-purple-500/50 disabled:opacity-40 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} /> {t('watchlist.refresh')}
+          </button>
+          <button
+            onClick={() => exportJson([active.id])}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-slate-300 bg-slate-800 border border-slate-700 rounded-lg hover:border-purple-500/50 transition-colors"
+            title={t('watchlist.exportHint')}
+          >
+            <Download className="w-4 h-4" /> {t('watchlist.export')}
+          </button>
+          <button
+            onClick={() => exportJson()}
+            className="px-3 py-1 text-sm text-slate-400 hover:text-slate-200"
+            title={t('watchlist.exportAllHint')}
+          >
+            {t('watchlist.exportAll')}
+          </button>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-slate-300 bg-slate-800 border border-slate-700 rounded-lg hover:border-purple-500/50 transition-colors"
+          >
+            <Upload className="w-4 h-4" /> {t('watchlist.import')}
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importJson} className="hidden" />
+        </div>
+      </div>
+
+      {watchlist.saveError && (
+        <div role="alert" className="mb-4 bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-sm text-red-400">
+          {watchlist.saveError}
+        </div>
+      )}
+
+      {importError && (
+        <div className="mb-4 bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-sm text-red-400">
+          {t('watchlist.importError', { error: importError })}
+        </div>
+      )}
+
+      {refreshedAt && (
+        <p className="mb-4 text-xs text-slate-500">
+          {t('watchlist.refreshedAt', { time: formatTime(refreshedAt) })}
+        </p>
+      )}
+
+      {active.repos.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">🔖</div>
+          <h3 className="text-xl font-semibold text-slate-300 mb-2">{t('watchlist.empty')}</h3>
+          <p className="text-slate-400">{t('watchlist.emptyHint')}</p>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {active.repos.map(bookmark => (
+            <BookmarkRow
+              key={bookmark.id}
+              bookmark={bookmark}
+              current={current[bookmark.id]}
+              onOpen={onOpen}
+              onRemove={(repoId) => watchlist.removeBookmark(active.id, repoId)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default WatchlistView
@@ -0,0 +1,20 @@
+import { useEffect } from 'react'
+import { takeNewMatches, showAlertNotifications } from '../lib/alertRules'
+
+// How often the list is refreshed in the background while notification rules are active
+export const ALERT_REFRESH_MINUTES = 15
+
+// While there are rules and permission to notify, refresh the list in the background every
+// ALERT_REFRESH_MINUTES and notify about repos that newly match a rule. `refresh` resolves with
+// the refreshed repos or null; `onOpen` gets the repo of a clicked notification.
+export const useAlertRefresh = ({ rules, permission, refresh, onOpen }) => {
+  useEffect(() => {
+    if (rules.length === 0 || permission !== 'granted') return
+    const refreshAndNotify = async () => {
+      const refreshed = await refresh()
+      if (refreshed) showAlertNotifications(takeNewMatches(refreshed, rules), onOpen)
+    }
+    const timer = setInterval(refreshAndNotify, ALERT_REFRESH_MINUTES * 60 * 1000)
+    return () => clearInterval(timer)
+  }, [rules, permission, refresh, onOpen])
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+import { loadAlertRules, saveAlertRules, notificationsSupported } from '../lib/alertRules'
+import { t } from '../lib/i18n'
+
+// Notification rules persisted to localStorage, plus the browser's notification permission.
+// `saveError` says why the last change couldn't be stored, until a later one can.
+export const useAlertRules = () => {
+  const [rules, setRules] = useState(loadAlertRules)
+  const [saveError, setSaveError] = useState(null)
+  const [permission, setPermission] = useState(() => notificationsSupported() ? Notification.permission : 'unsupported')
+
+  const update = (next) => {
+    setRules(next)
+    try {
+      saveAlertRules(next)
+      setSaveError(null)
+    } catch (err) {
+      setSaveError(err?.name === 'QuotaExceededError'
+        ? t('alerts.saveQuota')
+        : t('alerts.saveFailed', { error: err?.message || err }))
+    }
+  }
+
+  // Must run from a click: browsers ignore permission prompts that aren't user initiated
+  const requestPermission = async () => {
+    if (!notificationsSupported()) return
+    setPermission(await Notification.requestPermission())
+  }
+
+  return {
+    rules,
+    saveError,
+    permission,
+    requestPermission,
+    addRule: (rule) => update([...rules, rule]),
+    removeRule: (ruleId) => update(rules.filter(rule => rule.id !== ruleId))
+  }
+}
@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react'
+
+// `value`, but only once it has stopped changing for `delayMs`
+export const useDebouncedValue = (value, delayMs) => {
+  const [debounced, setDebounced] = useState(value)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs)
+    return () => clearTimeout(timer)
+  }, [value, delayMs])
+
+  return debounced
+}
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react'
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+// Keep Tab and Shift-Tab cycling inside a modal dialog while it's mounted, and hand focus back to
+// whatever had it before the dialog opened once it closes. Attach the returned ref to the dialog;
+// focus starts on `initialFocusRef` if given, otherwise on the dialog itself (give it tabIndex={-1}).
+// Use this instead of autoFocus, which would move focus before the previous element is noted.
+export const useFocusTrap = (initialFocusRef) => {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const dialog = ref.current
+    const previous = document.activeElement
+    const initial = initialFocusRef?.current || dialog
+    initial.focus()
+
+    const handleKey = (e) => {
+      if (e.key !== 'Tab') return
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE)]
+      if (focusable.length === 0) {
+        e.preventDefault()
+        return
+      }
+      const first = focusable[0]
+      const last = focusable[focusable.length - 1]
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault()
+        last.focus()
+      } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        e.preventDefault()
+        first.focus()
+      }
+    }
+
+    document.addEventListener('keydown', handleKey)
+    return () => {
+      document.removeEventListener('keydown', handleKey)
+      previous?.focus?.()
+    }
+  }, [initialFocusRef])
+
+  return ref
+}
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react'
+
+const isEditable = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+// Name a keydown the way `handlers` keys it: "mod+k" for Ctrl/Cmd-K, otherwise the key itself
+const keyName = (e) => {
+  if (e.ctrlKey || e.metaKey) return e.altKey ? null : `mod+${e.key.toLowerCase()}`
+  if (e.altKey) return null
+  return e.key
+}
+
+// Global keyboard shortcuts. `handlers` maps key names to callbacks; plain keys are ignored while
+// typing in a field, and Enter is left alone on links and buttons so they keep working.
+// Only "mod+" shortcuts fire from inside fields.
+export const useHotkeys = (handlers, enabled = true) => {
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    if (!enabled) return
+    const handleKey = (e) => {
+      const name = keyName(e)
+      const handler = name && handlersRef.current[name]
+      if (!handler) return
+      if (!name.startsWith('mod+') && isEditable(e.target)) return
+      if (name === 'Enter' && e.target instanceof HTMLElement && e.target.closest('a, button')) return
+      e.preventDefault()
+      handler(e)
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [enabled])
+}
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react'
+
+// Call `onLoadMore` whenever the sentinel element comes near the viewport, while `enabled`.
+// Returns the ref callback for the sentinel, so it's observed from whenever it mounts.
+export const useInfiniteScroll = (onLoadMore, enabled) => {
+  const [sentinel, setSentinel] = useState(null)
+
+  useEffect(() => {
+    if (!sentinel || !enabled) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore()
+    }, { rootMargin: '400px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [sentinel, enabled, onLoadMore])
+
+  return setSentinel
+}
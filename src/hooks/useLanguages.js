@@ -0,0 +1,29 @@
+import { useState, useEffect, useMemo } from 'react'
+import { loadLanguages, DEFAULT_LANGUAGE_COLOR } from '../lib/languages'
+
+// Linguist language list plus a name -> color lookup; empty until the data chunk has loaded
+export const useLanguages = () => {
+  const [languages, setLanguages] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+    loadLanguages()
+      .then(list => {
+        if (!cancelled) setLanguages(list)
+      })
+      .catch(() => {
+        // Colors fall back to grey and the picker to the names in the results
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const colors = useMemo(
+    () => new Map(languages.map(language => [language.name.toLowerCase(), language.color])),
+    [languages]
+  )
+  const colorOf = (name) => colors.get(name?.toLowerCase()) || DEFAULT_LANGUAGE_COLOR
+
+  return { languages, colorOf }
+}
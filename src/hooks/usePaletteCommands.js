@@ -0,0 +1,40 @@
+import { TIME_RANGES, VIEWS } from '../lib/urlState'
+import { THEME_PREFERENCES } from '../lib/theme'
+import { t } from '../lib/i18n'
+
+// The command palette's commands, built only while it's `open`: time ranges, views, settings,
+// every listed repo and language. `commandsFor` adds ones that depend on the typed query.
+// `actions` holds the App callbacks the commands run.
+export const usePaletteCommands = (open, { repositories, languages, actions }) => {
+  const commands = open ? [
+    ...TIME_RANGES.map(range => ({
+      id: `range-${range}`,
+      group: t('palette.timeRange'),
+      label: t(`range.${range}`),
+      run: () => actions.setTimeRange(range)
+    })),
+    ...VIEWS.map(view => ({ id: `view-${view}`, group: t('palette.goTo'), label: t(`nav.${view}`), run: () => actions.setView(view) })),
+    { id: 'token', group: t('palette.settings'), label: t('palette.token'), run: actions.showToken },
+    { id: 'cache', group: t('palette.settings'), label: t('palette.cache'), run: actions.showSettings },
+    { id: 'alerts', group: t('palette.settings'), label: t('palette.alerts'), run: actions.showAlerts },
+    ...THEME_PREFERENCES.map(preference => ({
+      id: `theme-${preference}`,
+      group: t('palette.settings'),
+      label: t(`theme.${preference}`),
+      run: () => actions.setThemePreference(preference)
+    })),
+    { id: 'shortcuts', group: t('palette.help'), label: t('palette.shortcuts'), run: actions.showShortcuts },
+    ...repositories.map(repo => ({ id: `repo-${repo.id}`, group: t('palette.repository'), label: repo.full_name, run: () => actions.openRepo(repo) })),
+    { id: 'language-all', group: t('palette.language'), label: t('palette.allLanguages'), run: () => actions.setLanguageFilter([]) },
+    ...languages.map(({ name }) => ({ id: `language-${name}`, group: t('palette.language'), label: name, run: () => actions.setLanguageFilter([name]) }))
+  ] : []
+
+  // Typing an owner/name that isn't in the list still jumps straight to its page
+  const commandsFor = (query) => {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(query)) return []
+    if (repositories.some(repo => repo.full_name.toLowerCase() === query.toLowerCase())) return []
+    return [{ id: 'repo-typed', group: t('palette.repository'), label: t('palette.openTyped', { name: query }), run: () => actions.openRepoByName(query) }]
+  }
+
+  return { commands, commandsFor }
+}
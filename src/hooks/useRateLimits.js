@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react'
+import { getRateLimits, subscribeRateLimits } from '../lib/github'
+
+// Current search/core/GraphQL budgets plus a clock that ticks every second while any is exhausted
+export const useRateLimits = () => {
+  const [limits, setLimits] = useState(getRateLimits)
+  const [now, setNow] = useState(Date.now)
+
+  useEffect(() => subscribeRateLimits(setLimits), [])
+
+  const limited = ['search', 'core', 'graphql'].filter(resource => limits[resource].limitedUntil > now)
+
+  useEffect(() => {
+    if (limited.length === 0) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [limited.length])
+
+  // Restart the clock whenever a new limit is reported
+  useEffect(() => {
+    setNow(Date.now())
+  }, [limits])
+
+  return { limits, limited, now }
+}
@@ -0,0 +1,63 @@
+import { useState, useRef, useCallback } from 'react'
+import { createRequestQueue } from '../lib/requestQueue'
+import { fetchRepoDetails, fetchDetailsBatch } from '../lib/details'
+import { SEARCH_PER_PAGE } from '../lib/search'
+
+// Shared by every card so enrichment never floods the API, however fast the user scrolls
+const detailsQueue = createRequestQueue({ concurrency: 2, spacingMs: 100 })
+
+// README/topic enrichment for the cards on screen, keyed by repo ID. An entry is
+// { loading: true } while its request is in flight.
+export const useRepoDetails = () => {
+  const [repoDetails, setRepoDetails] = useState({})
+  // Aborts queued and in-flight enrichment when the list is replaced
+  const abortRef = useRef(new AbortController())
+
+  const resetDetails = useCallback(() => {
+    abortRef.current.abort()
+    abortRef.current = new AbortController()
+    setRepoDetails({})
+  }, [])
+
+  // Queue REST enrichment for a card that just scrolled into view
+  const requestDetails = useCallback((repo) => {
+    const { signal } = abortRef.current
+    setRepoDetails(prev => ({ ...prev, [repo.id]: { loading: true } }))
+
+    detailsQueue.enqueue(taskSignal => fetchRepoDetails(repo, taskSignal), signal)
+      .then(detail => {
+        if (!signal.aborted) {
+          setRepoDetails(prev => ({ ...prev, [repo.id]: detail }))
+        }
+      })
+      .catch(() => {
+        // Aborted because the list was replaced
+      })
+  }, [])
+
+  // With a token, README text for a whole page of results comes from one or two GraphQL queries
+  // instead of two REST calls per card. Cards are marked loading first so they don't request their
+  // own; if the batch fails they're unmarked and fall back to per-card REST enrichment.
+  const loadDetailsBatch = useCallback(async (repos) => {
+    const { signal } = abortRef.current
+    setRepoDetails(prev => ({ ...prev, ...Object.fromEntries(repos.map(repo => [repo.id, { loading: true }])) }))
+
+    const chunks = []
+    for (let i = 0; i < repos.length; i += SEARCH_PER_PAGE) chunks.push(repos.slice(i, i + SEARCH_PER_PAGE))
+    await Promise.all(chunks.map(async (chunk) => {
+      try {
+        const details = await fetchDetailsBatch(chunk, signal)
+        if (!signal.aborted) setRepoDetails(prev => ({ ...prev, ...details }))
+      } catch {
+        if (signal.aborted) return
+        setRepoDetails(prev => {
+          const next = { ...prev }
+          chunk.forEach(repo => delete next[repo.id])
+          return next
+        })
+      }
+    }))
+  }, [])
+
+  return { repoDetails, requestDetails, loadDetailsBatch, resetDetails }
+}
@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getHistory } from '../lib/snapshots'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Snapshots recorded for a repo over the last `days` days, oldest first. Loads only while
+// `enabled`; call `reload` after writing new history.
+export const useRepoHistory = (repoId, { days = 90, enabled = true } = {}) => {
+  const [history, setHistory] = useState([])
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    if (!enabled) return
+    let cancelled = false
+    getHistory(repoId, Date.now() - days * DAY_MS).then(snapshots => {
+      if (!cancelled) setHistory(snapshots)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [repoId, days, enabled, version])
+
+  const reload = useCallback(() => setVersion(v => v + 1), [])
+
+  return { history, reload }
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react'
+import { abortableDelay } from '../lib/github'
+import {
+  fetchLatestRelease,
+  fetchContributors,
+  fetchCommitActivity,
+  fetchCommunityProfile,
+  fetchLanguageBreakdown,
+  fetchOpenPullCount
+} from '../lib/repos'
+
+// GitHub answers 202 while it computes commit stats; ask again a few times before giving up
+const ACTIVITY_RETRIES = 3
+const ACTIVITY_RETRY_MS = 3000
+
+const fetchActivityWhenReady = async (repo, signal) => {
+  for (let attempt = 0; attempt < ACTIVITY_RETRIES; attempt++) {
+    const weeks = await fetchCommitActivity(repo, signal)
+    if (weeks) return weeks
+    await abortableDelay(ACTIVITY_RETRY_MS, signal)
+  }
+  return null
+}
+
+const loaders = {
+  // Search results from GraphQL already carry the latest release
+  release: (repo, signal) => repo.latest_release !== undefined
+    ? Promise.resolve(repo.latest_release)
+    : fetchLatestRelease(repo, signal),
+  contributors: fetchContributors,
+  activity: fetchActivityWhenReady,
+  community: fetchCommunityProfile,
+  languages: fetchLanguageBreakdown,
+  openPulls: fetchOpenPullCount
+}
+
+// Per-section { status: 'loading' | 'ready' | 'error', data } for a repo's detail panel. Each
+// section loads on its own so one slow or failing endpoint doesn't hold up the rest.
+export const useRepoInsights = (repo) => {
+  const [sections, setSections] = useState({})
+  // A refreshed list hands over a new object for the same repo; only another repo is a reload
+  const repoRef = useRef(repo)
+  useEffect(() => {
+    repoRef.current = repo
+  }, [repo])
+  const fullName = repo.full_name
+
+  useEffect(() => {
+    const current = repoRef.current
+    const controller = new AbortController()
+    setSections(Object.fromEntries(Object.keys(loaders).map(name => [name, { status: 'loading', data: null }])))
+
+    Object.entries(loaders).forEach(([name, load]) => {
+      load(current, controller.signal)
+        .then(data => ({ status: 'ready', data }))
+        .catch(() => ({ status: 'error', data: null }))
+        .then(section => {
+          if (!controller.signal.aborted) setSections(prev => ({ ...prev, [name]: section }))
+        })
+    })
+    return () => controller.abort()
+  }, [fullName])
+
+  return sections
+}
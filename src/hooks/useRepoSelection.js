@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react'
+
+// The j/k selection in `repos`, the list on screen. Moving starts from the top (or the bottom
+// going up) and stops at the ends; the selected repo is scrolled into view.
+export const useRepoSelection = (repos) => {
+  const [selectedRepoId, setSelectedRepoId] = useState(null)
+  const selectedRepo = repos.find(repo => repo.id === selectedRepoId) || null
+
+  const moveSelection = (step) => {
+    if (repos.length === 0) return
+    const index = repos.findIndex(repo => repo.id === selectedRepoId)
+    const next = index === -1
+      ? (step > 0 ? 0 : repos.length - 1)
+      : Math.min(repos.length - 1, Math.max(0, index + step))
+    setSelectedRepoId(repos[next].id)
+  }
+
+  useEffect(() => {
+    if (selectedRepoId !== null) {
+      document.querySelector(`[data-repo-id="${selectedRepoId}"]`)?.scrollIntoView({ block: 'nearest' })
+    }
+  }, [selectedRepoId])
+
+  return { selectedRepoId, selectedRepo, moveSelection }
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+import { fetchRepoInfo } from '../lib/repos'
+import { t } from '../lib/i18n'
+
+// The repo behind the /repo/:owner/:name route: taken from the trending list when it's there,
+// fetched otherwise. `routeRepo` is null while loading or when `fullName` is null. Refreshes and
+// new pages of the list swap in the fresh copy without going back to loading; the network is only
+// asked once per `fullName`.
+export const useRouteRepo = (fullName, repositories) => {
+  // { fullName, repo, error } from the last fetch
+  const [fetched, setFetched] = useState(null)
+
+  const listed = fullName
+    ? repositories.find(repo => repo.full_name.toLowerCase() === fullName.toLowerCase())
+    : null
+  const isListed = Boolean(listed)
+  const hasFetched = fetched?.fullName === fullName
+
+  useEffect(() => {
+    if (!fullName || isListed || hasFetched) return
+    const controller = new AbortController()
+    const [owner, name] = fullName.split('/')
+    fetchRepoInfo(owner, name, controller.signal).then(repo => {
+      if (controller.signal.aborted) return
+      setFetched({ fullName, repo, error: repo ? null : t('app.repoLoadError', { name: fullName }) })
+    })
+    return () => controller.abort()
+  }, [fullName, isListed, hasFetched])
+
+  return {
+    routeRepo: listed || (hasFetched ? fetched.repo : null),
+    routeError: !listed && hasFetched ? fetched.error : null
+  }
+}
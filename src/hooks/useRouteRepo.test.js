@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { renderHook, waitFor } from '@testing-library/react'
+import { http, HttpResponse } from 'msw'
+import { useRouteRepo } from './useRouteRepo'
+import { server, API, makeRepo } from '../test/github'
+
+const renderRoute = (initialProps) => renderHook(
+  ({ fullName, repositories }) => useRouteRepo(fullName, repositories),
+  { initialProps }
+)
+
+describe('useRouteRepo', () => {
+  it('swaps in the refreshed copy of a listed repo without going back to loading', () => {
+    const { result, rerender } = renderRoute({ fullName: 'owner1/repo1', repositories: [makeRepo(1)] })
+    expect(result.current.routeRepo.stargazers_count).toBe(100)
+
+    rerender({ fullName: 'owner1/repo1', repositories: [makeRepo(1, { stargazers_count: 150 }), makeRepo(2)] })
+    expect(result.current.routeRepo.stargazers_count).toBe(150)
+  })
+
+  it('fetches an unlisted repo once, however often the list changes', async () => {
+    let requests = 0
+    server.use(http.get(`${API}/repos/:owner/:repo`, () => {
+      requests++
+      return HttpResponse.json(makeRepo(9, { owner: { login: 'someone' }, name: 'elsewhere' }))
+    }))
+    const { result, rerender } = renderRoute({ fullName: 'someone/elsewhere', repositories: [] })
+    expect(result.current.routeRepo).toBeNull()
+    await waitFor(() => expect(result.current.routeRepo?.id).toBe(9))
+
+    rerender({ fullName: 'someone/elsewhere', repositories: [makeRepo(1)] })
+    rerender({ fullName: 'someone/elsewhere', repositories: [makeRepo(1), makeRepo(2)] })
+    expect(result.current.routeRepo.id).toBe(9)
+    expect(requests).toBe(1)
+  })
+
+  it('reports a repo that can’t be loaded', async () => {
+    server.use(http.get(`${API}/repos/:owner/:repo`, () =>
+      HttpResponse.json({ message: 'Not Found' }, { status: 404 })
+    ))
+    const { result } = renderRoute({ fullName: 'someone/missing', repositories: [] })
+
+    await waitFor(() => expect(result.current.routeError).toBe('Couldn\'t load someone/missing'))
+    expect(result.current.routeRepo).toBeNull()
+  })
+})
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react'
+
+// The list and table counterpart of a card's own observer: one IntersectionObserver for every row
+// (marked with data-repo-id) inside the returned ref, calling `onVisible(repo)` the first time a
+// repo without `details` scrolls near the viewport.
+export const useRowVisibility = (repos, details, onVisible) => {
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container || !onVisible) return
+    const pending = new Map(repos.filter(repo => !details[repo.id]).map(repo => [String(repo.id), repo]))
+    if (pending.size === 0) return
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        observer.unobserve(entry.target)
+        onVisible(pending.get(entry.target.dataset.repoId))
+      })
+    }, { rootMargin: '200px' })
+    container.querySelectorAll('[data-repo-id]').forEach(row => {
+      if (pending.has(row.dataset.repoId)) observer.observe(row)
+    })
+    return () => observer.disconnect()
+  }, [repos, details, onVisible])
+
+  return containerRef
+}
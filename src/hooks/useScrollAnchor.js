@@ -0,0 +1,29 @@
+import { useCallback, useLayoutEffect, useRef } from 'react'
+
+// The first repo (a card, list row or table row) still on screen, and where it sits
+const findAnchor = () => {
+  const element = [...document.querySelectorAll('[data-repo-id]')]
+    .find(candidate => candidate.getBoundingClientRect().bottom > 0)
+  return element ? { id: element.dataset.repoId, top: element.getBoundingClientRect().top } : null
+}
+
+// Keep the repo the reader is looking at in place when `list` is reordered around it. Call the
+// returned `capture` just before the change; once the new order renders, the page scrolls by
+// however far that repo moved.
+export const useScrollAnchor = (list) => {
+  const anchorRef = useRef(null)
+
+  const capture = useCallback(() => {
+    anchorRef.current = findAnchor()
+  }, [])
+
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current
+    anchorRef.current = null
+    if (!anchor) return
+    const element = document.querySelector(`[data-repo-id="${anchor.id}"]`)
+    if (element) window.scrollBy(0, element.getBoundingClientRect().top - anchor.top)
+  }, [list])
+
+  return capture
+}
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react'
+import { loadThemePreference, saveThemePreference, resolveTheme, applyTheme, LIGHT_QUERY } from '../lib/theme'
+
+const systemPrefersLight = () => window.matchMedia?.(LIGHT_QUERY).matches ?? false
+
+// The saved light/dark/system preference and the theme it currently resolves to
+export const useTheme = () => {
+  const [preference, setPreference] = useState(loadThemePreference)
+  const [prefersLight, setPrefersLight] = useState(systemPrefersLight)
+
+  useEffect(() => {
+    const media = window.matchMedia?.(LIGHT_QUERY)
+    if (!media) return
+    const onChange = (e) => setPrefersLight(e.matches)
+    media.addEventListener('change', onChange)
+    return () => media.removeEventListener('change', onChange)
+  }, [])
+
+  const theme = resolveTheme(preference, prefersLight)
+  useEffect(() => applyTheme(theme), [theme])
+
+  const changePreference = useCallback((next) => {
+    setPreference(next)
+    saveThemePreference(next)
+  }, [])
+
+  return { preference, theme, setPreference: changePreference }
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { searchTrending, searchMoreTrending, mergeRefreshedList, listKeyFor, saveLastList, loadLastList } from '../lib/trending'
+import { compareByVelocity } from '../lib/snapshots'
+import { visitKey } from '../lib/visits'
+
+// The ranked trending list for a search, refetched whenever the search changes, with paging and an
+// offline fallback to the last list shown. `details` is the useRepoDetails result: it's reset with
+// every new list, and with a token each page's README details are loaded in one batch.
+export const useTrendingRepos = ({ timeRange, languages, filters, text, token, details }) => {
+  const [repositories, setRepositories] = useState([])
+  const [starDeltas, setStarDeltas] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  // Set while showing the last saved list because a live search failed
+  const [cachedList, setCachedList] = useState(null)
+  // Per candidate query, the request for its next page (a REST URL or GraphQL cursor) or null
+  const [nextPages, setNextPages] = useState([])
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  // The visit-tracking key of the list on screen; null while showing a saved list
+  const [visitListKey, setVisitListKey] = useState(null)
+  // Bumped on every fresh search so pages from a previous search are dropped
+  const searchGenerationRef = useRef(0)
+  const loadingRef = useRef(false)
+  const loadingMoreRef = useRef(false)
+  // Read by the background refresh, which mustn't become a new callback (and search) on every change
+  const starDeltasRef = useRef(starDeltas)
+  useEffect(() => {
+    starDeltasRef.current = starDeltas
+  }, [starDeltas])
+  const { loadDetailsBatch, resetDetails } = details
+
+  // Arrays and objects from the URL are new on every render; only a change in contents is a new search
+  const languagesKey = languages.join(',')
+  const filtersKey = JSON.stringify(filters)
+  const search = useMemo(() => ({
+    timeRange,
+    languages: languagesKey ? languagesKey.split(',') : [],
+    filters: JSON.parse(filtersKey),
+    text
+  }), [timeRange, languagesKey, filtersKey, text])
+
+  // A background refresh merges the new first page into the list without the spinner, keeping
+  // later pages, their next-page requests and the README details already loaded. It resolves
+  // with the refreshed repos, or null when it fails, so callers can act on what came in. It is
+  // skipped while a search or page is loading and, unlike a search, doesn't supersede either.
+  const fetchTrendingRepos = useCallback(async ({ background = false } = {}) => {
+    if (background && (loadingRef.current || loadingMoreRef.current)) return null
+    const generation = background ? searchGenerationRef.current : ++searchGenerationRef.current
+    const listKey = listKeyFor(search)
+    if (!background) {
+      loadingRef.current = true
+      resetDetails()
+      setLoading(true)
+      setError(null)
+      setNextPages([])
+      setLoadMoreError(null)
+    }
+
+    try {
+      const { repos, deltas, nextPages: next } = await searchTrending({ ...search, hasToken: !!token })
+      if (generation !== searchGenerationRef.current) return null
+
+      if (background) {
+        const allDeltas = { ...starDeltasRef.current, ...deltas }
+        setStarDeltas(allDeltas)
+        setRepositories(prev => mergeRefreshedList(prev, repos, allDeltas))
+      } else {
+        setStarDeltas(deltas)
+        setRepositories(repos)
+        setNextPages(next)
+        if (token) loadDetailsBatch(repos)
+      }
+      setVisitListKey(visitKey(search.timeRange, search.languages))
+      setCachedList(null)
+      saveLastList(listKey, repos, deltas)
+      return repos
+    } catch (err) {
+      if (background) return null
+      // Offline or rate limited: fall back to the last list we showed rather than an empty page
+      const cached = await loadLastList()
+      if (generation !== searchGenerationRef.current) return null
+      if (cached) {
+        setStarDeltas(cached.deltas)
+        setRepositories(cached.repos)
+        setVisitListKey(null)
+        setCachedList({ fetchedAt: cached.fetchedAt, matchesFilters: cached.key === listKey, reason: err.message })
+      } else {
+        setError(err.message)
+      }
+      return null
+    } finally {
+      if (!background && generation === searchGenerationRef.current) {
+        loadingRef.current = false
+        setLoading(false)
+      }
+    }
+  }, [search, token, resetDetails, loadDetailsBatch])
+
+  const hasMore = nextPages.some(Boolean)
+
+  // Later pages are ranked together with what's already shown, so a bigger gain on page 2 still
+  // places above smaller ones from page 1. `beforeUpdate` runs just before the reordered list is
+  // set, e.g. to anchor the scroll position.
+  const loadMore = useCallback(async ({ beforeUpdate } = {}) => {
+    if (loadingMoreRef.current || !hasMore) return
+    const generation = searchGenerationRef.current
+    loadingMoreRef.current = true
+    setLoadingMore(true)
+    setLoadMoreError(null)
+
+    try {
+      const { repos, deltas, nextPages: next } = await searchMoreTrending({
+        nextPages,
+        seenIds: new Set(repositories.map(repo => repo.id)),
+        timeRange: search.timeRange,
+        filters: search.filters,
+        hasToken: !!token
+      })
+      if (generation !== searchGenerationRef.current) return
+
+      const allDeltas = { ...starDeltas, ...deltas }
+      beforeUpdate?.()
+      setNextPages(next)
+      setStarDeltas(allDeltas)
+      setRepositories(prev => [...prev, ...repos].sort(compareByVelocity(allDeltas)))
+      if (token) loadDetailsBatch(repos)
+    } catch (err) {
+      if (generation === searchGenerationRef.current) {
+        setLoadMoreError(err.message)
+      }
+    } finally {
+      loadingMoreRef.current = false
+      setLoadingMore(false)
+    }
+  }, [hasMore, nextPages, repositories, starDeltas, search, token, loadDetailsBatch])
+
+  useEffect(() => {
+    fetchTrendingRepos()
+  }, [fetchTrendingRepos])
+
+  // Coming back online replaces the cached list with a live one
+  useEffect(() => {
+    if (!cachedList) return
+    const refetch = () => fetchTrendingRepos()
+    window.addEventListener('online', refetch)
+    return () => window.removeEventListener('online', refetch)
+  }, [cachedList, fetchTrendingRepos])
+
+  return {
+    repositories,
+    starDeltas,
+    loading,
+    error,
+    cachedList,
+    visitListKey,
+    hasMore,
+    loadingMore,
+    loadMoreError,
+    fetchTrendingRepos,
+    loadMore
+  }
+}
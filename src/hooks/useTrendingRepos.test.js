@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import { renderHook, waitFor, act } from '@testing-library/react'
+import { http, HttpResponse } from 'msw'
+import { useTrendingRepos } from './useTrendingRepos'
+import { useRepoDetails } from './useRepoDetails'
+import { DEFAULT_ADVANCED_FILTERS } from '../lib/query'
+import { server, API, makeRepo, searchResponse } from '../test/github'
+
+const renderTrending = (initialProps = {}) => renderHook(
+  (props) => useTrendingRepos({
+    timeRange: 'daily',
+    languages: [],
+    filters: DEFAULT_ADVANCED_FILTERS,
+    text: '',
+    token: '',
+    details: useRepoDetails(),
+    ...props
+  }),
+  { initialProps }
+)
+
+describe('useTrendingRepos', () => {
+  it('loads and ranks the trending list', async () => {
+    const { result } = renderTrending()
+    expect(result.current.loading).toBe(true)
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.error).toBeNull()
+    expect(result.current.repositories.map(repo => repo.full_name)).toEqual(['owner1/repo1', 'owner2/repo2', 'owner3/repo3'])
+    expect(result.current.visitListKey).toBe('daily|')
+    expect(result.current.hasMore).toBe(false)
+  })
+
+  it('searches again when the filters change, but not for an equal copy of them', async () => {
+    const queries = []
+    server.use(http.get(`${API}/search/repositories`, ({ request }) => {
+      queries.push(new URL(request.url).searchParams.get('q'))
+      return HttpResponse.json(searchResponse([makeRepo(7)]))
+    }))
+    const { result, rerender } = renderTrending()
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(queries).toHaveLength(3)
+
+    rerender({ filters: { ...DEFAULT_ADVANCED_FILTERS } })
+    rerender({ languages: ['Rust'] })
+    await waitFor(() => expect(queries).toHaveLength(6))
+    expect(queries[3]).toContain('language:Rust')
+  })
+
+  it('shows the error when the search fails and nothing was saved', async () => {
+    server.use(http.get(`${API}/search/repositories`, () =>
+      HttpResponse.json({ message: 'Validation Failed' }, { status: 422 })
+    ))
+    const { result } = renderTrending()
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.error).toBe('Failed to fetch repositories: Validation Failed')
+    expect(result.current.repositories).toEqual([])
+  })
+
+  it('ranks the next page in with the repos already shown', async () => {
+    const next = `${API}/search/repositories?q=more&page=2`
+    server.use(http.get(`${API}/search/repositories`, ({ request }) => {
+      if (new URL(request.url).searchParams.get('page') === '2') {
+        return HttpResponse.json(searchResponse([makeRepo(9, { stargazers_count: 99999, created_at: new Date().toISOString() })]))
+      }
+      return HttpResponse.json(searchResponse([makeRepo(1)], 60), { headers: { Link: `<${next}>; rel="next"` } })
+    }))
+    const { result } = renderTrending()
+    await waitFor(() => expect(result.current.hasMore).toBe(true))
+
+    await act(() => result.current.loadMore())
+    // Repo 9 gained more stars in the window than repo 1 from the first page
+    expect(result.current.repositories.map(repo => repo.id)).toEqual([9, 1])
+    expect(result.current.hasMore).toBe(false)
+  })
+
+  it('merges a background refresh into the pages already loaded', async () => {
+    const next = `${API}/search/repositories?q=more&page=2`
+    let refreshed = false
+    server.use(http.get(`${API}/search/repositories`, ({ request }) => {
+      if (new URL(request.url).searchParams.get('page') === '2') {
+        return HttpResponse.json(searchResponse([makeRepo(9)], 90), { headers: { Link: `<${API}/search/repositories?q=more&page=3>; rel="next"` } })
+      }
+      const items = refreshed ? [makeRepo(1, { description: 'Fresh' }), makeRepo(5)] : [makeRepo(1)]
+      return HttpResponse.json(searchResponse(items, 90), { headers: { Link: `<${next}>; rel="next"` } })
+    }))
+    const { result } = renderTrending()
+    await waitFor(() => expect(result.current.hasMore).toBe(true))
+    await act(() => result.current.loadMore())
+
+    refreshed = true
+    let matches
+    await act(async () => {
+      matches = await result.current.fetchTrendingRepos({ background: true })
+    })
+    expect(matches.map(repo => repo.id).sort()).toEqual([1, 5])
+    expect(result.current.repositories.map(repo => repo.id).sort()).toEqual([1, 5, 9])
+    expect(result.current.repositories.find(repo => repo.id === 1).description).toBe('Fresh')
+    // Still pointing past page 2
+    expect(result.current.hasMore).toBe(true)
+  })
+
+  it('skips a background refresh while a page is loading instead of dropping the page', async () => {
+    const next = `${API}/search/repositories?q=more&page=2`
+    let releasePage
+    const pageHeld = new Promise(resolve => { releasePage = resolve })
+    server.use(http.get(`${API}/search/repositories`, async ({ request }) => {
+      if (new URL(request.url).searchParams.get('page') === '2') {
+        await pageHeld
+        return HttpResponse.json(searchResponse([makeRepo(9)]))
+      }
+      return HttpResponse.json(searchResponse([makeRepo(1)], 60), { headers: { Link: `<${next}>; rel="next"` } })
+    }))
+    const { result } = renderTrending()
+    await waitFor(() => expect(result.current.hasMore).toBe(true))
+
+    let loadingPage
+    act(() => {
+      loadingPage = result.current.loadMore()
+    })
+    await waitFor(() => expect(result.current.loadingMore).toBe(true))
+    let matches
+    await act(async () => {
+      matches = await result.current.fetchTrendingRepos({ background: true })
+    })
+    expect(matches).toBeNull()
+
+    releasePage()
+    await act(() => loadingPage)
+    expect(result.current.repositories.map(repo => repo.id).sort()).toEqual([1, 9])
+  })
+})
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { parseUrlState, buildUrl } from '../lib/urlState'
+
+// Filter state mirrored in the address bar. Updates push a history entry unless `replace` is set,
+// and back/forward navigation restores the state from the URL.
+export const useUrlState = () => {
+  const [state, setState] = useState(() => parseUrlState(window.location))
+  const stateRef = useRef(state)
+
+  useEffect(() => {
+    const handlePopState = () => {
+      stateRef.current = parseUrlState(window.location)
+      setState(stateRef.current)
+    }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  const update = useCallback((changes, { replace = false } = {}) => {
+    const next = { ...stateRef.current, ...changes }
+    const url = buildUrl(next)
+    if (url !== window.location.pathname + window.location.search) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+    }
+    stateRef.current = next
+    setState(next)
+  }, [])
+
+  return [state, update]
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react'
+import { getLastVisit, recordVisit, compareWithVisit } from '../lib/visits'
+
+// NEW and "climbed N places" markers for `repos` against the previous visit to list `key`. The
+// previous visit is read once per list per session, so refreshes and "load more" keep comparing
+// against what was there before the page was opened while the stored visit moves forward.
+// Pass a null key for lists that shouldn't count as a visit, such as an offline fallback.
+export const useVisitChanges = (key, repos) => {
+  const [baselines, setBaselines] = useState({})
+
+  useEffect(() => {
+    if (!key || repos.length === 0) return
+    // Read before recording: the updater only runs on the next render
+    const lastVisit = getLastVisit(key)
+    setBaselines(prev => key in prev ? prev : { ...prev, [key]: lastVisit })
+    recordVisit(key, repos)
+  }, [key, repos])
+
+  return key && key in baselines ? compareWithVisit(baselines[key], repos) : {}
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  loadWatchlist,
+  saveWatchlist,
+  subscribeWatchlist,
+  addBookmark,
+  removeBookmark,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  importCollections
+} from '../lib/watchlist'
+import { t } from '../lib/i18n'
+
+// Saved collections, persisted to localStorage and kept in sync across tabs. `saveError` says why
+// the last change couldn't be stored, until a later one can.
+export const useWatchlist = () => {
+  const [watchlist, setWatchlist] = useState(loadWatchlist)
+  const [saveError, setSaveError] = useState(null)
+  // The state as it already is in storage (loaded, saved or written by another tab)
+  const storedRef = useRef(watchlist)
+
+  useEffect(() => subscribeWatchlist(stored => {
+    storedRef.current = stored
+    setWatchlist(stored)
+  }), [])
+
+  // Saved after the change renders rather than inside the updater, which StrictMode calls twice
+  useEffect(() => {
+    if (watchlist === storedRef.current) return
+    storedRef.current = watchlist
+    try {
+      saveWatchlist(watchlist)
+      setSaveError(null)
+    } catch (err) {
+      setSaveError(err?.name === 'QuotaExceededError'
+        ? t('watchlist.saveQuota')
+        : t('watchlist.saveFailed', { error: err?.message || err }))
+    }
+  }, [watchlist])
+
+  return {
+    watchlist,
+    saveError,
+    addBookmark: (collectionId, repo) => setWatchlist(state => addBookmark(state, collectionId, repo)),
+    removeBookmark: (collectionId, repoId) => setWatchlist(state => removeBookmark(state, collectionId, repoId)),
+    createCollection: (name, repo) => setWatchlist(state => createCollection(state, name, repo)),
+    renameCollection: (collectionId, name) => setWatchlist(state => renameCollection(state, collectionId, name)),
+    deleteCollection: (collectionId) => setWatchlist(state => deleteCollection(state, collectionId)),
+    // Check the file against the current state first so a bad one surfaces as an error to the
+    // caller, then merge into whatever the state is when the update applies
+    importCollections: (json) => {
+      importCollections(watchlist, json)
+      setWatchlist(state => importCollections(state, json))
+    }
+  }
+}
@@ -0,0 +1,102 @@
+import { t } from './i18n'
+
+const RULES_STORAGE_KEY = 'github-trends-alert-rules'
+const NOTIFIED_STORAGE_KEY = 'github-trends-alerted'
+// Repo IDs remembered per rule so a repo that keeps matching only notifies once
+const MAX_NOTIFIED_PER_RULE = 500
+
+export const loadAlertRules = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export const saveAlertRules = (rules) => {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules))
+}
+
+// A rule from form input: every field is optional but at least one must be set
+export const createAlertRule = ({ topic = '', language = '', minStars = '' }) => {
+  const rule = {
+    id: Date.now().toString(36),
+    topic: topic.trim().toLowerCase().replace(/\s+/g, '-'),
+    language: language.trim(),
+    minStars: minStars === '' ? null : Number(minStars)
+  }
+  return rule.topic || rule.language || rule.minStars !== null ? rule : null
+}
+
+// "topic llm · Python · >500 stars"
+export const describeAlertRule = (rule) => [
+  rule.topic && t('alerts.ruleTopic', { topic: rule.topic }),
+  rule.language,
+  rule.minStars !== null && t('alerts.ruleStars', { count: rule.minStars })
+].filter(Boolean).join(' · ')
+
+export const matchesAlertRule = (repo, rule) =>
+  (!rule.topic || (repo.topics || []).includes(rule.topic)) &&
+  (!rule.language || repo.language?.toLowerCase() === rule.language.toLowerCase()) &&
+  (rule.minStars === null || repo.stargazers_count > rule.minStars)
+
+const loadNotified = () => {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFIED_STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// Repos in `repos` matching a rule that haven't been reported for that rule before, as
+// [{ rule, repos }]. They're remembered as reported, so call this once per refreshed list.
+export const takeNewMatches = (repos, rules) => {
+  const notified = loadNotified()
+  const matches = rules
+    .map(rule => {
+      const already = new Set(notified[rule.id] || [])
+      return { rule, repos: repos.filter(repo => !already.has(repo.id) && matchesAlertRule(repo, rule)) }
+    })
+    .filter(match => match.repos.length > 0)
+
+  if (matches.length === 0) return matches
+  // Drop entries for deleted rules while we're here
+  const next = Object.fromEntries(rules.map(rule => [rule.id, notified[rule.id] || []]))
+  matches.forEach(({ rule, repos: matched }) => {
+    next[rule.id] = [...matched.map(repo => repo.id), ...next[rule.id]].slice(0, MAX_NOTIFIED_PER_RULE)
+  })
+  try {
+    localStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(next))
+  } catch {
+    // Storage unavailable: the same repos may notify again next time
+  }
+  return matches
+}
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window
+
+// One browser notification per rule; clicking it focuses the tab and hands back the first repo
+export const showAlertNotifications = (matches, onClick) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return
+  matches.forEach(({ rule, repos }) => {
+    const [first] = repos
+    const notification = new Notification(
+      repos.length === 1
+        ? t('alerts.oneTrending', { name: first.full_name })
+        : t('alerts.manyTrending', { count: repos.length, rule: describeAlertRule(rule) }),
+      {
+        body: repos.length === 1
+          ? first.description || describeAlertRule(rule)
+          : repos.slice(0, 3).map(repo => repo.full_name).join(', '),
+        icon: '/icon.svg',
+        tag: `alert-${rule.id}`
+      }
+    )
+    notification.onclick = () => {
+      window.focus()
+      onClick(first)
+      notification.close()
+    }
+  })
+}
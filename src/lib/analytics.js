@@ -0,0 +1,76 @@
+import { buildCandidateQueries, getSearchWindow, getPreviousWindow } from './query'
+import { fetchCachedJson } from './cache'
+
+const countBy = (items, keysOf) => {
+  const counts = new Map()
+  items.forEach(item => keysOf(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)))
+  return counts
+}
+
+// Sorted [{ key, count, share }] where share is the fraction of `total` repos
+const toBreakdown = (counts, total) => [...counts.entries()]
+  .map(([key, count]) => ({ key, count, share: total > 0 ? count / total : 0 }))
+  .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+
+// Topic, language and owner breakdowns of a repo list. Topics prefer the README enrichment
+// in `details` (keyed by repo id) over the search result's own list.
+export const summarizeRepos = (repos, details = {}) => {
+  const total = repos.length
+  const owners = new Map()
+  repos.forEach(repo => {
+    const owner = owners.get(repo.owner.login) || { key: repo.owner.login, type: repo.owner.type, count: 0, avatarUrl: repo.owner.avatar_url }
+    owners.set(repo.owner.login, { ...owner, count: owner.count + 1 })
+  })
+
+  return {
+    total,
+    topics: toBreakdown(countBy(repos, repo => details[repo.id]?.topics || repo.topics || []), total),
+    languages: toBreakdown(countBy(repos, repo => [repo.language || 'Unknown']), total),
+    ownerTypes: toBreakdown(countBy(repos, repo => [repo.owner.type === 'Organization' ? 'Organization' : 'User']), total),
+    owners: [...owners.values()]
+      .map(owner => ({ ...owner, share: owner.count / total }))
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+  }
+}
+
+// Annotate each current entry with its share in `previous` and the change in percentage points
+// from there to its share in `latest`, the population comparable with `previous`. Entries found
+// in neither population have nothing to compare, so their change is null rather than zero.
+export const compareBreakdown = (current, previous, latest = current) => {
+  const before = new Map((previous || []).map(entry => [entry.key, entry]))
+  const now = new Map((latest || []).map(entry => [entry.key, entry]))
+  return current.map(entry => {
+    const old = before.get(entry.key)
+    const comparable = previous && latest && (old || now.has(entry.key))
+    return {
+      ...entry,
+      previousShare: comparable ? (old?.share ?? 0) : null,
+      change: comparable ? ((now.get(entry.key)?.share ?? 0) - (old?.share ?? 0)) * 100 : null
+    }
+  })
+}
+
+const PERIOD_PER_PAGE = 100
+
+const fetchCreatedDuring = async ({ window, filters, languages, text, signal }) => {
+  const [{ q: query }] = buildCandidateQueries({ window, languages, text, filters: { ...filters, dateField: 'created' } })
+  const data = await fetchCachedJson(
+    `/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=${PERIOD_PER_PAGE}`,
+    { signal }
+  )
+  return data.items || []
+}
+
+// Repos created during the current window and the one before it, under the same filters and the
+// same query. Only the created: query is comparable: a repo's pushed date moves on, so last
+// period's activity can't be searched for after the fact, and the trending list mixes in pushed:
+// candidates that the previous period has no counterpart for.
+export const fetchPeriodComparison = async ({ timeRange, filters, languages, text, signal }) => {
+  const window = getSearchWindow(timeRange, filters)
+  const previousWindow = getPreviousWindow(window)
+  const [current, previous] = await Promise.all([
+    fetchCreatedDuring({ window, filters, languages, text, signal }),
+    fetchCreatedDuring({ window: previousWindow, filters, languages, text, signal })
+  ])
+  return { window: previousWindow, current, previous }
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { compareBreakdown, fetchPeriodComparison } from './analytics'
+import { DEFAULT_ADVANCED_FILTERS } from './query'
+import { server, API, makeRepo, searchResponse } from '../test/github'
+
+const entry = (key, share) => ({ key, count: 1, share })
+
+describe('compareBreakdown', () => {
+  it('measures the change between the comparable populations', () => {
+    const shown = [entry('rust', 0.5), entry('go', 0.2)]
+    const previous = [entry('rust', 0.1), entry('go', 0.3)]
+    const latest = [entry('rust', 0.3)]
+    const [rust, go] = compareBreakdown(shown, previous, latest)
+    expect(rust).toMatchObject({ share: 0.5, previousShare: 0.1 })
+    expect(rust.change).toBeCloseTo(20)
+    expect(go.change).toBeCloseTo(-30)
+  })
+
+  it('leaves out the change for entries in neither comparable population', () => {
+    const [rust] = compareBreakdown([entry('rust', 0.5)], [entry('go', 0.3)], [entry('go', 0.2)])
+    expect(rust).toMatchObject({ previousShare: null, change: null })
+  })
+
+  it('leaves changes out until the previous period has loaded', () => {
+    expect(compareBreakdown([entry('rust', 0.5)], null)[0]).toMatchObject({ previousShare: null, change: null })
+  })
+})
+
+describe('fetchPeriodComparison', () => {
+  it('searches both windows with the same created: query', async () => {
+    const queries = []
+    server.use(http.get(`${API}/search/repositories`, ({ request }) => {
+      const q = new URL(request.url).searchParams.get('q')
+      queries.push(q)
+      return HttpResponse.json(searchResponse([makeRepo(queries.length)]))
+    }))
+
+    const result = await fetchPeriodComparison({ timeRange: 'weekly', filters: DEFAULT_ADVANCED_FILTERS, languages: ['Rust'], text: '' })
+    expect(queries).toHaveLength(2)
+    queries.forEach(q => expect(q).toMatch(/^created:\S+ language:Rust$/))
+    expect(queries[0].replace(/^created:\S+/, '')).toBe(queries[1].replace(/^created:\S+/, ''))
+    expect(result.current).toHaveLength(1)
+    expect(result.previous).toHaveLength(1)
+  })
+})
@@ -0,0 +1,134 @@
+import { githubFetch, abortableDelay, GitHubApiError } from './github'
+import { t } from './i18n'
+
+const TOKEN_KEY = 'github-token'
+
+// A saved token and whether it lives in localStorage (kept across sessions) or sessionStorage
+export const loadStoredToken = () => {
+  try {
+    const session = sessionStorage.getItem(TOKEN_KEY)
+    if (session) return { token: session, persist: false }
+    const local = localStorage.getItem(TOKEN_KEY)
+    if (local) return { token: local, persist: true }
+  } catch {
+    // Storage unavailable
+  }
+  return { token: '', persist: false }
+}
+
+// Save `token` in exactly one place, or clear it everywhere when empty
+export const storeToken = (token, persist) => {
+  try {
+    localStorage.removeItem(TOKEN_KEY)
+    sessionStorage.removeItem(TOKEN_KEY)
+    if (token) (persist ? localStorage : sessionStorage).setItem(TOKEN_KEY, token)
+  } catch {
+    // Storage unavailable: the token lasts until the tab closes
+  }
+}
+
+const tokenKind = (token) => {
+  if (token.startsWith('github_pat_')) return t('token.kind.fineGrained')
+  if (token.startsWith('ghp_')) return t('token.kind.classic')
+  if (token.startsWith('gho_') || token.startsWith('ghu_')) return t('token.kind.oauth')
+  return t('token.kind.other')
+}
+
+// Check a token against /user before it's used. Resolves with who it belongs to, its scopes
+// (null for fine-grained tokens, which don't report any) and the core quota left; rejects with
+// a GitHubApiError whose message says what's wrong.
+export const validateToken = async (token, signal) => {
+  let response
+  try {
+    response = await githubFetch('/user', { token, signal })
+  } catch (err) {
+    if (err instanceof GitHubApiError && err.status === 401) {
+      throw new GitHubApiError(t('token.rejected'), 401)
+    }
+    throw err
+  }
+  const user = await response.json()
+  const scopes = response.headers.get('X-OAuth-Scopes')
+  return {
+    login: user.login,
+    name: user.name,
+    avatarUrl: user.avatar_url,
+    kind: tokenKind(token),
+    scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+    rateLimit: {
+      limit: Number(response.headers.get('X-RateLimit-Limit')),
+      remaining: Number(response.headers.get('X-RateLimit-Remaining')),
+      resetAt: Number(response.headers.get('X-RateLimit-Reset')) * 1000
+    }
+  }
+}
+
+// OAuth device flow. github.com's /login endpoints don't allow cross-origin requests, so they are
+// reached through a token-exchange endpoint: any service that forwards POSTs to
+// `<endpoint>/login/device/code` and `<endpoint>/login/oauth/access_token` on to github.com, for
+// example a small serverless function. Both the endpoint and the OAuth app's client id come from
+// the build environment; without them the sign-in button is hidden.
+const deviceFlowConfig = {
+  clientId: import.meta.env.VITE_GITHUB_CLIENT_ID || '',
+  endpoint: (import.meta.env.VITE_GITHUB_TOKEN_EXCHANGE_URL || '').replace(/\/$/, '')
+}
+
+export const isDeviceFlowAvailable = () => Boolean(deviceFlowConfig.clientId && deviceFlowConfig.endpoint)
+
+const postToExchange = async (path, params, signal) => {
+  const response = await fetch(`${deviceFlowConfig.endpoint}${path}`, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: deviceFlowConfig.clientId, ...params }),
+    signal
+  })
+  if (!response.ok) {
+    throw new Error(t('token.serviceError', { status: response.status }))
+  }
+  return response.json()
+}
+
+// Ask for a user code. Resolves with { deviceCode, userCode, verificationUri, expiresAt, interval }.
+// No scopes are requested: reading public repositories needs none.
+export const startDeviceFlow = async (signal) => {
+  const data = await postToExchange('/login/device/code', {}, signal)
+  if (data.error) throw new Error(data.error_description || data.error)
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    interval: data.interval
+  }
+}
+
+// Catalog keys for the device flow errors worth explaining
+const DEVICE_FLOW_ERRORS = {
+  expired_token: 'token.codeExpired',
+  access_denied: 'token.signInCancelled',
+  incorrect_client_credentials: 'token.misconfigured',
+  device_flow_disabled: 'token.deviceFlowDisabled'
+}
+
+// Poll until the user has entered the code on GitHub; resolves with the access token
+export const pollDeviceFlow = async ({ deviceCode, interval, expiresAt }, signal) => {
+  let waitSeconds = interval
+  while (Date.now() < expiresAt) {
+    await abortableDelay(waitSeconds * 1000, signal)
+    const data = await postToExchange('/login/oauth/access_token', {
+      device_code: deviceCode,
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+    }, signal)
+
+    if (data.access_token) return data.access_token
+    if (data.error === 'authorization_pending') continue
+    if (data.error === 'slow_down') {
+      // GitHub asks for five more seconds between polls each time
+      waitSeconds = data.interval || waitSeconds + 5
+      continue
+    }
+    const known = DEVICE_FLOW_ERRORS[data.error]
+    throw new Error(known ? t(known) : data.error_description || data.error || t('token.signInFailed'))
+  }
+  throw new Error(t(DEVICE_FLOW_ERRORS.expired_token))
+}
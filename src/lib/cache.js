@@ -0,0 +1,173 @@
+import { withTransaction, requestToPromise } from './db'
+import { githubFetch, NetworkError } from './github'
+
+const MINUTE = 60 * 1000
+
+// How long each kind of resource is served without revalidating
+export const CACHE_TTLS = {
+  info: 10 * MINUTE,
+  readme: 60 * MINUTE,
+  // Contributors, languages, community profile and commit stats move slowly
+  insights: 60 * MINUTE,
+  default: 5 * MINUTE
+}
+
+export const CACHE_BUDGET_OPTIONS = [5, 10, 25, 50].map(mb => mb * 1024 * 1024)
+const BUDGET_STORAGE_KEY = 'github-trends-cache-budget'
+const DEFAULT_BUDGET = CACHE_BUDGET_OPTIONS[1]
+
+export const getCacheBudget = () => {
+  const stored = Number(localStorage.getItem(BUDGET_STORAGE_KEY))
+  return stored > 0 ? stored : DEFAULT_BUDGET
+}
+
+export const setCacheBudget = async (bytes) => {
+  localStorage.setItem(BUDGET_STORAGE_KEY, String(bytes))
+  await evict(bytes)
+}
+
+// The localStorage cache this layer replaced; drop it so it stops eating the quota
+const purgeLegacyCache = () => {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith('github-trends-') && (key.includes('-readme-') || key.includes('-info-')))
+      .forEach(key => localStorage.removeItem(key))
+  } catch {
+    // Storage unavailable
+  }
+}
+purgeLegacyCache()
+
+const sizeOf = (value) => new TextEncoder().encode(JSON.stringify(value)).length
+
+// Read an entry and mark it as recently used
+const readEntry = (key) => withTransaction(['cache', 'cacheMeta'], 'readwrite', async (tx) => {
+  const meta = await requestToPromise(tx.objectStore('cacheMeta').get(key))
+  if (!meta) return null
+  const entry = await requestToPromise(tx.objectStore('cache').get(key))
+  if (!entry) return null
+  tx.objectStore('cacheMeta').put({ ...meta, lastAccess: Date.now() })
+  return { ...entry, fetchedAt: meta.fetchedAt, ttl: meta.ttl }
+})
+
+const writeEntry = (key, data, etag, ttl) => {
+  const now = Date.now()
+  return withTransaction(['cache', 'cacheMeta'], 'readwrite', (tx) => {
+    tx.objectStore('cache').put({ key, data, etag })
+    tx.objectStore('cacheMeta').put({ key, size: sizeOf(data), fetchedAt: now, lastAccess: now, ttl })
+  })
+}
+
+// A 304 confirms the body we hold, so only restart its TTL
+const touchEntry = (key) => withTransaction('cacheMeta', 'readwrite', async (tx) => {
+  const store = tx.objectStore('cacheMeta')
+  const meta = await requestToPromise(store.get(key))
+  if (meta) {
+    const now = Date.now()
+    store.put({ ...meta, fetchedAt: now, lastAccess: now })
+  }
+})
+
+// Drop least recently used entries until the cache fits in `budget` bytes
+const evict = (budget = getCacheBudget()) => withTransaction(['cache', 'cacheMeta'], 'readwrite', async (tx) => {
+  const metaStore = tx.objectStore('cacheMeta')
+  const all = await requestToPromise(metaStore.index('lastAccess').getAll())
+  let total = all.reduce((sum, meta) => sum + meta.size, 0)
+  for (const meta of all) {
+    if (total <= budget) break
+    metaStore.delete(meta.key)
+    tx.objectStore('cache').delete(meta.key)
+    total -= meta.size
+  }
+})
+
+const storeEntry = async (key, data, etag, ttl) => {
+  try {
+    await writeEntry(key, data, etag, ttl)
+    await evict()
+  } catch (err) {
+    if (err?.name !== 'QuotaExceededError') return
+    // The browser's quota is tighter than our budget: make room and try once more
+    try {
+      await evict(getCacheBudget() / 2)
+      await writeEntry(key, data, etag, ttl)
+    } catch {
+      // Still no room: the response is used without being cached
+    }
+  }
+}
+
+export const getCacheStats = async () => {
+  try {
+    const all = await withTransaction('cacheMeta', 'readonly', tx =>
+      requestToPromise(tx.objectStore('cacheMeta').getAll())
+    )
+    return { entries: all.length, bytes: all.reduce((sum, meta) => sum + meta.size, 0) }
+  } catch {
+    return { entries: 0, bytes: 0 }
+  }
+}
+
+export const clearCache = async () => {
+  purgeLegacyCache()
+  await withTransaction(['cache', 'cacheMeta'], 'readwrite', (tx) => {
+    tx.objectStore('cache').clear()
+    tx.objectStore('cacheMeta').clear()
+  })
+}
+
+// GET a GitHub API path as JSON through the cache. Fresh entries are served directly; stale ones
+// are revalidated with If-None-Match so an unchanged resource costs a 304 instead of a full request,
+// and served as they are when GitHub can't be reached.
+// `transform(body, response)` shapes the response body before it is stored; pass a distinct `key`
+// when the stored shape differs from other callers of the same path. A 202 (statistics GitHub is
+// still computing) resolves with null and isn't stored.
+export const fetchCachedJson = async (path, { kind = 'default', key = path, signal, accept, transform = data => data } = {}) => {
+  const ttl = CACHE_TTLS[kind] ?? CACHE_TTLS.default
+  let entry = null
+  try {
+    entry = await readEntry(key)
+  } catch {
+    // No IndexedDB: fall through to the network
+  }
+
+  if (entry && Date.now() - entry.fetchedAt < entry.ttl) {
+    return entry.data
+  }
+
+  const headers = entry?.etag ? { 'If-None-Match': entry.etag } : {}
+  let response
+  try {
+    response = await githubFetch(path, { signal, accept, headers })
+  } catch (err) {
+    if (err instanceof NetworkError && entry) return entry.data
+    throw err
+  }
+
+  if (response.status === 304 && entry) {
+    touchEntry(key).catch(() => {})
+    return entry.data
+  }
+
+  if (response.status === 202) return null
+
+  // 204 No Content, e.g. contributors of an empty repository
+  const body = response.status === 204 ? null : await response.json()
+  const data = transform(body, response)
+  await storeEntry(key, data, response.headers.get('ETag'), ttl)
+  return data
+}
+
+// Keep a value computed from several responses (such as a ranked trending list) for offline use.
+// It shares the cache budget but never expires; readers decide how old is too old.
+export const putCachedValue = (key, data) => storeEntry(key, data, null, Infinity)
+
+// A value stored with putCachedValue as { data, fetchedAt }, or null
+export const getCachedValue = async (key) => {
+  try {
+    const entry = await readEntry(key)
+    return entry && { data: entry.data, fetchedAt: entry.fetchedAt }
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,72 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { fetchCachedJson, putCachedValue, getCachedValue, setCacheBudget, clearCache, CACHE_TTLS } from './cache'
+import { server, API } from '../test/github'
+
+// Only the clock is faked; IndexedDB still needs real timers to run its transactions
+const advanceClock = (ms) => vi.setSystemTime(Date.now() + ms)
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  await clearCache()
+})
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('fetchCachedJson', () => {
+  it('revalidates a stale entry with its ETag and keeps the stored body on a 304', async () => {
+    const requests = []
+    server.use(http.get(`${API}/repos/octocat/hello`, ({ request }) => {
+      requests.push(request.headers.get('If-None-Match'))
+      if (request.headers.get('If-None-Match') === '"v1"') return new HttpResponse(null, { status: 304 })
+      return HttpResponse.json({ stars: 1 }, { headers: { ETag: '"v1"' } })
+    }))
+
+    expect(await fetchCachedJson('/repos/octocat/hello')).toEqual({ stars: 1 })
+    // Fresh: served without asking GitHub
+    expect(await fetchCachedJson('/repos/octocat/hello')).toEqual({ stars: 1 })
+    expect(requests).toEqual([null])
+
+    advanceClock(CACHE_TTLS.default + 1000)
+    expect(await fetchCachedJson('/repos/octocat/hello')).toEqual({ stars: 1 })
+    expect(requests).toEqual([null, '"v1"'])
+
+    // The 304 restarted the entry's TTL
+    expect(await fetchCachedJson('/repos/octocat/hello')).toEqual({ stars: 1 })
+    expect(requests).toHaveLength(2)
+  })
+})
+
+describe('cache budget', () => {
+  // Each value takes 100 bytes once serialised
+  const value = (fill) => fill.repeat(98)
+
+  it('evicts the least recently used entries once the budget is exceeded', async () => {
+    await setCacheBudget(250)
+    await putCachedValue('a', value('a'))
+    advanceClock(1000)
+    await putCachedValue('b', value('b'))
+    advanceClock(1000)
+    // Reading 'a' makes 'b' the least recently used
+    await getCachedValue('a')
+    advanceClock(1000)
+    await putCachedValue('c', value('c'))
+
+    expect(await getCachedValue('b')).toBeNull()
+    expect((await getCachedValue('a')).data).toBe(value('a'))
+    expect((await getCachedValue('c')).data).toBe(value('c'))
+  })
+
+  it('shrinks to a lowered budget straight away', async () => {
+    await setCacheBudget(1000)
+    await putCachedValue('a', value('a'))
+    advanceClock(1000)
+    await putCachedValue('b', value('b'))
+
+    await setCacheBudget(150)
+    expect(await getCachedValue('a')).toBeNull()
+    expect(await getCachedValue('b')).not.toBeNull()
+  })
+})
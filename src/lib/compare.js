@@ -0,0 +1,85 @@
+import { fetchRepoInfo, fetchLatestRelease, fetchContributorCount, fetchCommitActivity } from './repos'
+import { fetchRepoDetails } from './details'
+import { starsPerDay } from './sorting'
+import { formatNumber, formatDate } from './format'
+import { t } from './i18n'
+
+// More columns than this stop fitting side by side
+export const MAX_COMPARED = 3
+const ACTIVITY_WEEKS = 12
+const DAY = 24 * 60 * 60 * 1000
+
+// Add or remove `fullName`; adding to a full selection does nothing
+export const toggleCompared = (selected, fullName) => {
+  if (selected.includes(fullName)) return selected.filter(name => name !== fullName)
+  return selected.length < MAX_COMPARED ? [...selected, fullName] : selected
+}
+
+// Everything the comparison shows for one repo. Only the repo itself is required; the other
+// sections are null when GitHub can't provide them (commits also while GitHub computes them).
+export const fetchComparisonEntry = async (fullName, signal) => {
+  const [owner, name] = fullName.split('/')
+  const repo = await fetchRepoInfo(owner, name, signal)
+  if (!repo) throw new Error(t('compare.loadError', { name: fullName }))
+
+  const optional = promise => promise.catch(() => null)
+  const [release, contributors, activity, details] = await Promise.all([
+    optional(fetchLatestRelease(repo, signal)),
+    optional(fetchContributorCount(repo, signal)),
+    optional(fetchCommitActivity(repo, signal)),
+    optional(fetchRepoDetails(repo, signal))
+  ])
+  return {
+    repo,
+    release,
+    contributors,
+    commits: activity ? activity.slice(-ACTIVITY_WEEKS).reduce((sum, week) => sum + week.total, 0) : null,
+    summary: details?.enhancedDescription || repo.description || null
+  }
+}
+
+const formatAge = (ms) => {
+  const days = Math.floor(ms / DAY)
+  if (days < 60) return t('compare.days', { count: days })
+  if (days < 730) return t('compare.months', { count: Math.floor(days / 30) })
+  return t('compare.years', { count: Math.round(days / 36.5) / 10 })
+}
+
+// Stars per day over the part of the trending window a star delta covers
+const windowRate = (delta, now = Date.now()) => delta.gained / Math.max(1, (now - delta.since) / DAY)
+
+// Rows of the comparison. `better` says which end of `value` wins the row ('higher' or 'lower');
+// descriptive rows such as age and license aren't ranked. `value` gets the entry with `delta`, the
+// repo's star delta in the trending window, when the trending list has one. Rows over that window
+// have a `label` function that takes the window's name.
+export const COMPARE_ROWS = [
+  { id: 'stars', label: t('compare.stars'), value: entry => entry.repo.stargazers_count, better: 'higher', format: formatNumber },
+  { id: 'forks', label: t('compare.forks'), value: entry => entry.repo.forks_count, better: 'higher', format: formatNumber },
+  { id: 'velocity', label: window => t('compare.velocity', { window }), value: entry => entry.delta ? windowRate(entry.delta) : null, better: 'higher', format: value => value.toFixed(1) },
+  { id: 'lifetimeVelocity', label: t('compare.lifetimeVelocity'), value: entry => starsPerDay(entry.repo), better: 'higher', format: value => value.toFixed(1) },
+  { id: 'age', label: t('compare.age'), value: entry => Date.now() - new Date(entry.repo.created_at).getTime(), better: null, format: formatAge },
+  { id: 'license', label: t('compare.license'), value: entry => entry.repo.license?.spdx_id || entry.repo.license?.name || null, better: null, format: value => value },
+  { id: 'pushed', label: t('compare.pushed'), value: entry => entry.repo.pushed_at ? new Date(entry.repo.pushed_at).getTime() : null, better: 'higher', format: formatDate },
+  { id: 'release', label: t('compare.release'), value: entry => entry.release ? new Date(entry.release.published_at).getTime() : null, better: 'higher', format: formatDate },
+  { id: 'issues', label: t('compare.issues'), value: entry => entry.repo.open_issues_count, better: 'lower', format: formatNumber },
+  { id: 'contributors', label: t('compare.contributors'), value: entry => entry.contributors, better: 'higher', format: formatNumber },
+  { id: 'commits', label: t('compare.commits', { weeks: ACTIVITY_WEEKS }), value: entry => entry.commits, better: 'higher', format: formatNumber }
+]
+
+// The rows for a comparison. Star velocity is measured over the trending window when every repo
+// has a delta there (`hasDelta` gets each column), and over each repo's lifetime otherwise, since
+// the two rates can't be ranked against each other.
+export const compareRowsFor = (names, hasDelta) => {
+  const windowed = names.length > 0 && names.every(hasDelta)
+  return COMPARE_ROWS.filter(row => row.id !== (windowed ? 'lifetimeVelocity' : 'velocity'))
+}
+
+// Indexes of the winning values in a row; nothing wins when fewer than two values can be compared
+// or they're all equal
+export const bestIndexes = (values, better) => {
+  const known = values.filter(value => value !== null && value !== undefined)
+  if (!better || known.length < 2) return []
+  const best = better === 'higher' ? Math.max(...known) : Math.min(...known)
+  if (known.every(value => value === best)) return []
+  return values.flatMap((value, index) => value === best ? [index] : [])
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { toggleCompared, bestIndexes, fetchComparisonEntry, compareRowsFor, COMPARE_ROWS, MAX_COMPARED } from './compare'
+import { server, API, makeRepo } from '../test/github'
+
+describe('toggleCompared', () => {
+  it('adds and removes repos', () => {
+    expect(toggleCompared([], 'a/b')).toEqual(['a/b'])
+    expect(toggleCompared(['a/b', 'c/d'], 'a/b')).toEqual(['c/d'])
+  })
+
+  it('ignores additions once the selection is full', () => {
+    const full = Array.from({ length: MAX_COMPARED }, (_, i) => `owner/repo${i}`)
+    expect(toggleCompared(full, 'x/y')).toBe(full)
+  })
+})
+
+describe('bestIndexes', () => {
+  it('picks the highest or lowest value', () => {
+    expect(bestIndexes([10, 30, 20], 'higher')).toEqual([1])
+    expect(bestIndexes([10, 30, 20], 'lower')).toEqual([0])
+  })
+
+  it('highlights every repo sharing the best value', () => {
+    expect(bestIndexes([30, 10, 30], 'higher')).toEqual([0, 2])
+  })
+
+  it('highlights nothing without a contest', () => {
+    expect(bestIndexes([5, 5], 'higher')).toEqual([])
+    expect(bestIndexes([5, null], 'higher')).toEqual([])
+    expect(bestIndexes([5, 7], null)).toEqual([])
+  })
+})
+
+describe('compareRowsFor', () => {
+  const velocityRows = (rows) => rows.filter(row => row.id.toLowerCase().includes('velocity')).map(row => row.id)
+
+  it('measures velocity over the trending window when every repo has a delta', () => {
+    expect(velocityRows(compareRowsFor(['a/b', 'c/d'], () => true))).toEqual(['velocity'])
+  })
+
+  it('falls back to the lifetime average when any repo lacks one', () => {
+    expect(velocityRows(compareRowsFor(['a/b', 'c/d'], name => name === 'a/b'))).toEqual(['lifetimeVelocity'])
+  })
+
+  it('rates the window gain per day', () => {
+    const velocity = COMPARE_ROWS.find(row => row.id === 'velocity')
+    const delta = { gained: 70, since: Date.now() - 7 * 24 * 60 * 60 * 1000, partial: false }
+    expect(velocity.value({ repo: makeRepo(1), delta })).toBeCloseTo(10)
+    expect(velocity.value({ repo: makeRepo(1), delta: null })).toBeNull()
+  })
+})
+
+describe('fetchComparisonEntry', () => {
+  const repo = makeRepo(1, { topics: ['vector-db'], license: { key: 'mit', name: 'MIT License', spdx_id: 'MIT' } })
+
+  it('combines repo info, release, contributors and commit activity', async () => {
+    server.use(
+      http.get(`${API}/repos/owner1/repo1`, () => HttpResponse.json(repo)),
+      http.get(`${API}/repos/owner1/repo1/releases/latest`, () =>
+        HttpResponse.json({ tag_name: 'v2.0.0', name: '2.0', published_at: '2024-03-01T00:00:00Z', html_url: 'https://github.com/owner1/repo1/releases/v2.0.0' })
+      ),
+      http.get(`${API}/repos/owner1/repo1/contributors`, () => HttpResponse.json(
+        [{ login: 'a' }],
+        { headers: { Link: `<${API}/repositories/1/contributors?per_page=1&anon=1&page=2>; rel="next", <${API}/repositories/1/contributors?per_page=1&anon=1&page=42>; rel="last"` } }
+      )),
+      http.get(`${API}/repos/owner1/repo1/stats/commit_activity`, () =>
+        HttpResponse.json(Array.from({ length: 52 }, (_, week) => ({ week: week * 604800, total: week >= 40 ? 3 : 100, days: [] })))
+      )
+    )
+
+    const entry = await fetchComparisonEntry('owner1/repo1')
+    expect(entry.repo.full_name).toBe('owner1/repo1')
+    expect(entry.release.tag_name).toBe('v2.0.0')
+    expect(entry.contributors).toBe(42)
+    expect(entry.commits).toBe(36)
+    // No README, so the summary is the description
+    expect(entry.summary).toBe('Description of repo1')
+
+    const license = COMPARE_ROWS.find(row => row.id === 'license')
+    expect(license.value(entry)).toBe('MIT')
+  })
+
+  it('leaves out what GitHub can’t provide yet', async () => {
+    server.use(
+      http.get(`${API}/repos/owner1/repo1`, () => HttpResponse.json(repo)),
+      http.get(`${API}/repos/owner1/repo1/releases/latest`, () => HttpResponse.json({ message: 'Not Found' }, { status: 404 })),
+      http.get(`${API}/repos/owner1/repo1/contributors`, () => HttpResponse.json({ message: 'Repository access blocked' }, { status: 403 })),
+      // Still computing
+      http.get(`${API}/repos/owner1/repo1/stats/commit_activity`, () => HttpResponse.json({}, { status: 202 }))
+    )
+
+    const entry = await fetchComparisonEntry('owner1/repo1')
+    expect(entry).toMatchObject({ release: null, contributors: null, commits: null })
+  })
+
+  it('fails when the repo itself can’t be loaded', async () => {
+    server.use(http.get(`${API}/repos/owner1/missing`, () => HttpResponse.json({ message: 'Not Found' }, { status: 404 })))
+    await expect(fetchComparisonEntry('owner1/missing')).rejects.toThrow("Couldn't load owner1/missing")
+  })
+})
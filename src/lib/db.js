@@ -0,0 +1,75 @@
+// Thin promise wrapper around the app's IndexedDB database
+const DB_NAME = 'github-trends'
+const DB_VERSION = 2
+
+let dbPromise = null
+
+const upgrade = (db) => {
+  // Star snapshots keyed by [repoId, timestamp] so a key range yields one repo's history in order
+  if (!db.objectStoreNames.contains('snapshots')) {
+    db.createObjectStore('snapshots', { keyPath: ['repoId', 'timestamp'] })
+  }
+  // API response cache: bodies and their bookkeeping live apart so eviction never loads bodies
+  if (!db.objectStoreNames.contains('cache')) {
+    db.createObjectStore('cache', { keyPath: 'key' })
+  }
+  if (!db.objectStoreNames.contains('cacheMeta')) {
+    const meta = db.createObjectStore('cacheMeta', { keyPath: 'key' })
+    meta.createIndex('lastAccess', 'lastAccess')
+  }
+}
+
+export const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => upgrade(request.result)
+      request.onsuccess = () => {
+        const db = request.result
+        // Let a newer version opened in another tab upgrade the schema
+        db.onversionchange = () => {
+          db.close()
+          dbPromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => reject(request.error)
+    })
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Run `callback` with a transaction over `storeNames` and resolve with its return value once it commits
+export const withTransaction = async (storeNames, mode, callback) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    let result
+    Promise.resolve(callback(tx))
+      .then(value => { result = value })
+      .catch(err => {
+        reject(err)
+        tx.abort()
+      })
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Same as withTransaction for a single object store
+export const withStore = (storeName, mode, callback) =>
+  withTransaction(storeName, mode, tx => callback(tx.objectStore(storeName)))
@@ -0,0 +1,41 @@
+import { fetchRepoInfo } from './repos'
+import { fetchReadme } from './readme'
+import { fetchReadmeTexts } from './graphql'
+import { summarizeReadme } from './summarize'
+import { t } from './i18n'
+
+// What a card shows when nothing beyond the search result could be loaded
+export const basicDetails = (repo) => ({
+  enhancedDescription: repo.description || t('card.noDescription'),
+  topics: repo.topics || [],
+  readmeAvailable: false
+})
+
+// Get README-based description and topics for one search result over REST, falling back to its
+// basic data
+export const fetchRepoDetails = async (repo, signal) => {
+  const owner = repo.owner.login
+  try {
+    const readme = await fetchReadme(owner, repo.name, signal)
+    const repoInfo = await fetchRepoInfo(owner, repo.name, signal)
+
+    return {
+      enhancedDescription: summarizeReadme(readme?.content, repoInfo?.description ?? repo.description, readme?.path),
+      topics: repoInfo?.topics || repo.topics || [],
+      readmeAvailable: !!readme
+    }
+  } catch {
+    return basicDetails(repo)
+  }
+}
+
+// Details for a batch of repos from their README text in one GraphQL query, keyed by repo ID.
+// Rejects if the query fails, so callers can fall back to fetchRepoDetails.
+export const fetchDetailsBatch = async (repos, signal) => {
+  const readmes = await fetchReadmeTexts(repos, signal)
+  return Object.fromEntries(repos.map(repo => [repo.id, {
+    enhancedDescription: summarizeReadme(readmes[repo.id]?.text, repo.description, readmes[repo.id]?.path),
+    topics: repo.topics || [],
+    readmeAvailable: !!readmes[repo.id]
+  }]))
+}
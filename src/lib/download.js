@@ -0,0 +1,12 @@
+// Save `content` as a file through a temporary object URL
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Some browsers start the download only after click() returns, so the URL has to outlive it
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,178 @@
+import { t } from './i18n'
+import { formatDate } from './format'
+
+// Serializers for the "what's trending" export: one row per repo, restricted to the chosen fields
+
+export const EXPORT_FIELDS = [
+  { id: 'name', label: t('export.field.name') },
+  { id: 'url', label: t('export.field.url') },
+  { id: 'stars', label: t('export.field.stars') },
+  { id: 'forks', label: t('export.field.forks') },
+  { id: 'language', label: t('export.field.language') },
+  { id: 'topics', label: t('export.field.topics') },
+  { id: 'description', label: t('export.field.description') }
+]
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  { id: 'rss', label: 'RSS 2.0', extension: 'rss', type: 'application/rss+xml' },
+  { id: 'atom', label: 'Atom', extension: 'atom', type: 'application/atom+xml' }
+]
+
+const FIELDS_STORAGE_KEY = 'github-trends-export-fields'
+
+export const loadExportFields = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FIELDS_STORAGE_KEY))
+    if (Array.isArray(stored)) {
+      const known = stored.filter(id => EXPORT_FIELDS.some(field => field.id === id))
+      if (known.length > 0) return known
+    }
+  } catch {
+    // Fall back to everything
+  }
+  return EXPORT_FIELDS.map(field => field.id)
+}
+
+export const saveExportFields = (fields) => {
+  try {
+    localStorage.setItem(FIELDS_STORAGE_KEY, JSON.stringify(fields))
+  } catch {
+    // Storage unavailable: the choice just won't survive a reload
+  }
+}
+
+// Merge a search result with its README enrichment, when that has loaded
+export const toExportRow = (repo, details) => ({
+  name: repo.full_name,
+  url: repo.html_url,
+  stars: repo.stargazers_count,
+  forks: repo.forks_count,
+  language: repo.language || '',
+  topics: details?.topics || repo.topics || [],
+  description: details?.enhancedDescription || repo.description || ''
+})
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field]]))
+
+const labelOf = (field) => EXPORT_FIELDS.find(({ id }) => id === field).label
+
+// Spreadsheets run a cell starting with one of these as a formula; names, descriptions and topics
+// are written by whoever owns the repo, so those cells are prefixed with ' to stay plain text
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const csvCell = (value) => {
+  const joined = Array.isArray(value) ? value.join('; ') : String(value)
+  const text = FORMULA_START.test(joined) ? `'${joined}` : joined
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (rows, fields) => {
+  const lines = [
+    fields.map(labelOf).map(csvCell).join(','),
+    ...rows.map(row => fields.map(field => csvCell(row[field])).join(','))
+  ]
+  // The byte order mark makes Excel read the file as UTF-8 instead of the system code page
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+const toJson = (rows, fields, { title, generatedAt }) => JSON.stringify({
+  title,
+  generatedAt: generatedAt.toISOString(),
+  repositories: rows.map(row => pick(row, fields))
+}, null, 2)
+
+const markdownCell = (value) => (Array.isArray(value) ? value.join(', ') : String(value))
+  .replace(/\|/g, '\\|')
+  .replace(/</g, '&lt;')
+  .replace(/\s*\n\s*/g, ' ')
+
+const toMarkdown = (rows, fields, { title, generatedAt }) => {
+  // With both name and URL picked, the name becomes the link and the URL column is dropped
+  const linked = fields.includes('name') && fields.includes('url')
+  const columns = linked ? fields.filter(field => field !== 'url') : fields
+  const cell = (row, field) => field === 'name' && linked
+    ? `[${markdownCell(row.name)}](${row.url})`
+    : markdownCell(row[field])
+
+  return [
+    `# ${title}`,
+    '',
+    `_${t('export.generated', { date: formatDate(generatedAt), count: rows.length })}_`,
+    '',
+    `| ${columns.map(labelOf).join(' | ')} |`,
+    `| ${columns.map(field => ['stars', 'forks'].includes(field) ? '--:' : '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(field => cell(row, field)).join(' | ')} |`),
+    ''
+  ].join('\n')
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// Feed entries always need a title and link; the chosen fields other than those make up the body
+const feedSummary = (row, fields) => fields
+  .filter(field => field !== 'name' && field !== 'url')
+  .map(field => field === 'description'
+    ? row.description
+    : `${labelOf(field)}: ${Array.isArray(row[field]) ? row[field].join(', ') : row[field]}`)
+  .filter(Boolean)
+  .join('\n')
+
+const toRss = (rows, fields, { title, link, generatedAt }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0">',
+  '  <channel>',
+  `    <title>${escapeXml(title)}</title>`,
+  `    <link>${escapeXml(link)}</link>`,
+  `    <description>${escapeXml(title)}</description>`,
+  `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+  ...rows.flatMap(row => [
+    '    <item>',
+    `      <title>${escapeXml(row.name)}</title>`,
+    `      <link>${escapeXml(row.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(row.url)}</guid>`,
+    `      <description>${escapeXml(feedSummary(row, fields))}</description>`,
+    ...(fields.includes('topics') ? row.topics.map(topic => `      <category>${escapeXml(topic)}</category>`) : []),
+    '    </item>'
+  ]),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n')
+
+const toAtom = (rows, fields, { title, link, generatedAt }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `  <title>${escapeXml(title)}</title>`,
+  `  <id>${escapeXml(link)}</id>`,
+  `  <link href="${escapeXml(link)}"/>`,
+  `  <updated>${generatedAt.toISOString()}</updated>`,
+  ...rows.flatMap(row => [
+    '  <entry>',
+    `    <title>${escapeXml(row.name)}</title>`,
+    `    <id>${escapeXml(row.url)}</id>`,
+    `    <link href="${escapeXml(row.url)}"/>`,
+    `    <updated>${generatedAt.toISOString()}</updated>`,
+    `    <summary>${escapeXml(feedSummary(row, fields))}</summary>`,
+    ...(fields.includes('topics') ? row.topics.map(topic => `    <category term="${escapeXml(topic)}"/>`) : []),
+    '  </entry>'
+  ]),
+  '</feed>',
+  ''
+].join('\n')
+
+const SERIALIZERS = { csv: toCsv, json: toJson, markdown: toMarkdown, rss: toRss, atom: toAtom }
+
+// Serialize `rows` (from toExportRow) as `format`, keeping only `fields` in their canonical order.
+// `meta` carries the list title, a link back to it and the generation time for headers and feeds.
+export const serializeExport = (format, rows, fields, meta) => {
+  const ordered = EXPORT_FIELDS.map(field => field.id).filter(id => fields.includes(id))
+  return SERIALIZERS[format](rows, ordered, meta)
+}
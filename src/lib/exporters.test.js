@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { serializeExport } from './exporters'
+
+const meta = { title: 'Trending', link: 'https://example.com/', generatedAt: new Date('2024-05-01T12:00:00Z') }
+
+const row = (overrides) => ({
+  name: 'owner/repo',
+  url: 'https://github.com/owner/repo',
+  stars: 1200,
+  forks: 34,
+  language: 'JavaScript',
+  topics: [],
+  description: '',
+  ...overrides
+})
+
+const csvLines = (rows, fields) => serializeExport('csv', rows, fields, meta).replace(/^\uFEFF/, '').split('\r\n')
+
+describe('CSV export', () => {
+  it('writes a header row and one line per repo', () => {
+    expect(csvLines([row()], ['name', 'stars'])).toEqual(['Name,Stars', 'owner/repo,1200', ''])
+  })
+
+  it('quotes cells containing commas', () => {
+    expect(csvLines([row({ description: 'Fast, small' })], ['description'])[1]).toBe('"Fast, small"')
+  })
+
+  it('doubles quotes inside quoted cells', () => {
+    expect(csvLines([row({ description: 'The "fast" one' })], ['description'])[1]).toBe('"The ""fast"" one"')
+  })
+
+  it('keeps newlines inside a quoted cell', () => {
+    const csv = serializeExport('csv', [row({ description: 'Line one\nLine two' })], ['description'], meta)
+    expect(csv).toContain('\r\n"Line one\nLine two"\r\n')
+  })
+
+  it('joins topics into a single cell', () => {
+    expect(csvLines([row({ topics: ['react', 'ui'] })], ['topics'])[1]).toBe('react; ui')
+  })
+
+  it('keeps cells that would start a spreadsheet formula as text', () => {
+    const lines = csvLines(['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)'].map(description => row({ description })), ['description'])
+    expect(lines.slice(1, 5)).toEqual(['"\'=HYPERLINK(""x"")"', "'+1", "'-2", "'@SUM(A1)"])
+    expect(csvLines([row({ description: 'a-b = c' })], ['description'])[1]).toBe('a-b = c')
+  })
+})
+
+describe('Markdown export', () => {
+  const tableRows = (rows, fields) => serializeExport('markdown', rows, fields, meta)
+    .split('\n')
+    .filter(line => line.startsWith('|'))
+
+  it('escapes pipes so they stay inside their cell', () => {
+    const [, , line] = tableRows([row({ description: 'a | b' })], ['name', 'description'])
+    expect(line).toBe('| owner/repo | a \\| b |')
+  })
+
+  it('flattens newlines and escapes HTML', () => {
+    const [, , line] = tableRows([row({ description: 'One\n  <b>two</b>' })], ['description'])
+    expect(line).toBe('| One &lt;b>two&lt;/b> |')
+  })
+
+  it('links the name when the URL is exported too', () => {
+    const [header, , line] = tableRows([row({ name: 'a|b/c' })], ['name', 'url', 'stars'])
+    expect(header).toBe('| Name | Stars |')
+    expect(line).toBe('| [a\\|b/c](https://github.com/owner/repo) | 1200 |')
+  })
+})
@@ -0,0 +1,51 @@
+import { getLocale } from './i18n'
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Largest unit first; a month and a year are averages, close enough for "3 months ago"
+const RELATIVE_UNITS = [
+  ['year', 365 * DAY],
+  ['month', 30 * DAY],
+  ['week', 7 * DAY],
+  ['day', DAY],
+  ['hour', HOUR],
+  ['minute', MINUTE],
+  ['second', SECOND]
+]
+
+// Intl formatters are slow to build and get used for every card, so keep one per locale and options
+const formatters = new Map()
+const formatter = (Format, locale, options) => {
+  const key = `${Format.name}|${locale}|${JSON.stringify(options)}`
+  if (!formatters.has(key)) formatters.set(key, new Format(locale, options))
+  return formatters.get(key)
+}
+
+// Short counts in the reader's locale: 15.4K and 1.2M in English, 15.430 and 1,2 Mio. in German
+export const formatNumber = (num, locale = getLocale()) =>
+  formatter(Intl.NumberFormat, locale, { notation: 'compact', maximumFractionDigits: 1 }).format(num)
+
+// "3 days ago", "yesterday", "in 2 hours"
+export const formatRelativeTime = (date, now = Date.now(), locale = getLocale()) => {
+  const diff = new Date(date).getTime() - now
+  const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) || RELATIVE_UNITS.at(-1)
+  return formatter(Intl.RelativeTimeFormat, locale, { numeric: 'auto' }).format(Math.round(diff / size), unit)
+}
+
+// 512 B, 1.5 KB, 20 MB
+export const formatBytes = (bytes, locale = getLocale()) => {
+  const [unit, size] = bytes >= 1024 * 1024 ? ['megabyte', 1024 * 1024] : bytes >= 1024 ? ['kilobyte', 1024] : ['byte', 1]
+  return formatter(Intl.NumberFormat, locale, { style: 'unit', unit, maximumFractionDigits: 1 }).format(bytes / size)
+}
+
+export const formatDate = (date, locale = getLocale()) =>
+  formatter(Intl.DateTimeFormat, locale, { dateStyle: 'medium' }).format(new Date(date))
+
+export const formatTime = (date, locale = getLocale()) =>
+  formatter(Intl.DateTimeFormat, locale, { timeStyle: 'short' }).format(new Date(date))
+
+export const formatDateTime = (date, locale = getLocale()) =>
+  formatter(Intl.DateTimeFormat, locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(date))
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { formatNumber, formatRelativeTime, formatDate, formatTime, formatDateTime, formatBytes } from './format'
+
+describe('formatNumber', () => {
+  it('leaves numbers under a thousand as they are', () => {
+    expect(formatNumber(0, 'en')).toBe('0')
+    expect(formatNumber(999, 'en')).toBe('999')
+  })
+
+  it('abbreviates thousands and millions to at most one decimal', () => {
+    expect(formatNumber(1000, 'en')).toBe('1K')
+    expect(formatNumber(15430, 'en')).toBe('15.4K')
+    expect(formatNumber(1200000, 'en')).toBe('1.2M')
+  })
+
+  it('follows the locale', () => {
+    expect(formatNumber(1200000, 'de')).toBe('1,2\u00a0Mio.')
+  })
+})
+
+describe('formatBytes', () => {
+  it('picks bytes, kilobytes or megabytes', () => {
+    expect(formatBytes(512, 'en')).toBe('512 byte')
+    expect(formatBytes(1536, 'en')).toBe('1.5 kB')
+    expect(formatBytes(20 * 1024 * 1024, 'de')).toBe('20 MB')
+  })
+})
+
+describe('formatRelativeTime', () => {
+  const now = Date.UTC(2024, 5, 15, 12)
+  const DAY = 24 * 60 * 60 * 1000
+
+  it('picks the largest whole unit', () => {
+    expect(formatRelativeTime(now - 3 * DAY, now, 'en')).toBe('3 days ago')
+    expect(formatRelativeTime(now - 3 * 60 * 60 * 1000, now, 'en')).toBe('3 hours ago')
+    expect(formatRelativeTime(now - 400 * DAY, now, 'en')).toBe('last year')
+  })
+
+  it('uses words where the locale has them', () => {
+    expect(formatRelativeTime(now - DAY, now, 'en')).toBe('yesterday')
+    expect(formatRelativeTime(now - 3 * DAY, now, 'de')).toBe('vor 3 Tagen')
+  })
+})
+
+describe('formatDate', () => {
+  it('writes the date the way the locale does', () => {
+    expect(formatDate('2024-06-15T12:00:00Z', 'en-US')).toBe('Jun 15, 2024')
+    expect(formatDate('2024-06-15T12:00:00Z', 'de')).toBe('15.06.2024')
+  })
+})
+
+describe('formatTime and formatDateTime', () => {
+  it('writes the time the way the locale does', () => {
+    const date = new Date(2024, 5, 15, 14, 5)
+    expect(formatTime(date, 'de')).toBe('14:05')
+    expect(formatDateTime(date, 'de')).toBe('15.06.2024, 14:05')
+  })
+})
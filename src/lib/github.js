@@ -0,0 +1,187 @@
+import { t } from './i18n'
+
+const API_BASE = 'https://api.github.com'
+
+// Wait out a rate limit automatically only if it resets within this window
+const MAX_AUTO_WAIT_MS = 60 * 1000
+const MAX_RETRIES = 2
+const BACKOFF_BASE_MS = 500
+
+export class GitHubApiError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'GitHubApiError'
+    this.status = status
+  }
+}
+
+export class RateLimitError extends GitHubApiError {
+  constructor(resource, resetAt, status) {
+    super(t('errors.rateLimit', { resource }), status)
+    this.name = 'RateLimitError'
+    this.resource = resource
+    this.resetAt = resetAt
+  }
+}
+
+// The request never got a response: offline, DNS failure, blocked by the browser
+export class NetworkError extends GitHubApiError {
+  constructor() {
+    super(t('errors.network'), 0)
+    this.name = 'NetworkError'
+  }
+}
+
+let authToken = ''
+
+export const setAuthToken = (token) => {
+  authToken = token || ''
+}
+
+// Search, core and GraphQL requests are metered separately by GitHub
+const budgets = {
+  core: { limit: null, remaining: null, resetAt: null, limitedUntil: null },
+  search: { limit: null, remaining: null, resetAt: null, limitedUntil: null },
+  graphql: { limit: null, remaining: null, resetAt: null, limitedUntil: null }
+}
+const listeners = new Set()
+
+const notify = () => {
+  const snapshot = getRateLimits()
+  listeners.forEach(listener => listener(snapshot))
+}
+
+export const getRateLimits = () => ({
+  core: { ...budgets.core },
+  search: { ...budgets.search },
+  graphql: { ...budgets.graphql }
+})
+
+export const subscribeRateLimits = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// For limits reported in a response body rather than its status, as GraphQL does
+export const reportRateLimit = (resource) => {
+  const budget = budgets[resource]
+  budget.limitedUntil = budget.resetAt || Date.now() + MAX_AUTO_WAIT_MS
+  notify()
+  return new RateLimitError(resource, budget.limitedUntil, 200)
+}
+
+const resourceFor = (path) => {
+  if (path.startsWith('/search/')) return 'search'
+  if (path === '/graphql') return 'graphql'
+  return 'core'
+}
+
+const updateBudget = (resource, response) => {
+  const budget = budgets[response.headers.get('X-RateLimit-Resource')] || budgets[resource]
+  const limit = response.headers.get('X-RateLimit-Limit')
+  const remaining = response.headers.get('X-RateLimit-Remaining')
+  const reset = response.headers.get('X-RateLimit-Reset')
+  if (limit !== null) budget.limit = Number(limit)
+  if (remaining !== null) budget.remaining = Number(remaining)
+  if (reset !== null) budget.resetAt = Number(reset) * 1000
+}
+
+// Distinguish real rate limiting from 403s for private, blocked or DMCA'd repos
+const isRateLimited = async (response) => {
+  if (response.status === 429) return true
+  if (response.status !== 403) return false
+  if (response.headers.get('Retry-After') !== null) return true
+  if (response.headers.get('X-RateLimit-Remaining') === '0') return true
+  try {
+    const body = await response.clone().json()
+    return /rate limit/i.test(body.message || '')
+  } catch {
+    return false
+  }
+}
+
+// When the limit lifts: Retry-After for secondary limits, otherwise the budget's reset time
+const limitedUntil = (response, budget) => {
+  const retryAfter = response.headers.get('Retry-After')
+  if (retryAfter !== null) return Date.now() + Number(retryAfter) * 1000
+  if (budget.resetAt) return budget.resetAt
+  return Date.now() + MAX_AUTO_WAIT_MS
+}
+
+export const abortableDelay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason)
+    return
+  }
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }, { once: true })
+})
+
+// Fetch a GitHub API path (or absolute URL), tracking rate limits and retrying transient failures.
+// Resolves with the Response for 2xx and 304; rejects with RateLimitError, NetworkError or
+// GitHubApiError otherwise. `token` overrides the app-wide token, e.g. to check one before using it.
+export const githubFetch = async (pathOrUrl, { signal, headers = {}, accept = 'application/vnd.github.v3+json', token = authToken, method = 'GET', body } = {}) => {
+  const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${API_BASE}${pathOrUrl}`
+  const resource = resourceFor(new URL(url).pathname)
+  const budget = budgets[resource]
+
+  for (let attempt = 0; ; attempt++) {
+    // Don't spend a request we know will be rejected
+    if (budget.limitedUntil && budget.limitedUntil > Date.now()) {
+      const wait = budget.limitedUntil - Date.now()
+      if (attempt >= MAX_RETRIES || wait > MAX_AUTO_WAIT_MS) {
+        throw new RateLimitError(resource, budget.limitedUntil, 403)
+      }
+      await abortableDelay(wait, signal)
+    }
+
+    const requestHeaders = { Accept: accept, ...headers }
+    if (token) {
+      requestHeaders['Authorization'] = `Bearer ${token}`
+    }
+
+    let response
+    try {
+      response = await fetch(url, { method, headers: requestHeaders, body, signal })
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err
+      throw new NetworkError()
+    }
+    updateBudget(resource, response)
+
+    if (await isRateLimited(response)) {
+      budget.limitedUntil = limitedUntil(response, budget)
+      notify()
+      if (attempt < MAX_RETRIES && budget.limitedUntil - Date.now() <= MAX_AUTO_WAIT_MS) {
+        continue
+      }
+      throw new RateLimitError(resource, budget.limitedUntil, response.status)
+    }
+
+    if (budget.limitedUntil) {
+      budget.limitedUntil = null
+    }
+    notify()
+
+    if (response.status >= 500 && attempt < MAX_RETRIES) {
+      await abortableDelay(BACKOFF_BASE_MS * 2 ** attempt, signal)
+      continue
+    }
+
+    if (!response.ok && response.status !== 304) {
+      let message = t('errors.requestFailed', { status: response.status })
+      try {
+        const body = await response.json()
+        if (body.message) message = body.message
+      } catch {
+        // Keep the generic message
+      }
+      throw new GitHubApiError(message, response.status)
+    }
+
+    return response
+  }
+}
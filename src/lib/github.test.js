@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { server, API } from '../test/github'
+
+// Rate-limit budgets live in the module; every test starts from a fresh copy
+let github
+beforeEach(async () => {
+  vi.resetModules()
+  github = await import('./github')
+})
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+// Answers /repos/octocat/hello with each response in turn, counting the requests
+const respondWith = (...responses) => {
+  const requests = { count: 0 }
+  server.use(http.get(`${API}/repos/octocat/hello`, () => {
+    const response = responses[Math.min(requests.count, responses.length - 1)]
+    requests.count++
+    return response()
+  }))
+  return requests
+}
+
+const ok = () => HttpResponse.json({ full_name: 'octocat/hello' })
+
+describe('githubFetch', () => {
+  it('stops at a 403 for an exhausted budget until the budget resets', async () => {
+    const resetAt = Math.floor(Date.now() / 1000) + 3600
+    const requests = respondWith(() => HttpResponse.json(
+      { message: 'API rate limit exceeded for 203.0.113.1.' },
+      { status: 403, headers: { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetAt) } }
+    ))
+
+    const error = await github.githubFetch('/repos/octocat/hello').catch(err => err)
+    expect(error).toBeInstanceOf(github.RateLimitError)
+    expect(error).toMatchObject({ resource: 'core', resetAt: resetAt * 1000, status: 403 })
+    expect(github.getRateLimits().core).toMatchObject({ limit: 60, remaining: 0, limitedUntil: resetAt * 1000 })
+
+    // The next call doesn't spend a request that would be turned away too
+    await expect(github.githubFetch('/repos/octocat/hello')).rejects.toBeInstanceOf(github.RateLimitError)
+    expect(requests.count).toBe(1)
+  })
+
+  it('reports a 403 that isn’t a rate limit as a plain API error', async () => {
+    respondWith(() => HttpResponse.json({ message: 'Repository access blocked' }, { status: 403 }))
+
+    const error = await github.githubFetch('/repos/octocat/hello').catch(err => err)
+    expect(error).toBeInstanceOf(github.GitHubApiError)
+    expect(error).not.toBeInstanceOf(github.RateLimitError)
+    expect(error).toMatchObject({ message: 'Repository access blocked', status: 403 })
+    expect(github.getRateLimits().core.limitedUntil).toBeNull()
+  })
+
+  it('waits out a short Retry-After and then retries', async () => {
+    vi.useFakeTimers()
+    const requests = respondWith(
+      () => HttpResponse.json({ message: 'You have exceeded a secondary rate limit.' }, { status: 403, headers: { 'Retry-After': '2' } }),
+      ok
+    )
+
+    const response = github.githubFetch('/repos/octocat/hello')
+    await vi.advanceTimersByTimeAsync(1900)
+    expect(requests.count).toBe(1)
+    expect(github.getRateLimits().core.limitedUntil).not.toBeNull()
+
+    await vi.advanceTimersByTimeAsync(100)
+    expect((await response).status).toBe(200)
+    expect(requests.count).toBe(2)
+    expect(github.getRateLimits().core.limitedUntil).toBeNull()
+  })
+
+  it('retries a server error with backoff', async () => {
+    vi.useFakeTimers()
+    const requests = respondWith(() => HttpResponse.json({ message: 'Server Error' }, { status: 502 }), ok)
+
+    const response = github.githubFetch('/repos/octocat/hello')
+    await vi.advanceTimersByTimeAsync(500)
+    expect((await response).status).toBe(200)
+    expect(requests.count).toBe(2)
+  })
+
+  it('gives up on a server error that persists', async () => {
+    vi.useFakeTimers()
+    const requests = respondWith(() => HttpResponse.json({ message: 'Server Error' }, { status: 503 }))
+
+    const response = github.githubFetch('/repos/octocat/hello').catch(err => err)
+    await vi.advanceTimersByTimeAsync(500 + 1000)
+    const error = await response
+    expect(error).toBeInstanceOf(github.GitHubApiError)
+    expect(error.status).toBe(503)
+    expect(requests.count).toBe(3)
+  })
+})
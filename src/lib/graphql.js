@@ -0,0 +1,125 @@
+import { githubFetch, reportRateLimit, GitHubApiError } from './github'
+
+// POST a GraphQL query. Resolves with `data`; errors on individual fields (a repo that was
+// deleted, say) leave those fields null, but a query that produced no data at all rejects.
+export const graphqlFetch = async (query, variables, signal) => {
+  const response = await githubFetch('/graphql', {
+    method: 'POST',
+    body: JSON.stringify({ query, variables }),
+    accept: 'application/json',
+    signal
+  })
+  const { data, errors } = await response.json()
+  if (errors?.some(error => error.type === 'RATE_LIMITED')) {
+    throw reportRateLimit('graphql')
+  }
+  if (!data) {
+    throw new GitHubApiError(errors?.[0]?.message || 'GraphQL query failed', response.status)
+  }
+  return data
+}
+
+const REPO_FIELDS = `
+  fragment RepoFields on Repository {
+    databaseId
+    name
+    nameWithOwner
+    url
+    description
+    homepageUrl
+    stargazerCount
+    forkCount
+    createdAt
+    pushedAt
+    isArchived
+    owner { __typename login avatarUrl }
+    primaryLanguage { name }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    licenseInfo { key name spdxId }
+    latestRelease { tagName name publishedAt url }
+    issues(states: OPEN) { totalCount }
+    pullRequests(states: OPEN) { totalCount }
+    watchers { totalCount }
+    defaultBranchRef { name }
+  }
+`
+
+const SEARCH_QUERY = `
+  query Search($q: String!, $first: Int!, $after: String) {
+    search(query: $q, type: REPOSITORY, first: $first, after: $after) {
+      repositoryCount
+      pageInfo { hasNextPage endCursor }
+      nodes { ...RepoFields }
+    }
+  }
+  ${REPO_FIELDS}
+`
+
+// Reshape a GraphQL repository into the REST search result shape the rest of the app reads,
+// keeping the extras REST search doesn't return (release, watchers) under REST-style names
+export const toRestRepo = (node) => ({
+  id: node.databaseId,
+  name: node.name,
+  full_name: node.nameWithOwner,
+  html_url: node.url,
+  description: node.description,
+  homepage: node.homepageUrl,
+  stargazers_count: node.stargazerCount,
+  forks_count: node.forkCount,
+  // REST counts open pull requests as issues too
+  open_issues_count: node.issues.totalCount + node.pullRequests.totalCount,
+  subscribers_count: node.watchers.totalCount,
+  created_at: node.createdAt,
+  pushed_at: node.pushedAt,
+  archived: node.isArchived,
+  language: node.primaryLanguage?.name ?? null,
+  topics: node.repositoryTopics.nodes.map(({ topic }) => topic.name),
+  license: node.licenseInfo && { key: node.licenseInfo.key, name: node.licenseInfo.name, spdx_id: node.licenseInfo.spdxId },
+  default_branch: node.defaultBranchRef?.name,
+  latest_release: node.latestRelease && {
+    tag_name: node.latestRelease.tagName,
+    name: node.latestRelease.name,
+    published_at: node.latestRelease.publishedAt,
+    html_url: node.latestRelease.url
+  },
+  owner: {
+    login: node.owner.login,
+    avatar_url: node.owner.avatarUrl,
+    type: node.owner.__typename
+  }
+})
+
+// One page of repository search. GraphQL search has no sort argument, so the order goes in the query.
+export const searchRepositoriesGraphql = async ({ q, sort = 'stars', first, after }, signal) => {
+  const data = await graphqlFetch(SEARCH_QUERY, { q: `${q} sort:${sort}-desc`, first, after }, signal)
+  const { search } = data
+  return {
+    // Search can match other node types in theory; keep only repositories
+    repos: search.nodes.filter(node => node?.databaseId).map(toRestRepo),
+    total: search.repositoryCount,
+    endCursor: search.pageInfo.hasNextPage ? search.pageInfo.endCursor : null
+  }
+}
+
+// README spellings tried, in order; the REST /readme endpoint finds others but costs a call each
+const README_PATHS = ['README.md', 'readme.md', 'README.markdown', 'README.rst', 'README', 'Readme.md']
+
+const readmeFields = README_PATHS
+  .map((path, i) => `readme${i}: object(expression: "HEAD:${path}") { ... on Blob { text } }`)
+  .join('\n')
+
+// Fetch README text for many repos in one query, one aliased `repository` per repo.
+// Resolves with a map from repo id to { text, path }, or null where none was found.
+export const fetchReadmeTexts = async (repos, signal) => {
+  if (repos.length === 0) return {}
+  const declarations = repos.map((_, i) => `$owner${i}: String!, $name${i}: String!`).join(', ')
+  const selections = repos.map((_, i) => `r${i}: repository(owner: $owner${i}, name: $name${i}) { ${readmeFields} }`).join('\n')
+  const variables = Object.fromEntries(repos.flatMap((repo, i) => [[`owner${i}`, repo.owner.login], [`name${i}`, repo.name]]))
+
+  const data = await graphqlFetch(`query Readmes(${declarations}) { ${selections} }`, variables, signal)
+  return Object.fromEntries(repos.map((repo, i) => {
+    const result = data[`r${i}`]
+    const index = result ? README_PATHS.findIndex((_, j) => result[`readme${j}`]?.text) : -1
+    return [repo.id, index >= 0 ? { text: result[`readme${index}`].text, path: README_PATHS[index] } : null]
+  }))
+}
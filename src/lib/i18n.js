@@ -0,0 +1,42 @@
+import en from '../locales/en'
+import de from '../locales/de'
+
+const CATALOGS = { en, de }
+export const DEFAULT_LANGUAGE = 'en'
+
+const preferredLocales = () => typeof navigator === 'undefined'
+  ? []
+  : (navigator.languages?.length ? navigator.languages : [navigator.language]).filter(Boolean)
+
+// Full locale (en-GB, de-AT, ...) for number and date formatting
+export const getLocale = () => preferredLocales()[0] || DEFAULT_LANGUAGE
+
+// First preferred language that has a string catalog
+export const pickLanguage = (locales) => locales
+  .map(locale => locale.split('-')[0].toLowerCase())
+  .find(language => CATALOGS[language]) || DEFAULT_LANGUAGE
+
+const language = pickLanguage(preferredLocales())
+export const getLanguage = () => language
+
+const pluralRules = {}
+const numberFormats = {}
+
+// Look `key` up in `lang`'s catalog (falling back to English, then to the key itself) and fill in
+// {placeholders} from `vars`, with numbers grouped the way `lang` writes them. One/other entries
+// are chosen by `vars.count`.
+export const translate = (lang, key, vars = {}) => {
+  let message = CATALOGS[lang]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key
+  if (typeof message === 'object') {
+    pluralRules[lang] ??= new Intl.PluralRules(lang)
+    message = message[pluralRules[lang].select(Number(vars.count))] ?? message.other
+  }
+  const fill = (value) => {
+    if (typeof value !== 'number') return String(value)
+    numberFormats[lang] ??= new Intl.NumberFormat(lang)
+    return numberFormats[lang].format(value)
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in vars ? fill(vars[name]) : match)
+}
+
+export const t = (key, vars) => translate(language, key, vars)
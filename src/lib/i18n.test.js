@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { translate, pickLanguage } from './i18n'
+
+describe('translate', () => {
+  it('fills in placeholders', () => {
+    expect(translate('en', 'token.signedIn', { login: 'octocat' })).toBe('Signed in as octocat')
+    expect(translate('de', 'token.signedIn', { login: 'octocat' })).toBe('Angemeldet als octocat')
+  })
+
+  it('groups numbers and picks the plural form by count', () => {
+    expect(translate('en', 'card.stars', { count: 1 })).toBe('1 star')
+    expect(translate('en', 'card.stars', { count: 15430 })).toBe('15,430 stars')
+    expect(translate('de', 'card.stars', { count: 15430 })).toBe('15.430 Sterne')
+  })
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('fr', 'card.compare')).toBe('Compare')
+    expect(translate('en', 'missing.key')).toBe('missing.key')
+  })
+})
+
+describe('pickLanguage', () => {
+  it('takes the first preferred language with a catalog', () => {
+    expect(pickLanguage(['fr-FR', 'de-AT', 'en'])).toBe('de')
+    expect(pickLanguage(['ja'])).toBe('en')
+  })
+})
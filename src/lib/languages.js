@@ -0,0 +1,38 @@
+// Grey GitHub uses for languages linguist gives no color
+export const DEFAULT_LANGUAGE_COLOR = '#8b949e'
+
+let languagesPromise = null
+
+// Every GitHub linguist language as { name, color, type, aliases }, sorted by name.
+// The data (generated from linguist-languages by vite.config.js) is split into its own chunk and
+// loaded once on first use.
+export const loadLanguages = () => {
+  if (!languagesPromise) {
+    languagesPromise = import('virtual:linguist-languages').then(({ default: linguist }) =>
+      linguist
+        .filter(language => language && language.name)
+        .map(({ name, color, type, aliases = [] }) => ({
+          name,
+          color: color || DEFAULT_LANGUAGE_COLOR,
+          type,
+          aliases
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    )
+    languagesPromise.catch(() => {
+      languagesPromise = null
+    })
+  }
+  return languagesPromise
+}
+
+// How many repos use each primary language, most common first
+export const countLanguages = (repos) => {
+  const counts = new Map()
+  repos.forEach(repo => {
+    if (repo.language) counts.set(repo.language, (counts.get(repo.language) || 0) + 1)
+  })
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
@@ -0,0 +1,92 @@
+import { Marked } from 'marked'
+import DOMPurify from 'dompurify'
+import hljs from 'highlight.js/lib/common'
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').split(/\s/)[0]
+      const highlighted = language && hljs.getLanguage(language)
+        ? hljs.highlight(text, { language }).value
+        : hljs.highlightAuto(text).value
+      return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${highlighted}</code></pre>\n`
+    }
+  }
+})
+
+const isRelative = (url) => !!url && !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)
+
+// Resolve `url` against the README's directory within the repo, e.g. docs/README.md + ../logo.png
+const resolveRepoPath = (url, readmePath) => {
+  const [pathPart, suffix = ''] = url.split(/(?=[?#])/)
+  const base = url.startsWith('/') ? [] : readmePath.split('/').slice(0, -1)
+  const segments = [...base]
+  for (const segment of pathPart.split('/')) {
+    if (segment === '..') segments.pop()
+    else if (segment && segment !== '.') segments.push(segment)
+  }
+  return segments.join('/') + suffix
+}
+
+// Rewrite each URL of a srcset ("a.png 1x, b.png 2x"), keeping the width/density descriptors
+const rewriteSrcset = (srcset, rewriteUrl) => srcset
+  .split(',')
+  .map(candidate => candidate.trim())
+  .filter(Boolean)
+  .map(candidate => {
+    const [url, ...descriptors] = candidate.split(/\s+/)
+    return [rewriteUrl(url), ...descriptors].join(' ')
+  })
+  .join(', ')
+
+// GitHub's heading anchors: lower case, punctuation dropped, spaces to hyphens
+const slugify = (text) => text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '').replace(/ /g, '-')
+
+// Like GitHub, ids get a prefix so README content can't clobber names the page relies on, and
+// in-page links are pointed at the prefixed ids
+const HEADING_ID_PREFIX = 'user-content-'
+const HEADINGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6']
+
+// Render README Markdown to sanitized HTML. Relative images point at raw.githubusercontent.com and
+// relative links at the blob view on github.com so they work outside the repo. Headings get ids in
+// GitHub's format, with repeats numbered (-1, -2, ...), so table-of-contents links work.
+export const renderMarkdown = (markdown, { owner, repo, branch = 'HEAD', path = 'README.md' }) => {
+  const rawBase = `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/`
+  const blobBase = `https://github.com/${owner}/${repo}/blob/${branch}/`
+
+  const toRaw = (url) => isRelative(url) ? rawBase + resolveRepoPath(url, path) : url
+  const slugCounts = new Map()
+
+  const rewrite = (node) => {
+    if (node.tagName === 'IMG' || node.tagName === 'SOURCE') {
+      if (node.hasAttribute('src')) node.setAttribute('src', toRaw(node.getAttribute('src')))
+      if (node.hasAttribute('srcset')) node.setAttribute('srcset', rewriteSrcset(node.getAttribute('srcset'), toRaw))
+      node.setAttribute('loading', 'lazy')
+    }
+    if (HEADINGS.includes(node.tagName)) {
+      const slug = slugify(node.textContent)
+      const count = slugCounts.get(slug) || 0
+      slugCounts.set(slug, count + 1)
+      node.setAttribute('id', HEADING_ID_PREFIX + (count ? `${slug}-${count}` : slug))
+    }
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+      const href = node.getAttribute('href')
+      if (isRelative(href)) node.setAttribute('href', blobBase + resolveRepoPath(href, path))
+      if (href.startsWith('#') && !href.startsWith(`#${HEADING_ID_PREFIX}`)) {
+        node.setAttribute('href', `#${HEADING_ID_PREFIX}${href.slice(1)}`)
+      }
+      if (!href.startsWith('#')) {
+        node.setAttribute('target', '_blank')
+        node.setAttribute('rel', 'noopener noreferrer')
+      }
+    }
+  }
+
+  DOMPurify.addHook('afterSanitizeAttributes', rewrite)
+  try {
+    return DOMPurify.sanitize(marked.parse(markdown), { ADD_ATTR: ['target'] })
+  } finally {
+    DOMPurify.removeHook('afterSanitizeAttributes')
+  }
+}
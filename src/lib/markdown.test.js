@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { renderMarkdown } from './markdown'
+
+const repo = { owner: 'octo', repo: 'kit', branch: 'main', path: 'docs/README.md' }
+const render = (markdown) => {
+  const container = document.createElement('div')
+  container.innerHTML = renderMarkdown(markdown, repo)
+  return container
+}
+
+describe('renderMarkdown', () => {
+  it('points relative images and links into the repo', () => {
+    const html = render('![logo](../logo.png) [guide](guide.md)')
+    expect(html.querySelector('img').getAttribute('src')).toBe('https://raw.githubusercontent.com/octo/kit/main/logo.png')
+    expect(html.querySelector('a').getAttribute('href')).toBe('https://github.com/octo/kit/blob/main/docs/guide.md')
+    expect(html.querySelector('a').getAttribute('target')).toBe('_blank')
+  })
+
+  it('resolves every candidate of a srcset and keeps the descriptors', () => {
+    const html = render('<picture><source srcset="dark.png 1x, dark@2x.png 2x, https://cdn.example/d.png 3x"><img src="light.png"></picture>')
+    expect(html.querySelector('source').getAttribute('srcset')).toBe(
+      'https://raw.githubusercontent.com/octo/kit/main/docs/dark.png 1x, ' +
+      'https://raw.githubusercontent.com/octo/kit/main/docs/dark@2x.png 2x, ' +
+      'https://cdn.example/d.png 3x'
+    )
+  })
+
+  it('gives headings GitHub-style ids and points table-of-contents links at them', () => {
+    const html = render('- [Getting started](#getting-started)\n\n## Getting Started!\n\n## Usage\n\n## Usage\n')
+    expect([...html.querySelectorAll('h2')].map(heading => heading.id)).toEqual([
+      'user-content-getting-started',
+      'user-content-usage',
+      'user-content-usage-1'
+    ])
+    const link = html.querySelector('a')
+    expect(link.getAttribute('href')).toBe('#user-content-getting-started')
+    expect(link.hasAttribute('target')).toBe(false)
+  })
+})
@@ -0,0 +1,131 @@
+// Only established projects with this many stars are tracked as "active" candidates
+export const ACTIVE_MIN_STARS = 1000
+// Each band of established repos gets its own query, so the biggest projects can't crowd out
+// mid-size ones
+export const ACTIVE_STAR_BANDS = [[ACTIVE_MIN_STARS, 9999], [10000, Infinity]]
+
+export const DEFAULT_ADVANCED_FILTERS = {
+  minStars: '',
+  maxStars: '',
+  minForks: '',
+  maxForks: '',
+  topic: '',
+  license: '',
+  dateField: 'created',
+  from: '',
+  to: '',
+  excludeArchived: false,
+  publicOnly: false,
+  excludeOwners: [],
+  apiSearch: false
+}
+
+export const LICENSES = [
+  { key: 'mit', name: 'MIT' },
+  { key: 'apache-2.0', name: 'Apache 2.0' },
+  { key: 'gpl-3.0', name: 'GPL 3.0' },
+  { key: 'agpl-3.0', name: 'AGPL 3.0' },
+  { key: 'lgpl-3.0', name: 'LGPL 3.0' },
+  { key: 'mpl-2.0', name: 'MPL 2.0' },
+  { key: 'bsd-3-clause', name: 'BSD 3-Clause' },
+  { key: 'bsd-2-clause', name: 'BSD 2-Clause' },
+  { key: 'isc', name: 'ISC' },
+  { key: 'unlicense', name: 'Unlicense' }
+]
+
+// Start of a preset trending window
+export const getWindowStart = (timeRange) => {
+  const date = new Date()
+  switch (timeRange) {
+    case 'weekly':
+      date.setDate(date.getDate() - 7)
+      break
+    case 'monthly':
+      date.setMonth(date.getMonth() - 1)
+      break
+    default:
+      date.setDate(date.getDate() - 1)
+  }
+  return date
+}
+
+// The date window searched: the custom range when one is set, otherwise the preset up to now
+export const getSearchWindow = (timeRange, filters) => ({
+  since: filters.from ? new Date(`${filters.from}T00:00:00Z`) : getWindowStart(timeRange),
+  until: filters.to ? new Date(`${filters.to}T23:59:59Z`) : null
+})
+
+// The window of the same length immediately before `window`
+export const getPreviousWindow = ({ since, until }) => {
+  const end = until || new Date()
+  return { since: new Date(since.getTime() - (end.getTime() - since.getTime())), until: since }
+}
+
+const toDateString = (date) => date.toISOString().split('T')[0]
+
+// `stars:10..500`, `stars:>=10` or `stars:<=500`
+const rangeQualifier = (name, min, max) => {
+  const hasMin = min !== '' && min !== null && min !== undefined
+  const hasMax = max !== '' && max !== null && max !== undefined
+  if (hasMin && hasMax) return `${name}:${min}..${max}`
+  if (hasMin) return `${name}:>=${min}`
+  if (hasMax) return `${name}:<=${max}`
+  return null
+}
+
+const dateQualifier = (field, { since, until }) => until
+  ? `${field}:${toDateString(since)}..${toDateString(until)}`
+  : `${field}:>${toDateString(since)}`
+
+// Names with spaces such as "Jupyter Notebook" must be quoted
+const languageQualifier = (language) => /\s/.test(language) ? `language:"${language}"` : `language:${language}`
+
+// Qualifiers every candidate query shares; several language: qualifiers are OR'd by GitHub
+const sharedTerms = ({ languages, text, filters }) => [
+  text.trim(),
+  ...languages.map(languageQualifier),
+  rangeQualifier('forks', filters.minForks, filters.maxForks),
+  filters.topic && `topic:${filters.topic.trim().toLowerCase().replace(/\s+/g, '-')}`,
+  filters.license && `license:${filters.license}`,
+  filters.excludeArchived && 'archived:false',
+  filters.publicOnly && 'is:public',
+  ...filters.excludeOwners.map(owner => `-user:${owner}`)
+].filter(Boolean)
+
+// A star filter as a number, or `fallback` when it's unset or not a number
+const starBound = (value, fallback) => {
+  if (value === '' || value === null || value === undefined) return fallback
+  const number = Number(value)
+  return Number.isNaN(number) ? fallback : number
+}
+
+// Build the Search API queries for one trending search as { q, sort }. With the default `created:`
+// date field, repos created inside the window are joined by established repos pushed inside it
+// (one query per star band) so both can be ranked by star gain; with `pushed:` a single query
+// covers everything active in the window.
+//
+// New repos are sorted by stars, which for them is the gain so far. Established ones are sorted by
+// when they were last updated instead: starring a repo updates it, so the ones being starred right
+// now come first, where sorting by total stars would only ever return the top of each band.
+export const buildCandidateQueries = ({ window, languages = [], text = '', filters = DEFAULT_ADVANCED_FILTERS }) => {
+  const shared = sharedTerms({ languages, text, filters })
+  const stars = rangeQualifier('stars', filters.minStars, filters.maxStars)
+
+  if (filters.dateField === 'pushed') {
+    return [{ q: [dateQualifier('pushed', window), stars, ...shared].filter(Boolean).join(' '), sort: 'stars' }]
+  }
+
+  const queries = [{ q: [dateQualifier('created', window), stars, ...shared].filter(Boolean).join(' '), sort: 'stars' }]
+
+  // Each band is narrowed to the star range; bands entirely outside it are skipped
+  const minStars = starBound(filters.minStars, 0)
+  const maxStars = starBound(filters.maxStars, Infinity)
+  ACTIVE_STAR_BANDS.forEach(([bandMin, bandMax]) => {
+    const low = Math.max(bandMin, minStars)
+    const high = Math.min(bandMax, maxStars)
+    if (low > high) return
+    const activeStars = rangeQualifier('stars', low, high === Infinity ? '' : high)
+    queries.push({ q: [dateQualifier('pushed', window), activeStars, ...shared].join(' '), sort: 'updated' })
+  })
+  return queries
+}
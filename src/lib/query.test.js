@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getWindowStart, getSearchWindow, getPreviousWindow, buildCandidateQueries, DEFAULT_ADVANCED_FILTERS } from './query'
+
+const NOW = new Date('2024-03-15T12:00:00Z')
+const filters = (overrides) => ({ ...DEFAULT_ADVANCED_FILTERS, ...overrides })
+
+describe('getWindowStart', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(NOW)
+  })
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it.each([
+    ['daily', '2024-03-14'],
+    ['weekly', '2024-03-08'],
+    ['monthly', '2024-02-15']
+  ])('goes back the length of a %s window', (range, expected) => {
+    expect(getWindowStart(range).toISOString().slice(0, 10)).toBe(expected)
+  })
+
+  it('treats an unknown range as daily', () => {
+    expect(getWindowStart('hourly').toISOString().slice(0, 10)).toBe('2024-03-14')
+  })
+})
+
+describe('getSearchWindow', () => {
+  it('prefers a custom date range over the preset', () => {
+    const window = getSearchWindow('daily', filters({ from: '2024-01-01', to: '2024-01-31' }))
+    expect(window.since.toISOString()).toBe('2024-01-01T00:00:00.000Z')
+    expect(window.until.toISOString()).toBe('2024-01-31T23:59:59.000Z')
+  })
+
+  it('leaves the end open for a preset', () => {
+    expect(getSearchWindow('weekly', DEFAULT_ADVANCED_FILTERS).until).toBeNull()
+  })
+})
+
+describe('getPreviousWindow', () => {
+  it('returns the window of the same length just before', () => {
+    const since = new Date('2024-03-08T00:00:00Z')
+    const until = new Date('2024-03-15T00:00:00Z')
+    expect(getPreviousWindow({ since, until })).toEqual({ since: new Date('2024-03-01T00:00:00Z'), until: since })
+  })
+})
+
+describe('buildCandidateQueries', () => {
+  const window = { since: new Date('2024-03-08T00:00:00Z'), until: null }
+  const queryStrings = (options) => buildCandidateQueries(options).map(query => query.q)
+
+  it('searches new repos by stars and each band of established repos by latest update', () => {
+    expect(buildCandidateQueries({ window })).toEqual([
+      { q: 'created:>2024-03-08', sort: 'stars' },
+      { q: 'pushed:>2024-03-08 stars:1000..9999', sort: 'updated' },
+      { q: 'pushed:>2024-03-08 stars:>=10000', sort: 'updated' }
+    ])
+  })
+
+  it('narrows the star bands to the star range', () => {
+    expect(queryStrings({ window, filters: filters({ minStars: 20000 }) })).toEqual([
+      'created:>2024-03-08 stars:>=20000',
+      'pushed:>2024-03-08 stars:>=20000'
+    ])
+    expect(queryStrings({ window, filters: filters({ maxStars: 5000 }) })).toEqual([
+      'created:>2024-03-08 stars:<=5000',
+      'pushed:>2024-03-08 stars:1000..5000'
+    ])
+  })
+
+  it('treats a missing or unreadable star limit as no limit', () => {
+    const unbounded = ['pushed:>2024-03-08 stars:1000..9999', 'pushed:>2024-03-08 stars:>=10000']
+    expect(queryStrings({ window, filters: filters({ maxStars: null }) }).slice(1)).toEqual(unbounded)
+    expect(queryStrings({ window, filters: filters({ maxStars: undefined }) }).slice(1)).toEqual(unbounded)
+    expect(queryStrings({ window, filters: filters({ minStars: 'lots' }) }).slice(1)).toEqual(unbounded)
+  })
+
+  it('uses a single pushed: query when dates apply to pushes', () => {
+    expect(buildCandidateQueries({ window, filters: filters({ dateField: 'pushed', minStars: 50 }) }))
+      .toEqual([{ q: 'pushed:>2024-03-08 stars:>=50', sort: 'stars' }])
+  })
+
+  it('skips established repos when the star range is capped below them', () => {
+    expect(queryStrings({ window, filters: filters({ maxStars: 500 }) }))
+      .toEqual(['created:>2024-03-08 stars:<=500'])
+  })
+
+  it('adds languages, text and filters to every query', () => {
+    const queries = queryStrings({
+      window: { since: window.since, until: new Date('2024-03-10T00:00:00Z') },
+      languages: ['Rust', 'Jupyter Notebook'],
+      text: ' vector db ',
+      filters: filters({ topic: 'Machine Learning', license: 'mit', excludeArchived: true, excludeOwners: ['spam'] })
+    })
+    expect(queries[0]).toBe('created:2024-03-08..2024-03-10 vector db language:Rust language:"Jupyter Notebook" topic:machine-learning license:mit archived:false -user:spam')
+    expect(queries[1]).toMatch(/^pushed:2024-03-08\.\.2024-03-10 stars:1000\.\.9999 vector db /)
+  })
+})
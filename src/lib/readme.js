@@ -0,0 +1,23 @@
+import { fetchCachedJson } from './cache'
+
+// atob yields one char per byte, which garbles anything outside ASCII; decode the bytes as UTF-8
+export const decodeBase64Utf8 = (base64) => {
+  const binary = atob(base64.replace(/\n/g, ''))
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0))
+  return new TextDecoder('utf-8').decode(bytes)
+}
+
+// Fetch and decode a repo's README. Resolves with { content, path } or null when there is none.
+export const fetchReadme = async (owner, repo, signal) => {
+  try {
+    return await fetchCachedJson(`/repos/${owner}/${repo}/readme`, {
+      kind: 'readme',
+      key: `readme:${owner}/${repo}`,
+      signal,
+      transform: data => ({ content: decodeBase64Utf8(data.content), path: data.path })
+    })
+  } catch {
+    // Missing README, private/blocked repo or rate limit: the card keeps its basic data
+    return null
+  }
+}
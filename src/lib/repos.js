@@ -0,0 +1,75 @@
+import { fetchCachedJson } from './cache'
+import { recordSnapshot } from './snapshots'
+import { GitHubApiError } from './github'
+
+// Fetch a repo's full info, or null if it can't be loaded; rate limits are reported to the
+// banner by the API client. Each fetch also adds to the repo's snapshot history.
+export const fetchRepoInfo = async (owner, repo, signal) => {
+  try {
+    const info = await fetchCachedJson(`/repos/${owner}/${repo}`, { kind: 'info', signal })
+    recordSnapshot(info)
+    return info
+  } catch {
+    return null
+  }
+}
+
+const repoPath = (repo) => `/repos/${repo.owner.login}/${repo.name}`
+
+// Latest published release, or null if the repo has none
+export const fetchLatestRelease = async (repo, signal) => {
+  try {
+    return await fetchCachedJson(`${repoPath(repo)}/releases/latest`, {
+      kind: 'insights',
+      signal,
+      transform: release => ({ tag_name: release.tag_name, name: release.name, published_at: release.published_at, html_url: release.html_url })
+    })
+  } catch (err) {
+    if (err instanceof GitHubApiError && err.status === 404) return null
+    throw err
+  }
+}
+
+export const fetchContributors = (repo, signal) => fetchCachedJson(`${repoPath(repo)}/contributors?per_page=10`, {
+  kind: 'insights',
+  signal,
+  transform: contributors => (contributors || []).map(({ login, avatar_url, html_url, contributions }) => ({ login, avatar_url, html_url, contributions }))
+})
+
+// Weekly commit totals for the past year, oldest first, or null while GitHub computes them
+export const fetchCommitActivity = (repo, signal) => fetchCachedJson(`${repoPath(repo)}/stats/commit_activity`, {
+  kind: 'insights',
+  signal,
+  transform: weeks => (weeks || []).map(({ week, total }) => ({ week: week * 1000, total }))
+})
+
+export const fetchCommunityProfile = (repo, signal) => fetchCachedJson(`${repoPath(repo)}/community/profile`, {
+  kind: 'insights',
+  signal,
+  transform: profile => ({
+    healthPercentage: profile.health_percentage,
+    files: Object.entries(profile.files || {}).map(([name, file]) => ({ name, present: !!file }))
+  })
+})
+
+// Bytes of code per language
+export const fetchLanguageBreakdown = (repo, signal) =>
+  fetchCachedJson(`${repoPath(repo)}/languages`, { kind: 'insights', signal })
+
+// Count a list without fetching it: requested one per page, the last page number is the count
+const countFromLinks = (items, response) => {
+  const last = response.headers.get('Link')?.split(',').find(part => part.includes('rel="last"'))
+  return last ? Number(last.match(/[?&]page=(\d+)/)[1]) : (items || []).length
+}
+
+export const fetchOpenPullCount = (repo, signal) => fetchCachedJson(`${repoPath(repo)}/pulls?state=open&per_page=1`, {
+  kind: 'insights',
+  signal,
+  transform: countFromLinks
+})
+
+export const fetchContributorCount = (repo, signal) => fetchCachedJson(`${repoPath(repo)}/contributors?per_page=1&anon=1`, {
+  kind: 'insights',
+  signal,
+  transform: countFromLinks
+})
@@ -0,0 +1,44 @@
+// Simple delay utility
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const abortError = () => new DOMException('The request was aborted', 'AbortError')
+
+// Run async tasks with at most `concurrency` in flight and `spacingMs` between task starts.
+// Tasks whose signal aborts while still queued are dropped without running.
+export const createRequestQueue = ({ concurrency = 2, spacingMs = 0 } = {}) => {
+  const pending = []
+  let active = 0
+  let lastStart = 0
+
+  const next = async () => {
+    if (active >= concurrency || pending.length === 0) return
+    const job = pending.shift()
+    if (job.signal?.aborted) {
+      job.reject(abortError())
+      next()
+      return
+    }
+
+    active++
+    const wait = lastStart + spacingMs - Date.now()
+    lastStart = Date.now() + Math.max(0, wait)
+    if (wait > 0) await delay(wait)
+
+    try {
+      if (job.signal?.aborted) throw abortError()
+      job.resolve(await job.task(job.signal))
+    } catch (err) {
+      job.reject(err)
+    } finally {
+      active--
+      next()
+    }
+  }
+
+  const enqueue = (task, signal) => new Promise((resolve, reject) => {
+    pending.push({ task, signal, resolve, reject })
+    next()
+  })
+
+  return { enqueue }
+}
@@ -0,0 +1,41 @@
+import { githubFetch } from './github'
+import { searchRepositoriesGraphql } from './graphql'
+
+export const SEARCH_PER_PAGE = 30
+// The Search API never returns anything past the first 1000 results of a query
+const SEARCH_RESULT_CAP = 1000
+
+// Pull the rel="next" URL out of a Link header, stopping at the Search API's result cap
+const getNextPageUrl = (response, data) => {
+  const link = response.headers.get('Link')
+  if (!link) return null
+  const next = link.split(',').find(part => part.includes('rel="next"'))
+  if (!next) return null
+  const url = next.match(/<([^>]+)>/)?.[1]
+  if (!url) return null
+  const page = Number(new URL(url).searchParams.get('page'))
+  const available = Math.min(data.total_count ?? SEARCH_RESULT_CAP, SEARCH_RESULT_CAP)
+  return (page - 1) * SEARCH_PER_PAGE < available ? url : null
+}
+
+// Where the first page of a { q, sort } search query comes from: GraphQL (which needs a token)
+// returns topics, license and release with each result, REST search works anonymously. A page
+// request is either a REST URL or a GraphQL { q, sort, after, fetched } cursor.
+export const firstPageRequest = ({ q, sort }, useGraphql) => useGraphql
+  ? { q, sort, after: null, fetched: 0 }
+  : `/search/repositories?q=${encodeURIComponent(q)}&sort=${sort}&order=desc&per_page=${SEARCH_PER_PAGE}`
+
+// Fetch one page; resolves with { items, next } where `next` requests the following page or is null
+export const fetchSearchPage = async (request, signal) => {
+  if (typeof request === 'string') {
+    const response = await githubFetch(request, { signal })
+    const data = await response.json()
+    return { items: data.items || [], next: getNextPageUrl(response, data) }
+  }
+
+  const { q, sort } = request
+  const { repos, total, endCursor } = await searchRepositoriesGraphql({ q, sort, first: SEARCH_PER_PAGE, after: request.after }, signal)
+  const fetched = request.fetched + repos.length
+  const more = endCursor && fetched < Math.min(total, SEARCH_RESULT_CAP)
+  return { items: repos, next: more ? { q, sort, after: endCursor, fetched } : null }
+}
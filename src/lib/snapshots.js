@@ -0,0 +1,187 @@
+import { withStore, requestToPromise } from './db'
+import { githubFetch } from './github'
+import { t } from './i18n'
+
+// Keep enough history for the monthly window with some slack
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000
+// Don't record more than one snapshot per repo per hour
+const MIN_INTERVAL_MS = 60 * 60 * 1000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const historyRange = (repoId, from = 0, to = Infinity) =>
+  IDBKeyRange.bound([repoId, from], [repoId, to])
+
+// Search results carry `watchers_count`, but that is the star count under its old name; real
+// watchers (`subscribers_count`) only come with a full repo fetch, so they're null otherwise
+const toSnapshot = (repo, timestamp) => ({
+  repoId: repo.id,
+  timestamp,
+  stars: repo.stargazers_count,
+  forks: repo.forks_count ?? null,
+  watchers: repo.subscribers_count ?? null,
+  openIssues: repo.open_issues_count ?? null
+})
+
+// Add a snapshot unless one was taken within the hour, in which case fill in any metrics it lacked,
+// and drop history past the retention window
+const recordInStore = async (store, repo, history, now) => {
+  const last = history[history.length - 1]
+  if (!last || last.backfilled || now - last.timestamp >= MIN_INTERVAL_MS) {
+    store.put(toSnapshot(repo, now))
+  } else {
+    const missing = Object.entries(toSnapshot(repo, last.timestamp))
+      .filter(([key, value]) => value !== null && last[key] == null)
+    if (missing.length > 0) store.put({ ...last, ...Object.fromEntries(missing) })
+  }
+  if (history.length > 0 && history[0].timestamp < now - RETENTION_MS) {
+    store.delete(historyRange(repo.id, 0, now - RETENTION_MS))
+  }
+}
+
+// Work out how many stars a repo gained since `since` from its recorded history
+const computeDelta = (repo, history, since) => {
+  if (new Date(repo.created_at).getTime() >= since) {
+    // Every star of a repo created inside the window was gained inside it
+    return { gained: repo.stargazers_count, since, partial: false }
+  }
+
+  const before = history.filter(s => s.timestamp <= since)
+  const baseline = before.length > 0 ? before[before.length - 1] : history[0]
+  if (!baseline) return null
+
+  return {
+    gained: Math.max(0, repo.stargazers_count - baseline.stars),
+    since: Math.max(baseline.timestamp, since),
+    // History doesn't reach back to the start of the window yet
+    partial: before.length === 0
+  }
+}
+
+// Record a snapshot for each repo and return stars gained since `since`, keyed by repo id.
+// Repos without usable history map to null.
+export const trackStarVelocity = async (repos, since) => {
+  const now = Date.now()
+  const sinceMs = since instanceof Date ? since.getTime() : since
+
+  try {
+    return await withStore('snapshots', 'readwrite', async (store) => {
+      const deltas = {}
+      for (const repo of repos) {
+        const history = await requestToPromise(store.getAll(historyRange(repo.id)))
+        deltas[repo.id] = computeDelta(repo, history, sinceMs)
+        await recordInStore(store, repo, history, now)
+      }
+      return deltas
+    })
+  } catch {
+    // Without IndexedDB we can still rank repos created inside the window
+    return Object.fromEntries(repos.map(repo => [repo.id, computeDelta(repo, [], sinceMs)]))
+  }
+}
+
+// Highest star gain first; repos we can't measure yet fall back to total stars at the end
+export const compareByVelocity = (deltas) => (a, b) => {
+  const da = deltas[a.id]
+  const db = deltas[b.id]
+  if (da && db) return db.gained - da.gained || b.stargazers_count - a.stargazers_count
+  if (da) return -1
+  if (db) return 1
+  return b.stargazers_count - a.stargazers_count
+}
+
+// Record a snapshot for a single fully fetched repo
+export const recordSnapshot = async (repo) => {
+  const now = Date.now()
+  try {
+    await withStore('snapshots', 'readwrite', async (store) => {
+      const history = await requestToPromise(store.getAll(historyRange(repo.id)))
+      await recordInStore(store, repo, history, now)
+    })
+  } catch {
+    // No IndexedDB: nothing to chart later
+  }
+}
+
+// A repo's recorded history since `since`, oldest first
+export const getHistory = async (repoId, since = 0) => {
+  try {
+    return await withStore('snapshots', 'readonly', store =>
+      requestToPromise(store.getAll(historyRange(repoId, since)))
+    )
+  } catch {
+    return []
+  }
+}
+
+const STARGAZERS_PER_PAGE = 100
+// The stargazers list stops at 400 pages; beyond that the most recent stars can't be listed
+const MAX_STARGAZER_PAGES = 400
+// Backfilling a popular repo could take hundreds of requests; stop after this many
+export const MAX_BACKFILL_REQUESTS = 10
+
+const lastPageOf = (response) => {
+  const last = response.headers.get('Link')?.split(',').find(part => part.includes('rel="last"'))
+  return Number(last?.match(/[?&]page=(\d+)/)?.[1] ?? 1)
+}
+
+// Rebuild daily star counts for the last `days` days from the stargazer timeline and store them as
+// backfilled snapshots. The list is oldest first, so it is walked backwards from the last page until
+// it passes the window start or the request allowance runs out. Resolves with the earliest
+// timestamp covered; throws GitHubApiError/RateLimitError from the API client.
+export const backfillStarHistory = async (repo, { days = 90, signal } = {}) => {
+  const path = `/repos/${repo.full_name}/stargazers?per_page=${STARGAZERS_PER_PAGE}`
+  const accept = 'application/vnd.github.star+json'
+  const windowStart = Date.now() - days * DAY_MS
+
+  const first = await githubFetch(`${path}&page=1`, { signal, accept })
+  const lastPage = lastPageOf(first)
+  if (lastPage > MAX_STARGAZER_PAGES) {
+    throw new Error(t('errors.backfillLimit', { count: MAX_STARGAZER_PAGES * STARGAZERS_PER_PAGE, name: repo.full_name }))
+  }
+
+  const fetchPage = async (page) => {
+    const response = page === 1 ? first : await githubFetch(`${path}&page=${page}`, { signal, accept })
+    return (await response.json()).map(star => new Date(star.starred_at).getTime())
+  }
+
+  let starredAt = []
+  let requests = 1
+  for (let page = lastPage; page >= 1; page--) {
+    if (page !== 1) requests++
+    const stars = await fetchPage(page)
+    starredAt = [...stars, ...starredAt]
+    if (stars.length === 0 || stars[0] < windowStart || requests >= MAX_BACKFILL_REQUESTS) break
+  }
+  if (starredAt.length === 0) return null
+
+  // Every star after the earliest one fetched is known, so counts are exact from there on
+  const covered = Math.max(starredAt[0], windowStart)
+  const points = []
+  for (let t = Date.now() - DAY_MS; t >= covered; t -= DAY_MS) {
+    points.push({
+      repoId: repo.id,
+      timestamp: t,
+      stars: repo.stargazers_count - starredAt.filter(time => time > t).length,
+      forks: null,
+      watchers: null,
+      openIssues: null,
+      backfilled: true
+    })
+  }
+
+  try {
+    await withStore('snapshots', 'readwrite', async (store) => {
+      const recorded = await requestToPromise(store.getAll(historyRange(repo.id)))
+      // Replace any earlier backfill; real snapshots win over rebuilt ones from the same day
+      recorded.filter(s => s.backfilled).forEach(s => store.delete([s.repoId, s.timestamp]))
+      const recordedDays = new Set(recorded.filter(s => !s.backfilled).map(s => Math.floor(s.timestamp / DAY_MS)))
+      points
+        .filter(point => !recordedDays.has(Math.floor(point.timestamp / DAY_MS)))
+        .forEach(point => store.put(point))
+    })
+  } catch {
+    // No IndexedDB: nowhere to keep the rebuilt history
+  }
+  return covered
+}
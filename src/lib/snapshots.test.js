@@ -0,0 +1,78 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { backfillStarHistory, recordSnapshot, getHistory } from './snapshots'
+import { server, API, makeRepo } from '../test/github'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = new Date('2024-06-30T12:00:00Z').getTime()
+
+// Serves the stargazer pages given as arrays of days-ago, with a Link header to the last one
+const serveStargazers = (repo, pages, lastPage = pages.length) => {
+  const requested = []
+  server.use(http.get(`${API}/repos/${repo.full_name}/stargazers`, ({ request }) => {
+    const page = Number(new URL(request.url).searchParams.get('page'))
+    requested.push(page)
+    const stars = (pages[page - 1] || []).map(daysAgo => ({ starred_at: new Date(NOW - daysAgo * DAY_MS).toISOString(), user: { login: 'someone' } }))
+    return HttpResponse.json(stars, {
+      headers: { Link: `<${API}/repos/${repo.full_name}/stargazers?per_page=100&page=${lastPage}>; rel="last"` }
+    })
+  }))
+  return requested
+}
+
+// Only the clock is faked; IndexedDB still needs real timers to run its transactions
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(NOW)
+})
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('backfillStarHistory', () => {
+  it('walks the stargazers back from the newest page until it passes the window start', async () => {
+    const repo = makeRepo(41, { stargazers_count: 300 })
+    const requested = serveStargazers(repo, [[40, 30], [10, 2.5], [1.5, 0.5]])
+
+    const covered = await backfillStarHistory(repo, { days: 3 })
+
+    expect(covered).toBe(NOW - 3 * DAY_MS)
+    // Page 1 is always fetched for the Link header; page 2 already reaches past the window
+    expect(requested).toEqual([1, 3, 2])
+    const history = await getHistory(repo.id)
+    expect(history.map(snapshot => [snapshot.timestamp, snapshot.stars, snapshot.backfilled])).toEqual([
+      [NOW - 3 * DAY_MS, 297, true],
+      [NOW - 2 * DAY_MS, 298, true],
+      [NOW - DAY_MS, 299, true]
+    ])
+  })
+
+  it('keeps recorded snapshots over rebuilt ones from the same day and replaces an earlier backfill', async () => {
+    const repo = makeRepo(42, { stargazers_count: 300 })
+    serveStargazers(repo, [[10, 2.5, 1.5, 0.5]])
+    vi.setSystemTime(NOW - 2 * DAY_MS)
+    await recordSnapshot(makeRepo(42, { stargazers_count: 280 }))
+    vi.setSystemTime(NOW)
+
+    await backfillStarHistory(repo, { days: 3 })
+    vi.setSystemTime(NOW + 60 * 1000)
+    await backfillStarHistory(repo, { days: 3 })
+
+    const history = await getHistory(repo.id)
+    expect(history.filter(snapshot => !snapshot.backfilled).map(snapshot => snapshot.stars)).toEqual([280])
+    // The recorded day keeps its real snapshot; the others come from the second backfill only
+    expect(history.filter(snapshot => snapshot.backfilled).map(snapshot => snapshot.timestamp)).toEqual([
+      NOW + 60 * 1000 - 3 * DAY_MS,
+      NOW + 60 * 1000 - DAY_MS
+    ])
+  })
+
+  it('refuses a repo whose stargazer list is too long to reach the latest stars', async () => {
+    const repo = makeRepo(43)
+    const requested = serveStargazers(repo, [[1]], 401)
+
+    await expect(backfillStarHistory(repo)).rejects.toThrow('40,000')
+    expect(requested).toEqual([1])
+  })
+})
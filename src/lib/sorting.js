@@ -0,0 +1,62 @@
+import { t } from './i18n'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Average stars gained per day over the repo's lifetime; brand new repos count as a day old
+export const starsPerDay = (repo, now = Date.now()) =>
+  repo.stargazers_count / Math.max(1, (now - new Date(repo.created_at).getTime()) / DAY)
+
+// `value` returns what to compare; `trending` keeps the star-velocity ranking from the search
+export const SORT_KEYS = [
+  { id: 'trending', label: t('sort.trending'), direction: 'asc' },
+  { id: 'stars', label: t('sort.stars'), direction: 'desc', value: repo => repo.stargazers_count },
+  { id: 'forks', label: t('sort.forks'), direction: 'desc', value: repo => repo.forks_count },
+  { id: 'starsPerDay', label: t('sort.starsPerDay'), direction: 'desc', value: repo => starsPerDay(repo) },
+  { id: 'issues', label: t('sort.issues'), direction: 'desc', value: repo => repo.open_issues_count ?? 0 },
+  { id: 'pushed', label: t('sort.pushed'), direction: 'desc', value: repo => repo.pushed_at || '' },
+  { id: 'name', label: t('sort.name'), direction: 'asc', value: repo => repo.full_name.toLowerCase() }
+]
+
+export const VIEWS = ['grid', 'list', 'table']
+
+const PREFS_STORAGE_KEY = 'github-trends-view'
+export const DEFAULT_VIEW_PREFS = { view: 'grid', sort: 'trending', direction: 'asc', hideSeen: false }
+
+export const loadViewPrefs = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFS_STORAGE_KEY))
+    if (VIEWS.includes(stored?.view) && SORT_KEYS.some(key => key.id === stored.sort)) {
+      return { ...DEFAULT_VIEW_PREFS, ...stored, direction: stored.direction === 'desc' ? 'desc' : 'asc' }
+    }
+  } catch {
+    // Corrupt or missing
+  }
+  return DEFAULT_VIEW_PREFS
+}
+
+export const saveViewPrefs = (prefs) => {
+  try {
+    localStorage.setItem(PREFS_STORAGE_KEY, JSON.stringify(prefs))
+  } catch {
+    // Storage unavailable: the choice just won't survive a reload
+  }
+}
+
+// Direction to use when switching to `sort`: the same key flips, a new one starts at its natural order
+export const nextDirection = (prefs, sort) => sort === prefs.sort
+  ? (prefs.direction === 'asc' ? 'desc' : 'asc')
+  : SORT_KEYS.find(key => key.id === sort).direction
+
+// A sorted copy of `repos`; the sort is stable so ties keep the trending order
+export const sortRepos = (repos, { sort, direction }) => {
+  const key = SORT_KEYS.find(({ id }) => id === sort)
+  const sign = direction === 'desc' ? -1 : 1
+  if (!key?.value) return direction === 'desc' ? [...repos].reverse() : repos
+
+  const values = new Map(repos.map(repo => [repo.id, key.value(repo)]))
+  return [...repos].sort((a, b) => {
+    const x = values.get(a.id)
+    const y = values.get(b.id)
+    return x < y ? -sign : x > y ? sign : 0
+  })
+}
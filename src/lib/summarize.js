@@ -0,0 +1,235 @@
+import { Lexer } from 'marked'
+import { t } from './i18n'
+
+const TARGET_LENGTH = 200
+const MAX_LENGTH = 300
+const MIN_PARAGRAPH_LENGTH = 30
+
+// Sections that never describe what the project is
+const SKIPPED_SECTIONS = /^(table of contents|contents|toc|install(ation|ing)?|getting started|quick ?start|setup|usage|build(ing)?|requirements|prerequisites|development|contributing|contributors|license|sponsors?|backers|acknowledg(e)?ments?|changelog|faq|badges|screenshots?|demo)\b/i
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+// Plain text of inline tokens plus how much of it sits inside links
+const inlineText = (tokens = []) => {
+  let text = ''
+  let linked = 0
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'image':
+      case 'html':
+        break
+      case 'br':
+        text += ' '
+        break
+      case 'codespan':
+        text += decodeEntities(token.text)
+        break
+      case 'link': {
+        const inner = inlineText(token.tokens)
+        text += inner.text
+        linked += inner.text.length
+        break
+      }
+      default:
+        if (token.tokens) {
+          const inner = inlineText(token.tokens)
+          text += inner.text
+          linked += inner.linked
+        } else {
+          text += decodeEntities(token.text || '')
+        }
+    }
+  }
+  return { text, linked }
+}
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()
+
+// Paragraph-like chunks of a raw HTML block such as <p align="center">…</p>; headings, images and
+// badges leave nothing behind
+const htmlCandidates = (html) => html
+  .replace(/<!--[\s\S]*?-->/g, ' ')
+  .replace(/<h[1-6]\b[^>]*>[\s\S]*?<\/h[1-6]>/gi, ' ')
+  .split(/<\/?(?:p|div|br|table|tr|td|th|ul|ol|li|details|summary|blockquote)\b[^>]*>/i)
+  .map(chunk => {
+    const text = stripTags(chunk)
+    const unlinked = stripTags(chunk.replace(/<a\b[^>]*>[\s\S]*?<\/a>/gi, ' '))
+    return { text, linked: text.length - unlinked.length }
+  })
+
+// Paragraph-like candidates in document order, skipping code, tables, lists and boilerplate sections
+const collectCandidates = (tokens) => {
+  const candidates = []
+  let skipLevel = null
+
+  for (const token of tokens) {
+    if (token.type === 'heading') {
+      if (skipLevel !== null && token.depth > skipLevel) continue
+      skipLevel = SKIPPED_SECTIONS.test(inlineText(token.tokens).text.trim()) ? token.depth : null
+      continue
+    }
+    if (skipLevel !== null) continue
+
+    if (token.type === 'paragraph') {
+      candidates.push(inlineText(token.tokens))
+    } else if (token.type === 'html') {
+      candidates.push(...htmlCandidates(token.raw))
+    } else if (token.type === 'blockquote') {
+      // Taglines are often quoted
+      token.tokens
+        .filter(inner => inner.type === 'paragraph')
+        .forEach(inner => candidates.push(inlineText(inner.tokens)))
+    }
+  }
+  return candidates
+}
+
+// reStructuredText section titles are underlined (and optionally overlined) with punctuation
+const RST_ADORNMENT = /^([=\-`:'"~^_*+#<>.])\1{2,}\s*$/
+const RST_LIST_ITEM = /^([-*+•]|#\.|\d+[.)]|\(\d+\))\s/
+
+// Plain text of an RST paragraph: roles, inline literals and emphasis unwrapped, hyperlink
+// references reduced to their text, substitutions (usually badges) dropped
+const rstInline = (text) => {
+  let linked = 0
+  const link = (label) => {
+    linked += label.length
+    return label
+  }
+  const plain = text
+    .replace(/``([^`]+)``/g, '$1')
+    .replace(/:[\w:+.-]+:`([^`]*)`/g, '$1')
+    .replace(/`([^`<]*?)\s*<[^>]*>`__?/g, (match, label) => link(label))
+    .replace(/`([^`]+)`__?/g, (match, label) => link(label))
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\|[^|\s][^|]*\|_{0,2}/g, '')
+    .replace(/\*\*([^*]+)\*\*|\*([^*]+)\*/g, '$1$2')
+    .replace(/(\w)__?(?=[\s.,;:!?)]|$)/g, '$1')
+    // "Example::" introduces a literal block and reads as "Example:"; a detached " ::" disappears
+    .replace(/\s+::$/, '')
+    .replace(/::$/, ':')
+  return { text: plain, linked }
+}
+
+// Paragraph candidates of a reStructuredText README, with the same section skipping as Markdown.
+// Directives, targets, comments, lists and indented (literal or quoted) blocks are left out.
+const rstCandidates = (text) => {
+  const candidates = []
+  const styles = []
+  let skipLevel = null
+
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.split('\n').filter(line => line.trim())
+    if (lines.length === 0) continue
+
+    const titleIndex = lines.findIndex((line, i) => i > 0 && RST_ADORNMENT.test(line) && !RST_ADORNMENT.test(lines[i - 1]))
+    if (titleIndex > 0 && titleIndex <= 2) {
+      const overlined = titleIndex === 2 && RST_ADORNMENT.test(lines[0])
+      const style = (overlined ? 'o' : '') + lines[titleIndex].trim()[0]
+      if (!styles.includes(style)) styles.push(style)
+      const depth = styles.indexOf(style) + 1
+      if (skipLevel !== null && depth > skipLevel) continue
+      skipLevel = SKIPPED_SECTIONS.test(lines[titleIndex - 1].trim()) ? depth : null
+      continue
+    }
+    if (skipLevel !== null) continue
+
+    const first = lines[0]
+    if (/^\s/.test(first) || /^(\.\.|__)(\s|$)/.test(first) || RST_LIST_ITEM.test(first) || /^:[^:]+:/.test(first)) continue
+    candidates.push(rstInline(lines.map(line => line.trim()).join(' ')))
+  }
+  return candidates
+}
+
+// Plain-text READMEs: every unindented block is a paragraph
+const textCandidates = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .split(/\n\s*\n/)
+  .filter(block => block.trim() && !/^\s/.test(block.replace(/^\n+/, '')))
+  .map(block => ({ text: block.replace(/\s+/g, ' ').trim(), linked: 0 }))
+
+const MARKDOWN_EXTENSIONS = ['md', 'markdown', 'mdown', 'mkd', 'mkdn']
+
+// How to read a README at `path`: 'markdown', 'rst', 'text', or null for formats such as AsciiDoc
+// or Org that aren't parsed. Without a path the text is taken to be Markdown.
+const readmeFormat = (path) => {
+  if (!path) return 'markdown'
+  const extension = path.match(/\.([^./]+)$/)?.[1].toLowerCase()
+  if (!extension || extension === 'txt' || extension === 'text') return 'text'
+  if (extension === 'rst' || extension === 'rest') return 'rst'
+  return MARKDOWN_EXTENSIONS.includes(extension) ? 'markdown' : null
+}
+
+const markdownCandidates = (markdown) => collectCandidates(Lexer.lex(markdown, { gfm: true }))
+
+const CANDIDATES_BY_FORMAT = { markdown: markdownCandidates, rst: rstCandidates, text: textCandidates }
+
+const isRealParagraph = ({ text, linked }) => {
+  const trimmed = text.trim()
+  if (trimmed.length < MIN_PARAGRAPH_LENGTH) return false
+  // Navigation rows like "Docs | Demo | Discord" are mostly link text
+  if (linked / trimmed.length > 0.6) return false
+  // CJK text has no spaces between words
+  if (CJK.test(trimmed)) return true
+  // Needs at least a few words, not a version string or a row of symbols
+  return trimmed.split(/\s+/).filter(word => /\p{L}/u.test(word)).length >= 4
+}
+
+// A full stop after these doesn't end the sentence
+const ABBREVIATION = /\b(e\.g|i\.e|etc|vs|cf|incl|approx)\.$/i
+
+// Split on sentence-ending punctuation followed by a space, so "v1.2" and "Node.js" stay whole
+const splitSentences = (text) => {
+  const sentences = []
+  const boundary = /[。！？]+|[.!?]+(?=\s|$)/gu
+  let start = 0
+  let match
+  while ((match = boundary.exec(text))) {
+    const end = match.index + match[0].length
+    if (ABBREVIATION.test(text.slice(start, end))) continue
+    sentences.push(text.slice(start, end))
+    start = end
+  }
+  if (start < text.length) sentences.push(text.slice(start))
+  return sentences
+}
+
+// Whole sentences up to about TARGET_LENGTH characters; a single long sentence is cut at a word
+const truncate = (text) => {
+  let summary = ''
+  for (const sentence of splitSentences(text)) {
+    if (summary && (summary + sentence).length > TARGET_LENGTH) break
+    summary += sentence
+  }
+  summary = summary.trim()
+  if (summary.length <= MAX_LENGTH) return summary
+  return summary.slice(0, MAX_LENGTH).replace(/\s+\S*$/, '') + '…'
+}
+
+// Summarize a README as the first real paragraph after the title, falling back to `fallback`.
+// `path` (README.md, README.rst, ...) says which markup the text is in.
+export const summarizeReadme = (text, fallback, path) => {
+  const fallbackText = fallback || t('card.noDescription')
+  const format = readmeFormat(path)
+  if (!text || !format) return fallbackText
+
+  let candidates
+  try {
+    candidates = CANDIDATES_BY_FORMAT[format](text)
+  } catch {
+    return fallbackText
+  }
+
+  const paragraph = candidates.find(isRealParagraph)
+  if (!paragraph) return fallbackText
+  return truncate(paragraph.text.replace(/\s+/g, ' ').trim())
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import { summarizeReadme } from './summarize'
+
+// Trimmed copies of real READMEs, named after their projects
+const fixtures = import.meta.glob('./__fixtures__/readmes/*', { query: '?raw', import: 'default', eager: true })
+const fileName = (key) => key.split('/').pop()
+const summarizeFixture = (name, fallback = 'Repo description') =>
+  summarizeReadme(fixtures[`./__fixtures__/readmes/${name}`], fallback, name)
+
+describe('summarizeReadme', () => {
+  describe('README fixtures', () => {
+    it.each([
+      // Badge rows above the first paragraph
+      ['dompurify.md', 'DOMPurify is a DOM-only, super-fast, uber-tolerant XSS sanitizer for HTML, MathML and SVG.'],
+      ['highlight.js.md', 'Highlight.js is a syntax highlighter written in JavaScript. It works in the browser as well as on the server.'],
+      // Centered HTML headers, logos and <picture> elements
+      ['tailwindcss.md', 'A utility-first CSS framework for rapidly building custom user interfaces.'],
+      ['msw.md', 'Industry standard API mocking for JavaScript.'],
+      ['react-testing-library.md', 'Simple and complete React DOM testing utilities that encourage good testing practices.'],
+      // Reference-style links and a floated logo
+      ['autoprefixer.md', 'PostCSS plugin to parse CSS and add vendor prefixes to CSS rules using values from Can I Use. It is recommended by Google and used in Twitter and Alibaba.'],
+      // A language switcher row before the tagline
+      ['nanoid.md', 'A tiny, secure, URL-friendly, unique string ID generator for JavaScript.'],
+      // Quoted taglines
+      ['chokidar.md', 'Minimal and efficient cross-platform file watching library'],
+      ['lucide-react.md', 'Implementation of the lucide icon library for react applications.'],
+      ['vant-weapp.md', 'Vant 是一个轻量、可靠的移动端组件库，于 2017 年开源。'],
+      // reStructuredText with substitution badges and inline literals
+      ['either.rst', 'The enum Either with variants Left and Right and trait implementations including Iterator, Read, Write.']
+    ])('summarizes %s', (name, expected) => {
+      expect(summarizeFixture(name)).toBe(expected)
+    })
+
+    it('falls back to the repo description when no paragraph describes the project', () => {
+      expect(summarizeFixture('concat-map.md', 'Concatenative mapdashery')).toBe('Concatenative mapdashery')
+    })
+
+    it('never leaks badge, table, code or markup text into any summary', () => {
+      for (const [key, text] of Object.entries(fixtures)) {
+        const summary = summarizeReadme(text, 'Repo description', fileName(key))
+        expect(summary).not.toMatch(/shields\.io|badgen|badge|\||```|``|npm install|yarn add|\[!\[|<[a-z]/i)
+      }
+    })
+  })
+
+  it('reads plain-text READMEs as paragraphs', () => {
+    const text = 'FROBNICATE\n\n    make install\n\nFrobnicate rewrites old configuration files into the new layout in place.\n'
+    expect(summarizeReadme(text, null, 'README')).toBe('Frobnicate rewrites old configuration files into the new layout in place.')
+  })
+
+  it('skips RST sections such as Installation', () => {
+    const rst = 'tool\n====\n\nInstallation\n------------\n\nRun the installer from the releases page first.\n\nAbout\n-----\n\nA small utility that converts CSV files into typed Parquet tables.\n'
+    expect(summarizeReadme(rst, null, 'README.rst')).toBe('A small utility that converts CSV files into typed Parquet tables.')
+  })
+
+  it('uses the description for README formats it cannot read', () => {
+    expect(summarizeReadme('= Title\n\nAn AsciiDoc paragraph that is long enough to count.', 'From the API', 'README.adoc')).toBe('From the API')
+  })
+
+  it('returns the fallback when there is no README', () => {
+    expect(summarizeReadme(null, 'From the API')).toBe('From the API')
+    expect(summarizeReadme('', null)).toBe('No description available')
+  })
+
+  it('keeps link text and drops images inside a paragraph', () => {
+    const markdown = 'A [fast](https://example.com) parser ![logo](logo.png) for **Markdown** documents written in Go.'
+    expect(summarizeReadme(markdown)).toBe('A fast parser for Markdown documents written in Go.')
+  })
+
+  it('skips navigation rows that are mostly links', () => {
+    const markdown = [
+      '[Website](https://a.dev) · [Docs](https://a.dev/docs) · [Changelog](https://a.dev/changes)',
+      '',
+      'A command line tool that keeps your shell history in sync across machines.'
+    ].join('\n')
+    expect(summarizeReadme(markdown)).toBe('A command line tool that keeps your shell history in sync across machines.')
+  })
+
+  it('skips nested headings inside a skipped section', () => {
+    const markdown = [
+      '# tool',
+      '## Installation',
+      '### From source',
+      'Clone the repository and run the build script to produce a binary.',
+      '## About',
+      'A small utility that converts CSV files into typed Parquet tables.'
+    ].join('\n\n')
+    expect(summarizeReadme(markdown)).toBe('A small utility that converts CSV files into typed Parquet tables.')
+  })
+
+  it("doesn't end a sentence at an abbreviation", () => {
+    const markdown = 'An embeddable vector store, e.g. for semantic search over documents. ' + 'It answers nearest-neighbour queries from an on-disk index. '.repeat(4)
+    expect(summarizeReadme(markdown)).toMatch(/^An embeddable vector store, e\.g\. for semantic search over documents\. It answers/)
+  })
+
+  it('cuts a single overlong sentence at a word boundary', () => {
+    const sentence = 'This library ' + 'does a great many things '.repeat(20) + 'well.'
+    const summary = summarizeReadme(sentence)
+    expect(summary.length).toBeLessThanOrEqual(301)
+    expect(summary.endsWith('…')).toBe(true)
+    expect(summary).not.toMatch(/\s…$/)
+  })
+})
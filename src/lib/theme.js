@@ -0,0 +1,37 @@
+// 'system' follows the OS setting; the other two pin the theme
+export const THEME_PREFERENCES = ['system', 'light', 'dark']
+
+// Keep in step with the inline script in index.html, which applies the theme before first paint
+const THEME_STORAGE_KEY = 'github-trends-theme'
+const THEME_COLORS = { dark: '#0f172a', light: '#f1f5f9' }
+export const LIGHT_QUERY = '(prefers-color-scheme: light)'
+
+export const loadThemePreference = () => {
+  try {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY)
+    return THEME_PREFERENCES.includes(stored) ? stored : 'system'
+  } catch {
+    return 'system'
+  }
+}
+
+export const saveThemePreference = (preference) => {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, preference)
+  } catch {
+    // Storage unavailable: the choice just won't survive a reload
+  }
+}
+
+export const resolveTheme = (preference, prefersLight) =>
+  preference === 'system' ? (prefersLight ? 'light' : 'dark') : preference
+
+// The next preference when cycling through them with a single button
+export const nextThemePreference = (preference) =>
+  THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length]
+
+// The palette swaps on html.light (see tailwind.config.js); the browser chrome follows through theme-color
+export const applyTheme = (theme) => {
+  document.documentElement.classList.toggle('light', theme === 'light')
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme])
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { resolveTheme, nextThemePreference, applyTheme, loadThemePreference, saveThemePreference } from './theme'
+
+describe('theme', () => {
+  afterEach(() => document.documentElement.classList.remove('light'))
+
+  it('follows the system only when set to', () => {
+    expect(resolveTheme('system', true)).toBe('light')
+    expect(resolveTheme('system', false)).toBe('dark')
+    expect(resolveTheme('dark', true)).toBe('dark')
+  })
+
+  it('cycles through the preferences', () => {
+    expect(nextThemePreference('system')).toBe('light')
+    expect(nextThemePreference('light')).toBe('dark')
+    expect(nextThemePreference('dark')).toBe('system')
+  })
+
+  it('remembers a valid preference and ignores anything else', () => {
+    expect(loadThemePreference()).toBe('system')
+    saveThemePreference('light')
+    expect(loadThemePreference()).toBe('light')
+    saveThemePreference('sepia')
+    expect(loadThemePreference()).toBe('system')
+  })
+
+  it('switches the palette through a class on the root element', () => {
+    applyTheme('light')
+    expect(document.documentElement).toHaveClass('light')
+    applyTheme('dark')
+    expect(document.documentElement).not.toHaveClass('light')
+  })
+})
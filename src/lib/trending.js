@@ -0,0 +1,89 @@
+import { GitHubApiError, RateLimitError } from './github'
+import { buildCandidateQueries, getSearchWindow } from './query'
+import { trackStarVelocity, compareByVelocity } from './snapshots'
+import { firstPageRequest, fetchSearchPage } from './search'
+import { putCachedValue, getCachedValue } from './cache'
+import { t } from './i18n'
+
+// The most recently fetched trending list, kept for offline use
+const LAST_LIST_KEY = 'trending:last'
+
+// Identifies the search behind a list, so an offline fallback can tell whether it still matches
+export const listKeyFor = ({ timeRange, languages, filters, text }) =>
+  JSON.stringify([timeRange, languages, filters, text])
+
+// Turn API failures into messages fit for the error banner
+const describeSearchError = (err, hasToken) => {
+  if (err instanceof RateLimitError) {
+    const seconds = Math.max(1, Math.ceil((err.resetAt - Date.now()) / 1000))
+    return t(hasToken ? 'errors.rateLimitRetry' : 'errors.rateLimitToken', { seconds })
+  }
+  if (err instanceof GitHubApiError) return t('errors.fetchRepositories', { message: err.message })
+  return null
+}
+
+// Fetch one page for each candidate query and return its items plus the request for the next page
+export const fetchSearchPages = async (requests, { hasToken = false } = {}) => {
+  try {
+    return await Promise.all(requests.map(request => fetchSearchPage(request)))
+  } catch (err) {
+    const message = describeSearchError(err, hasToken)
+    throw message ? new Error(message) : err
+  }
+}
+
+// Dedupe a batch of candidates against `seenIds` and rank it by star velocity
+export const rankCandidates = async (pages, seenIds, since) => {
+  const candidates = new Map()
+  pages.forEach(page => page.items.forEach(repo => {
+    if (!seenIds.has(repo.id)) candidates.set(repo.id, repo)
+  }))
+
+  const deltas = await trackStarVelocity([...candidates.values()], since)
+  return {
+    repos: [...candidates.values()].sort(compareByVelocity(deltas)),
+    deltas
+  }
+}
+
+// Run a trending search: the first page of every candidate query, ranked by star gain. Resolves
+// with { repos, deltas, nextPages }, where nextPages holds each query's next-page request or null.
+// GraphQL is used for the search when `hasToken`, since it needs authentication.
+export const searchTrending = async ({ timeRange, languages = [], text = '', filters, hasToken = false }) => {
+  const window = getSearchWindow(timeRange, filters)
+  const queries = buildCandidateQueries({ window, languages, text, filters })
+
+  const pages = await fetchSearchPages(queries.map(query => firstPageRequest(query, hasToken)), { hasToken })
+  const { repos, deltas } = await rankCandidates(pages, new Set(), window.since)
+  return { repos, deltas, nextPages: pages.map(page => page.next) }
+}
+
+// Fetch the next page of every query that has one. Repos already in `seenIds` are skipped, and
+// queries with no next page stay exhausted in the returned nextPages.
+export const searchMoreTrending = async ({ nextPages, seenIds, timeRange, filters, hasToken = false }) => {
+  const pages = await fetchSearchPages(nextPages.filter(Boolean), { hasToken })
+  const { since } = getSearchWindow(timeRange, filters)
+  const { repos, deltas } = await rankCandidates(pages, seenIds, since)
+
+  let pageIndex = 0
+  return { repos, deltas, nextPages: nextPages.map(request => request ? pages[pageIndex++].next : null) }
+}
+
+// Fold a refreshed first page into the list on screen: repos in both take the fresh numbers, new
+// ones join, and those loaded from later pages stay. The result is reranked by `deltas`.
+export const mergeRefreshedList = (shown, refreshed, deltas) => {
+  const fresh = new Map(refreshed.map(repo => [repo.id, repo]))
+  const shownIds = new Set(shown.map(repo => repo.id))
+  return [
+    ...shown.map(repo => fresh.get(repo.id) || repo),
+    ...refreshed.filter(repo => !shownIds.has(repo.id))
+  ].sort(compareByVelocity(deltas))
+}
+
+export const saveLastList = (key, repos, deltas) => putCachedValue(LAST_LIST_KEY, { key, repos, deltas })
+
+// The last saved list as { key, repos, deltas, fetchedAt }, or null
+export const loadLastList = async () => {
+  const cached = await getCachedValue(LAST_LIST_KEY)
+  return cached && { ...cached.data, fetchedAt: cached.fetchedAt }
+}
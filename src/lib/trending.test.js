@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { searchTrending, searchMoreTrending, mergeRefreshedList } from './trending'
+import { DEFAULT_ADVANCED_FILTERS } from './query'
+import { server, API, makeRepo, searchResponse } from '../test/github'
+
+const search = { timeRange: 'weekly', filters: DEFAULT_ADVANCED_FILTERS }
+
+describe('searchTrending', () => {
+  it('merges the candidate queries and ranks them by stars gained', async () => {
+    const { repos, deltas, nextPages } = await searchTrending(search)
+
+    // Repo 1 comes back from both queries but is listed once
+    expect(repos.map(repo => repo.id)).toEqual([1, 2, 3])
+    expect(deltas[1]).toMatchObject({ gained: 900, partial: false })
+    // No history for the established repo yet, so its gain is unknown
+    expect(deltas[3]).toBeNull()
+    expect(nextPages).toEqual([null, null, null])
+  })
+
+  it('finds a mid-size repo gaining stars fast, not just the most starred of its band', async () => {
+    const bandTop = makeRepo(30, { stargazers_count: 9990 })
+    const riser = makeRepo(31, { stargazers_count: 2000 })
+    server.use(http.get(`${API}/search/repositories`, ({ request }) => {
+      const params = new URL(request.url).searchParams
+      if (!params.get('q').startsWith('pushed:')) return HttpResponse.json(searchResponse([]))
+      // Sorted by stars the band starts at its top; sorted by latest update, with what's being starred now
+      return HttpResponse.json(searchResponse(params.get('sort') === 'updated' ? [riser] : [bandTop]))
+    }))
+
+    const { repos } = await searchTrending(search)
+    expect(repos.map(repo => repo.id)).toContain(31)
+  })
+
+  it('keeps the next-page URL from the Link header', async () => {
+    const next = `${API}/search/repositories?q=created&page=2`
+    server.use(http.get(`${API}/search/repositories`, () => HttpResponse.json(
+      searchResponse([makeRepo(1)], 120),
+      { headers: { Link: `<${next}>; rel="next", <${API}/search/repositories?q=created&page=4>; rel="last"` } }
+    )))
+
+    const { nextPages } = await searchTrending(search)
+    expect(nextPages).toEqual([next, next, next])
+  })
+
+  it('explains a rate limit and suggests a token when there is none', async () => {
+    server.use(http.get(`${API}/search/repositories`, () => HttpResponse.json(
+      { message: 'API rate limit exceeded' },
+      // A reset already in the past keeps the limit from blocking later tests
+      { status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) - 1) } }
+    )))
+
+    await expect(searchTrending(search)).rejects.toThrow(/Add a token for 5000 requests\/hour/)
+  })
+
+  it('reports other API failures with GitHub’s message', async () => {
+    server.use(http.get(`${API}/search/repositories`, () =>
+      HttpResponse.json({ message: 'Validation Failed' }, { status: 422 })
+    ))
+
+    await expect(searchTrending(search)).rejects.toThrow('Failed to fetch repositories: Validation Failed')
+  })
+})
+
+describe('searchMoreTrending', () => {
+  it('skips repos already listed and leaves exhausted queries exhausted', async () => {
+    server.use(http.get(`${API}/search/repositories`, () =>
+      HttpResponse.json(searchResponse([makeRepo(2), makeRepo(4, { created_at: new Date().toISOString() })]))
+    ))
+
+    const { repos, nextPages } = await searchMoreTrending({
+      ...search,
+      nextPages: [null, `${API}/search/repositories?q=pushed&page=2`],
+      seenIds: new Set([1, 2, 3])
+    })
+    expect(repos.map(repo => repo.id)).toEqual([4])
+    expect(nextPages).toEqual([null, null])
+  })
+})
+
+describe('mergeRefreshedList', () => {
+  it('updates repos in place, adds new ones and keeps those from later pages', () => {
+    const shown = [makeRepo(1), makeRepo(2), makeRepo(3)]
+    const refreshed = [makeRepo(1, { stargazers_count: 500 }), makeRepo(4)]
+    const merged = mergeRefreshedList(shown, refreshed, { 1: { gained: 10 }, 2: { gained: 30 }, 3: { gained: 5 }, 4: { gained: 20 } })
+    expect(merged.map(repo => repo.id)).toEqual([2, 4, 1, 3])
+    expect(merged.find(repo => repo.id === 1).stargazers_count).toBe(500)
+  })
+})
@@ -0,0 +1,109 @@
+import { DEFAULT_ADVANCED_FILTERS } from './query'
+
+export const TIME_RANGES = ['daily', 'weekly', 'monthly']
+// Top-level views, in the order the header lists them
+export const VIEWS = ['trending', 'analytics', 'watchlist', 'compare']
+
+export const DEFAULT_URL_STATE = {
+  timeRange: 'daily',
+  languages: [],
+  query: '',
+  expanded: null,
+  repo: null,
+  view: 'trending',
+  // Repos picked for the comparison view, as owner/name
+  compare: [],
+  filters: DEFAULT_ADVANCED_FILTERS
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// "10..500", "10.." or "..500" to a [min, max] pair of strings
+const parseRange = (value) => {
+  const [min = '', max = ''] = (value || '').split('..')
+  const clean = (n) => /^\d+$/.test(n) ? n : ''
+  return [clean(min), clean(max)]
+}
+
+const formatRange = (min, max) => (min || max) ? `${min}..${max}` : null
+
+const parseFilters = (params) => {
+  const [minStars, maxStars] = parseRange(params.get('stars'))
+  const [minForks, maxForks] = parseRange(params.get('forks'))
+  const from = params.get('from') || ''
+  const to = params.get('to') || ''
+  return {
+    minStars,
+    maxStars,
+    minForks,
+    maxForks,
+    topic: params.get('topic') || '',
+    license: params.get('license') || '',
+    dateField: params.get('date') === 'pushed' ? 'pushed' : 'created',
+    from: DATE_PATTERN.test(from) ? from : '',
+    to: DATE_PATTERN.test(to) ? to : '',
+    excludeArchived: params.get('archived') === 'false',
+    publicOnly: params.get('public') === '1',
+    excludeOwners: (params.get('exclude') || '').split(',').map(owner => owner.trim()).filter(Boolean),
+    apiSearch: params.get('api') === '1'
+  }
+}
+
+const writeFilters = (params, filters) => {
+  const entries = {
+    stars: formatRange(filters.minStars, filters.maxStars),
+    forks: formatRange(filters.minForks, filters.maxForks),
+    topic: filters.topic,
+    license: filters.license,
+    date: filters.dateField === 'pushed' ? 'pushed' : null,
+    from: filters.from,
+    to: filters.to,
+    archived: filters.excludeArchived ? 'false' : null,
+    public: filters.publicOnly ? '1' : null,
+    exclude: filters.excludeOwners.join(','),
+    api: filters.apiSearch ? '1' : null
+  }
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value) params.set(key, value)
+  })
+}
+
+const REPO_ROUTE = /^\/repo\/([^/]+)\/([^/]+)\/?$/
+// Top-level views other than the trending list, by path
+const VIEW_PATHS = { watchlist: '/watchlist', analytics: '/analytics', compare: '/compare' }
+
+// Read filter state from a location: /repo/:owner/:name?range=weekly&lang=Rust,Go&q=wasm&stars=100..&expanded=owner/name
+// (/watchlist, /analytics and /compare?compare=a/b,c/d select the other top-level views)
+export const parseUrlState = ({ pathname, search }) => {
+  const params = new URLSearchParams(search)
+  const range = params.get('range')
+  const route = pathname.match(REPO_ROUTE)
+
+  return {
+    timeRange: TIME_RANGES.includes(range) ? range : DEFAULT_URL_STATE.timeRange,
+    languages: (params.get('lang') || '').split(',').map(language => language.trim()).filter(Boolean),
+    query: params.get('q') || DEFAULT_URL_STATE.query,
+    expanded: params.get('expanded') || DEFAULT_URL_STATE.expanded,
+    repo: route ? `${decodeURIComponent(route[1])}/${decodeURIComponent(route[2])}` : null,
+    view: Object.keys(VIEW_PATHS).find(view => pathname.replace(/\/$/, '') === VIEW_PATHS[view]) || DEFAULT_URL_STATE.view,
+    compare: (params.get('compare') || '').split(',').filter(name => /^[\w.-]+\/[\w.-]+$/.test(name)),
+    filters: parseFilters(params)
+  }
+}
+
+// Build the path and query string for `state`, leaving defaults out so links stay short
+export const buildUrl = (state) => {
+  const params = new URLSearchParams()
+  if (state.timeRange !== DEFAULT_URL_STATE.timeRange) params.set('range', state.timeRange)
+  if (state.languages.length > 0) params.set('lang', state.languages.join(','))
+  if (state.query) params.set('q', state.query)
+  if (state.expanded) params.set('expanded', state.expanded)
+  if (state.compare.length > 0) params.set('compare', state.compare.join(','))
+  writeFilters(params, state.filters)
+
+  const path = state.repo
+    ? `/repo/${state.repo.split('/').map(encodeURIComponent).join('/')}`
+    : VIEW_PATHS[state.view] || '/'
+  const search = params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',')
+  return search ? `${path}?${search}` : path
+}
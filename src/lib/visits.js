@@ -0,0 +1,56 @@
+const VISITS_STORAGE_KEY = 'github-trends-visits'
+// Keep history for the most recently viewed lists only, and a bounded set of IDs for each
+const MAX_TRACKED_LISTS = 20
+const MAX_SEEN_PER_LIST = 500
+
+// Visits are tracked per time range and language combination, whatever order languages were picked in
+export const visitKey = (timeRange, languages) => `${timeRange}|${[...languages].sort().join(',')}`
+
+const loadVisits = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VISITS_STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// The list as it was last shown for `key`: { seen: [ids], ranks: { id: rank }, visitedAt }, or null
+export const getLastVisit = (key) => loadVisits()[key] || null
+
+// Remember `repos` (in ranked order) as seen for `key`
+export const recordVisit = (key, repos) => {
+  const visits = loadVisits()
+  const ids = repos.map(repo => repo.id)
+  const seen = [...new Set([...ids, ...(visits[key]?.seen || [])])].slice(0, MAX_SEEN_PER_LIST)
+  visits[key] = {
+    seen,
+    ranks: Object.fromEntries(ids.map((id, index) => [id, index + 1])),
+    visitedAt: Date.now()
+  }
+
+  const stale = Object.keys(visits)
+    .sort((a, b) => visits[b].visitedAt - visits[a].visitedAt)
+    .slice(MAX_TRACKED_LISTS)
+  stale.forEach(staleKey => delete visits[staleKey])
+
+  try {
+    localStorage.setItem(VISITS_STORAGE_KEY, JSON.stringify(visits))
+  } catch {
+    // Storage unavailable: every visit looks like the first
+  }
+}
+
+// Per repo ID, { seen, isNew, climbed } against `visit`. Nothing counts as new on the first visit
+// to a list, since there's nothing to compare with; `climbed` is the number of places gained.
+export const compareWithVisit = (visit, repos) => {
+  const seen = new Set(visit?.seen || [])
+  return Object.fromEntries(repos.map((repo, index) => {
+    const previousRank = visit?.ranks[repo.id]
+    const climbed = previousRank ? previousRank - (index + 1) : 0
+    return [repo.id, {
+      seen: seen.has(repo.id),
+      isNew: !!visit && !seen.has(repo.id),
+      climbed: climbed > 0 ? climbed : 0
+    }]
+  }))
+}
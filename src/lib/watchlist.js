@@ -0,0 +1,146 @@
+import { t } from './i18n'
+
+const STORAGE_KEY = 'github-trends-watchlist'
+const EXPORT_FORMAT = 'github-trends-collections'
+export const DEFAULT_COLLECTION_ID = 'watchlist'
+
+const createId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+
+const emptyState = () => ({
+  collections: [{ id: DEFAULT_COLLECTION_ID, name: t('watchlist.defaultName'), createdAt: new Date().toISOString(), repos: [] }]
+})
+
+// What we keep of a repo: enough to render it offline plus the numbers to diff against later
+export const toBookmark = (repo) => ({
+  id: repo.id,
+  fullName: repo.full_name,
+  owner: { login: repo.owner.login, avatar_url: repo.owner.avatar_url },
+  name: repo.name,
+  htmlUrl: repo.html_url,
+  description: repo.description,
+  language: repo.language,
+  bookmarkedAt: new Date().toISOString(),
+  baseline: {
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    pushedAt: repo.pushed_at
+  }
+})
+
+const isValidBookmark = (bookmark) =>
+  bookmark && typeof bookmark.id === 'number' && typeof bookmark.fullName === 'string' && bookmark.baseline
+
+const isValidCollection = (collection) =>
+  collection && typeof collection.name === 'string' && Array.isArray(collection.repos)
+
+export const loadWatchlist = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored && Array.isArray(stored.collections) && stored.collections.length > 0) {
+      return stored
+    }
+  } catch {
+    // Corrupt or missing: start over
+  }
+  return emptyState()
+}
+
+export const saveWatchlist = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+}
+
+export const subscribeWatchlist = (listener) => {
+  // Another tab changed the watchlist
+  const handleStorage = (e) => {
+    if (e.key === STORAGE_KEY) listener(loadWatchlist())
+  }
+  window.addEventListener('storage', handleStorage)
+  return () => window.removeEventListener('storage', handleStorage)
+}
+
+const updateCollection = (state, collectionId, update) => ({
+  ...state,
+  collections: state.collections.map(collection =>
+    collection.id === collectionId ? update(collection) : collection
+  )
+})
+
+export const addBookmark = (state, collectionId, repo) => updateCollection(state, collectionId, collection =>
+  collection.repos.some(bookmark => bookmark.id === repo.id)
+    ? collection
+    : { ...collection, repos: [...collection.repos, toBookmark(repo)] }
+)
+
+export const removeBookmark = (state, collectionId, repoId) => updateCollection(state, collectionId, collection => ({
+  ...collection,
+  repos: collection.repos.filter(bookmark => bookmark.id !== repoId)
+}))
+
+// `repo`, if given, becomes the new collection's first bookmark
+export const createCollection = (state, name, repo = null) => ({
+  ...state,
+  collections: [...state.collections, {
+    id: createId(),
+    name,
+    createdAt: new Date().toISOString(),
+    repos: repo ? [toBookmark(repo)] : []
+  }]
+})
+
+export const renameCollection = (state, collectionId, name) =>
+  updateCollection(state, collectionId, collection => ({ ...collection, name }))
+
+// The default collection always stays so a bookmark click has somewhere to go
+export const deleteCollection = (state, collectionId) => collectionId === DEFAULT_COLLECTION_ID
+  ? state
+  : { ...state, collections: state.collections.filter(collection => collection.id !== collectionId) }
+
+// Ids of the collections holding `repoId`
+export const collectionsContaining = (state, repoId) => state.collections
+  .filter(collection => collection.repos.some(bookmark => bookmark.id === repoId))
+  .map(collection => collection.id)
+
+export const exportCollections = (state, collectionIds = state.collections.map(collection => collection.id)) =>
+  JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    collections: state.collections
+      .filter(collection => collectionIds.includes(collection.id))
+      .map(({ name, createdAt, repos }) => ({ name, createdAt, repos }))
+  }, null, 2)
+
+// Merge exported collections into `state`: same-named collections gain the repos they lack,
+// others are added. Throws on input that isn't an export.
+export const importCollections = (state, json) => {
+  const data = JSON.parse(json)
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.collections)) {
+    throw new Error(t('errors.notCollectionsExport'))
+  }
+
+  let next = state
+  for (const imported of data.collections.filter(isValidCollection)) {
+    const repos = imported.repos.filter(isValidBookmark)
+    const existing = next.collections.find(collection => collection.name === imported.name)
+    if (existing) {
+      next = updateCollection(next, existing.id, collection => ({
+        ...collection,
+        repos: [
+          ...collection.repos,
+          ...repos.filter(repo => !collection.repos.some(bookmark => bookmark.id === repo.id))
+        ]
+      }))
+    } else {
+      next = {
+        ...next,
+        collections: [...next.collections, {
+          id: createId(),
+          name: imported.name,
+          createdAt: imported.createdAt || new Date().toISOString(),
+          repos
+        }]
+      }
+    }
+  }
+  return next
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import {
+  loadWatchlist,
+  addBookmark,
+  createCollection,
+  exportCollections,
+  importCollections,
+  toBookmark,
+  DEFAULT_COLLECTION_ID
+} from './watchlist'
+import { makeRepo } from '../test/github'
+
+const reposOf = (state, name) => state.collections.find(collection => collection.name === name).repos.map(bookmark => bookmark.id)
+
+describe('importCollections', () => {
+  it('adds missing repos to same-named collections and adds new collections', () => {
+    const exported = exportCollections(createCollection(
+      addBookmark(addBookmark(loadWatchlist(), DEFAULT_COLLECTION_ID, makeRepo(1)), DEFAULT_COLLECTION_ID, makeRepo(2)),
+      'Rust tools',
+      makeRepo(3)
+    ))
+    const local = addBookmark(addBookmark(loadWatchlist(), DEFAULT_COLLECTION_ID, makeRepo(2)), DEFAULT_COLLECTION_ID, makeRepo(4))
+
+    const merged = importCollections(local, exported)
+
+    expect(merged.collections.map(collection => collection.name)).toEqual(['Watchlist', 'Rust tools'])
+    // Repo 2 was already bookmarked; it isn't listed twice and the local order comes first
+    expect(reposOf(merged, 'Watchlist')).toEqual([2, 4, 1])
+    expect(reposOf(merged, 'Rust tools')).toEqual([3])
+    expect(merged.collections[0].id).toBe(DEFAULT_COLLECTION_ID)
+  })
+
+  it('skips malformed collections and bookmarks', () => {
+    const json = JSON.stringify({
+      format: 'github-trends-collections',
+      version: 1,
+      collections: [
+        { name: 'Broken', repos: 'not a list' },
+        { name: 'Mixed', repos: [{ id: 'x', fullName: 'a/b' }, toBookmark(makeRepo(5))] }
+      ]
+    })
+
+    const merged = importCollections(loadWatchlist(), json)
+    expect(merged.collections.map(collection => collection.name)).toEqual(['Watchlist', 'Mixed'])
+    expect(reposOf(merged, 'Mixed')).toEqual([5])
+  })
+
+  it('rejects a file that isn’t a collections export', () => {
+    expect(() => importCollections(loadWatchlist(), JSON.stringify({ repos: [] }))).toThrow('collections export')
+    expect(() => importCollections(loadWatchlist(), 'not json')).toThrow(SyntaxError)
+  })
+})
@@ -0,0 +1,395 @@
+// German strings; anything missing falls back to English
+export default {
+  'app.tagline': 'Angesagte Repositories entdecken',
+  'app.search': 'Repositories durchsuchen...',
+  'app.searchLabel': 'Repositories durchsuchen',
+  'app.views': 'Ansichten',
+  'app.tokenSet': 'GitHub-Token gesetzt (5000 Anfragen/Stunde)',
+  'app.tokenMissing': 'GitHub-Token für 5000 Anfragen/Stunde hinzufügen',
+  'app.alerts': 'Benachrichtigungsregeln',
+  'app.cacheSettings': 'Cache-Einstellungen',
+  'app.emptyHint': 'Versuche es mit einer anderen Suche oder anderen Filtern',
+  'app.showing': { one: '{count} Repository im Trend', other: '{count} Repositorys im Trend' },
+  'app.newSinceVisit': ', {count} neu seit deinem letzten Besuch',
+  'app.basicInfo': ' (nur Basisdaten)',
+  'app.retry': 'Erneut versuchen',
+  'app.loadMore': 'Mehr laden',
+  'app.noResults': 'Keine Repositorys gefunden',
+  'app.backTo': 'Zurück zu {view}',
+  'app.repoLoadError': '{name} konnte nicht geladen werden',
+  'app.exportTitle': 'Repositorys im Trend {window}',
+  'app.exportTitleLanguages': '{languages}-Repositorys im Trend {window}',
+  'app.allSeen': 'Du hast alle Repos dieser Liste schon gesehen',
+  'app.allSeenHint': 'Es werden nur Repos angezeigt, die seit deinem letzten Besuch neu sind.',
+  'app.showSeen': 'Wieder anzeigen',
+
+  'theme.system': 'Systemdesign',
+  'theme.light': 'Helles Design',
+  'theme.dark': 'Dunkles Design',
+  'theme.switch': '{current}, zu {next} wechseln',
+
+  'range.daily': 'Täglich',
+  'range.weekly': 'Wöchentlich',
+  'range.monthly': 'Monatlich',
+  'window.daily': 'heute',
+  'window.weekly': 'diese Woche',
+  'window.monthly': 'diesen Monat',
+  'window.since': 'seit {date}',
+
+  'filters.timeRange': 'Zeitraum:',
+  'filters.advanced': 'Erweitert',
+  'filters.advancedCount': 'Erweitert ({count})',
+
+  'view.sort': 'Sortierung',
+  'view.ascending': 'Aufsteigend, zu absteigend wechseln',
+  'view.descending': 'Absteigend, zu aufsteigend wechseln',
+  'view.hideSeen': 'Beim letzten Besuch gesehene Repos ausblenden',
+  'view.layout': 'Darstellung',
+  'view.grid': 'Raster',
+  'view.list': 'Kompakte Liste',
+  'view.table': 'Tabelle',
+
+  'card.created': 'Erstellt {time}',
+  'card.openOnGitHub': '{name} auf GitHub öffnen',
+  'card.noDescription': 'Keine Beschreibung verfügbar',
+  'card.showDetails': 'Details anzeigen',
+  'card.hideDetails': 'Details ausblenden',
+  'card.viewReadme': 'README anzeigen',
+  'card.compare': 'Vergleichen',
+  'card.compareFull': 'Es werden bereits so viele Repos wie möglich verglichen',
+  'card.moreTopics': '{count} weitere Themen',
+  'card.stars': { one: '{count} Stern', other: '{count} Sterne' },
+  'card.forks': { one: '{count} Fork', other: '{count} Forks' },
+  'card.starsGained': '+{count} Sterne {window}',
+  'card.historySince': 'Der Sternverlauf reicht nur bis {date} zurück',
+  'card.tracking': 'Sterne werden erfasst',
+  'card.trackingHint': 'Der Sternverlauf beginnt jetzt; Zuwächse erscheinen später',
+  'card.sparkline': 'Sterne in den letzten 30 Tagen',
+  'card.sparklineCaption': 'Sterne, letzte 30 Tage',
+
+  'visit.new': 'NEU',
+  'visit.newHint': 'Beim letzten Besuch nicht in dieser Liste',
+  'visit.climbed': {
+    one: 'Seit dem letzten Besuch {count} Platz aufgestiegen',
+    other: 'Seit dem letzten Besuch {count} Plätze aufgestiegen'
+  },
+
+  'token.label': 'GitHub Personal Access Token (optional)',
+  'token.checking': 'Wird geprüft…',
+  'token.save': 'Speichern',
+  'token.clear': 'Löschen',
+  'token.remember': 'Auf diesem Gerät merken (unverschlüsselt im lokalen Speicher; sonst beim Schließen des Tabs vergessen)',
+  'token.signIn': 'Mit GitHub anmelden',
+  'token.enterCode': 'Diesen Code bei GitHub eingeben:',
+  'token.waiting': 'Warte auf GitHub…',
+  'token.cancel': 'Abbrechen',
+  'token.signedIn': 'Angemeldet als {login}',
+  'token.perRepository': 'Berechtigungen pro Repository',
+  'token.scopes': 'Scopes: {scopes}',
+  'token.noScopes': 'keine Scopes (nur öffentliche Daten)',
+  'token.remaining': '{remaining} von {limit} Anfragen in dieser Stunde übrig',
+  'token.limits': 'Ohne Token: 60 Anfragen/Stunde. Mit Token: 5000 Anfragen/Stunde.',
+  'token.create': 'Token erstellen',
+  'token.kind.fineGrained': 'Feingranularer Personal Access Token',
+  'token.kind.classic': 'Klassischer Personal Access Token',
+  'token.kind.oauth': 'OAuth-Token',
+  'token.kind.other': 'Token',
+  'token.rejected': 'GitHub hat diesen Token abgelehnt. Er ist eventuell falsch eingegeben, abgelaufen oder widerrufen.',
+  'token.serviceError': 'Der Anmeldedienst antwortete mit {status}',
+  'token.codeExpired': 'Der Code ist abgelaufen, bevor er eingegeben wurde. Starte neu, um einen neuen zu erhalten.',
+  'token.signInCancelled': 'Die Anmeldung wurde auf GitHub abgebrochen.',
+  'token.misconfigured': 'Der Anmeldedienst ist falsch konfiguriert (unbekannte Client-ID).',
+  'token.deviceFlowDisabled': 'Der Device Flow ist für diese OAuth-App nicht aktiviert.',
+  'token.signInFailed': 'Anmeldung fehlgeschlagen',
+
+  'advanced.title': 'Erweiterte Filter',
+  'advanced.min': 'Min.',
+  'advanced.max': 'Max.',
+  'advanced.stars': 'Sterne',
+  'advanced.forks': 'Forks',
+  'advanced.topic': 'Thema',
+  'advanced.topicPlaceholder': 'z. B. machine-learning',
+  'advanced.license': 'Lizenz',
+  'advanced.anyLicense': 'Beliebige Lizenz',
+  'advanced.dateField': 'Datum bezieht sich auf',
+  'advanced.dateField.created': 'Erstellung',
+  'advanced.dateField.pushed': 'Letzten Push',
+  'advanced.dateRange': 'Eigener Zeitraum (ersetzt den Zeitraum oben)',
+  'advanced.from': 'Von',
+  'advanced.to': 'Bis',
+  'advanced.excludeOwners': 'Eigentümer ausschließen',
+  'advanced.excludeOwnersPlaceholder': 'z. B. microsoft, google',
+  'advanced.excludeArchived': 'Archivierte Repos ausblenden',
+  'advanced.publicOnly': 'Nur öffentliche Repos',
+  'advanced.apiSearch': 'Suchtext an GitHub senden',
+  'advanced.apiSearchHint': 'Sonst filtert das Suchfeld nur die bereits geladenen Repos.',
+  'advanced.reset': 'Zurücksetzen',
+  'advanced.close': 'Schließen',
+  'advanced.apply': 'Filter anwenden',
+  'advanced.minOf': '{label} mindestens',
+  'advanced.maxOf': '{label} höchstens',
+
+  'languages.all': 'Alle Sprachen',
+  'languages.more': '{first} +{count}',
+  'languages.search': 'Sprachen durchsuchen...',
+  'languages.inResults': 'In diesen Ergebnissen',
+  'languages.others': 'Alle Sprachen',
+  'languages.loading': 'Sprachen werden geladen…',
+  'languages.noMatches': 'Keine passenden Sprachen',
+  'languages.clear': 'Leeren',
+  'languages.done': 'Fertig',
+  'languages.searchLabel': 'Sprachen durchsuchen',
+  'languages.label': 'Sprachen',
+
+  'analytics.empty': 'Nichts zu analysieren',
+  'analytics.total': { one: '{count} angesagtes Repository {window}.', other: '{count} angesagte Repositories {window}.' },
+  'analytics.comparison': 'Die Veränderungen vergleichen die Anteile unter den {current} in diesem Zeitraum erstellten Repositories mit den {previous} vom {since} bis {until} erstellten.',
+  'analytics.loadingPrevious': 'Vorheriger Zeitraum wird geladen…',
+  'analytics.previousError': 'Der vorherige Zeitraum konnte nicht geladen werden: {error}',
+  'analytics.topics': 'Häufigste Themen',
+  'analytics.noTopics': 'Noch keine Themen; sie erscheinen, sobald die Karten ihre Details laden.',
+  'analytics.languages': 'Anteil der Sprachen',
+  'analytics.unknownLanguage': 'Unbekannt',
+  'analytics.noLanguages': 'Keine Sprachen erkannt.',
+  'analytics.ownerTypes': 'Organisationen und Personen',
+  'analytics.ownerType.Organization': 'Organisation',
+  'analytics.ownerType.User': 'Person',
+  'analytics.noOwners': 'Keine Eigentümer.',
+  'analytics.owners': 'Eigentümer mit den meisten angesagten Repos',
+  'analytics.repoCount': { one: '{count} Repo', other: '{count} Repos' },
+  'analytics.filterBy': 'Nach {name} filtern',
+  'analytics.share': '{count} · {percent} %',
+  'analytics.points': '{count} Pp.',
+  'analytics.noChange': '±0',
+
+  'insights.license': 'Lizenz',
+  'insights.noLicense': 'Keine Lizenz',
+  'insights.homepage': 'Website',
+  'insights.release': 'Neuestes Release',
+  'insights.noReleases': 'Keine Releases',
+  'insights.releaseError': 'Release nicht verfügbar',
+  'insights.loadingRelease': 'Release wird geladen…',
+  'insights.issues': 'Offene Issues',
+  'insights.issueCount': '{count} offene Issues',
+  'insights.pulls': 'Offene Pull Requests',
+  'insights.pullCount': '{count} offene PRs',
+  'insights.pullsError': 'PRs nicht verfügbar',
+  'insights.loadingPulls': 'PRs werden gezählt…',
+  'insights.community': 'Community-Status',
+  'insights.missing': 'Fehlt: {files}',
+  'insights.file.readme': 'README',
+  'insights.file.code_of_conduct': 'Verhaltenskodex',
+  'insights.file.contributing': 'Leitfaden für Beiträge',
+  'insights.file.license': 'Lizenz',
+  'insights.file.issue_template': 'Issue-Vorlage',
+  'insights.file.pull_request_template': 'PR-Vorlage',
+  'insights.languages': 'Sprachen',
+  'insights.noCode': 'Kein Code erkannt',
+  'insights.otherLanguages': 'Andere',
+  'insights.percent': '{percent} %',
+  'insights.contributors': 'Wichtigste Mitwirkende',
+  'insights.noContributors': 'Noch keine Mitwirkenden',
+  'insights.contributorCommits': { one: '{login} · {count} Commit', other: '{login} · {count} Commits' },
+  'insights.activity': 'Commit-Aktivität',
+  'insights.commits': { one: '{count} Commit in den letzten {weeks} Wochen', other: '{count} Commits in den letzten {weeks} Wochen' },
+  'insights.weekCommits': { one: 'Woche vom {date}: {count} Commit', other: 'Woche vom {date}: {count} Commits' },
+  'insights.computing': 'GitHub berechnet die Commit-Statistik noch; schau gleich noch einmal vorbei',
+  'insights.noCommits': 'Noch keine Commits',
+  'insights.loadError': 'Konnte nicht von GitHub geladen werden',
+
+  'watchlist.remove': 'Aus der Sammlung entfernen',
+  'watchlist.pushed': 'Letzter Push {date}',
+  'watchlist.pushedSince': 'Letzter Push {date} (neu seit dem Speichern)',
+  'watchlist.saved': 'Gespeichert {date}',
+  'watchlist.confirmDelete': { one: '„{name}“ und das {count} Lesezeichen darin löschen?', other: '„{name}“ und die {count} Lesezeichen darin löschen?' },
+  'watchlist.invalidJson': 'Diese Datei ist kein gültiges JSON',
+  'watchlist.newCollection': 'Neue Sammlung',
+  'watchlist.create': 'Erstellen',
+  'watchlist.name': 'Name der Sammlung',
+  'watchlist.save': 'Speichern',
+  'watchlist.cancel': 'Abbrechen',
+  'watchlist.rename': 'Sammlung umbenennen',
+  'watchlist.delete': 'Sammlung löschen',
+  'watchlist.refresh': 'Aktualisieren',
+  'watchlist.export': 'Exportieren',
+  'watchlist.exportHint': 'Diese Sammlung als JSON exportieren',
+  'watchlist.exportAll': 'Alle exportieren',
+  'watchlist.exportAllHint': 'Alle Sammlungen als JSON exportieren',
+  'watchlist.import': 'Importieren',
+  'watchlist.importError': 'Import fehlgeschlagen: {error}',
+  'watchlist.refreshedAt': 'Veränderungen seit dem Speichern der Repos, Stand {time}',
+  'watchlist.empty': 'Noch nichts gespeichert',
+  'watchlist.emptyHint': 'Mit dem Lesezeichen-Knopf an einem Repository landet es hier',
+  'watchlist.defaultName': 'Merkliste',
+  'watchlist.saveQuota': 'Deine Lesezeichen konnten nicht gespeichert werden: Der Speicher dieses Browsers ist voll. Sie gehen verloren, wenn die Seite geschlossen wird.',
+  'watchlist.saveFailed': 'Deine Lesezeichen konnten nicht gespeichert werden ({error}). Sie gehen verloren, wenn die Seite geschlossen wird.',
+
+  'compare.empty': 'Noch nichts zu vergleichen',
+  'compare.emptyHint': 'Bei zwei oder drei Repo-Karten „Vergleichen“ ankreuzen',
+  'compare.metric': 'Kennzahl',
+  'compare.remove': '{name} aus dem Vergleich entfernen',
+  'compare.best': '(bester Wert)',
+  'compare.loadError': '{name} konnte nicht geladen werden',
+  'compare.stars': 'Sterne',
+  'compare.forks': 'Forks',
+  'compare.velocity': 'Sterne pro Tag {window}',
+  'compare.lifetimeVelocity': 'Sterne pro Tag, Durchschnitt seit Erstellung',
+  'compare.age': 'Alter',
+  'compare.days': { one: '{count} Tag', other: '{count} Tage' },
+  'compare.months': { one: '{count} Monat', other: '{count} Monate' },
+  'compare.years': { one: '{count} Jahr', other: '{count} Jahre' },
+  'compare.license': 'Lizenz',
+  'compare.pushed': 'Letzter Push',
+  'compare.release': 'Neuestes Release',
+  'compare.issues': 'Offene Issues',
+  'compare.contributors': 'Mitwirkende',
+  'compare.commits': 'Commits, letzte {weeks} Wochen',
+  'compare.topics': 'Themen',
+  'compare.summary': 'README-Zusammenfassung',
+
+  'cache.title': 'Cache',
+  'cache.usage': { one: '{size} belegt durch {count} zwischengespeicherte Antwort', other: '{size} belegt durch {count} zwischengespeicherte Antworten' },
+  'cache.measuring': 'Cache wird gemessen…',
+  'cache.limit': 'Größenlimit',
+  'cache.clear': 'Cache leeren',
+  'cache.hint': 'Repo-Details werden {info} Minuten und READMEs {readme} Minuten aufbewahrt und danach mit GitHub abgeglichen. Mit Token zählen unveränderte Antworten nicht gegen dein Anfragelimit.',
+
+  'shortcuts.title': 'Tastenkürzel',
+  'shortcuts.palette': 'Befehlspalette öffnen',
+  'shortcuts.next': 'Nächstes Repository auswählen',
+  'shortcuts.previous': 'Vorheriges Repository auswählen',
+  'shortcuts.open': 'Ausgewähltes Repository auf GitHub öffnen',
+  'shortcuts.expand': 'Ausgewählte Karte auf- oder zuklappen (Rasteransicht)',
+  'shortcuts.bookmark': 'Ausgewähltes Repository merken',
+  'shortcuts.search': 'Suchfeld fokussieren',
+  'shortcuts.help': 'Diese Hilfe anzeigen',
+  'shortcuts.close': 'Dialoge schließen',
+
+  'dialog.close': 'Schließen',
+
+  'export.button': 'Exportieren',
+  'export.format': 'Format',
+  'export.fields': 'Felder',
+  'export.enriched': 'Für {enriched} von {total} Repositorys sind README-Zusammenfassungen geladen; die übrigen verwenden ihre GitHub-Beschreibung.',
+  'export.download': { one: '{count} Repository herunterladen', other: '{count} Repositorys herunterladen' },
+  'export.generated': { one: 'Erstellt am {date} · {count} Repository', other: 'Erstellt am {date} · {count} Repositorys' },
+  'export.field.name': 'Name',
+  'export.field.url': 'URL',
+  'export.field.stars': 'Sterne',
+  'export.field.forks': 'Forks',
+  'export.field.language': 'Sprache',
+  'export.field.topics': 'Themen',
+  'export.field.description': 'Beschreibung',
+
+  'sort.trending': 'Trend',
+  'sort.stars': 'Sterne',
+  'sort.forks': 'Forks',
+  'sort.starsPerDay': 'Sterne/Tag',
+  'sort.issues': 'Offene Issues',
+  'sort.pushed': 'Letzter Push',
+  'sort.name': 'Name',
+
+  'table.name': 'Repository',
+  'table.language': 'Sprache',
+  'table.stars': 'Sterne',
+  'table.trending': 'Dazugewonnen',
+  'table.forks': 'Forks',
+  'table.starsPerDay': 'Sterne/Tag',
+  'table.issues': 'Issues',
+  'table.pushed': 'Letzter Push',
+  'table.actions': 'Aktionen',
+
+  'nav.trending': 'Trends',
+  'nav.analytics': 'Analyse',
+  'nav.watchlist': 'Merkliste',
+  'nav.compare': 'Vergleich',
+
+  'rateLimit.title': 'GitHub-API-Limit erreicht',
+  'rateLimit.search': 'Suchanfragen',
+  'rateLimit.core': 'Anfragen für Repository-Details',
+  'rateLimit.graphql': 'GraphQL-Anfragen',
+  'rateLimit.perMinute': '({limit}/Min.)',
+  'rateLimit.perHour': '({limit}/Std.)',
+  'rateLimit.resume': 'wieder möglich in {time}',
+  'rateLimit.tokenHint': 'Füge oben einen GitHub-Token hinzu, um 5000 Anfragen pro Stunde zu erhalten.',
+  'rateLimit.addToken': 'Token hinzufügen',
+
+  'offline.title': 'Zwischengespeicherte Daten vom {time}',
+  'offline.stale': 'Das ist die zuletzt geladene Liste, sie passt also eventuell nicht zu den aktuellen Filtern.',
+
+  'palette.timeRange': 'Zeitraum',
+  'palette.goTo': 'Gehe zu',
+  'palette.settings': 'Einstellungen',
+  'palette.help': 'Hilfe',
+  'palette.repository': 'Repository',
+  'palette.language': 'Sprache',
+  'palette.token': 'GitHub-Token',
+  'palette.cache': 'Cache-Einstellungen',
+  'palette.alerts': 'Benachrichtigungsregeln',
+  'palette.shortcuts': 'Tastenkürzel',
+  'palette.allLanguages': 'Alle Sprachen',
+  'palette.openTyped': '{name} öffnen',
+  'palette.title': 'Befehlspalette',
+  'palette.placeholder': 'Befehl, Sprache oder Repository eingeben…',
+  'palette.noMatches': 'Keine passenden Befehle',
+
+  'readme.title': 'README von {name}',
+  'readme.openOnGitHub': 'README von {name} auf GitHub öffnen',
+  'readme.missing': 'Für dieses Repository konnte keine README geladen werden.',
+
+  'chart.stars': 'Sterne',
+  'chart.forks': 'Forks',
+  'chart.watchers': 'Beobachter',
+  'chart.openIssues': 'Offene Issues',
+  'chart.days': { one: '{count} Tag', other: '{count} Tage' },
+  'chart.noHistory': 'Noch kein Verlauf aufgezeichnet.',
+  'chart.oneSnapshot': 'Bisher nur ein Schnappschuss.',
+  'chart.snapshotHint': 'Während du browst, wird höchstens stündlich ein Schnappschuss erstellt.',
+  'chart.label': '{metric} in den letzten {days} Tagen',
+  'chart.today': 'Heute',
+  'chart.point': '{time}: {count}',
+  'chart.backfilling': 'Sternverlauf wird neu aufgebaut…',
+  'chart.backfill': 'Sternverlauf von GitHub neu aufbauen',
+  'chart.backfillCost': 'Verwendet bis zu {count} API-Anfragen.',
+
+  'bookmark.saved': 'Gemerkt',
+  'bookmark.add': 'Merken',
+  'bookmark.saveTo': 'Speichern in',
+  'bookmark.newCollection': 'Neue Sammlung',
+  'bookmark.create': 'Sammlung anlegen',
+  'bookmark.menu': '{name} in einer Sammlung speichern',
+
+  'tray.count': 'Vergleichen {count}/{max}',
+  'tray.pickTwo': 'Wähle mindestens zwei Repos aus',
+  'tray.compare': 'Vergleichen',
+  'tray.clear': 'Leeren',
+
+  'alerts.title': 'Benachrichtigungsregeln',
+  'alerts.topic': 'Thema',
+  'alerts.topicPlaceholder': 'Thema, z. B. llm',
+  'alerts.language': 'Sprache',
+  'alerts.minStars': 'Mehr als so viele Sterne',
+  'alerts.minStarsPlaceholder': 'Mehr als N Sterne',
+  'alerts.add': 'Hinzufügen',
+  'alerts.remove': 'Regel {rule} entfernen',
+  'alerts.empty': 'Noch keine Regeln.',
+  'alerts.hint': 'Solange dieser Tab geöffnet ist, wird die Trendliste alle {minutes} Minuten aktualisiert, und Repos, die zu einer Regel passen, lösen einmal pro Repo eine Benachrichtigung aus.',
+  'alerts.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+  'alerts.denied': 'Benachrichtigungen sind für diese Seite in deinen Browsereinstellungen blockiert.',
+  'alerts.allow': 'Benachrichtigungen erlauben',
+  'alerts.ruleTopic': 'Thema {topic}',
+  'alerts.ruleStars': '>{count} Sterne',
+  'alerts.oneTrending': '{name} ist im Trend',
+  'alerts.manyTrending': '{count} Repos im Trend passen zu {rule}',
+  'alerts.saveQuota': 'Die Regeln konnten nicht gespeichert werden: Der Speicher dieses Browsers ist voll. Sie gehen verloren, wenn die Seite geschlossen wird.',
+  'alerts.saveFailed': 'Die Regeln konnten nicht gespeichert werden ({error}). Sie gehen verloren, wenn die Seite geschlossen wird.',
+
+  'errors.rateLimitRetry': 'GitHub-API-Limit überschritten. Versuch es in {seconds} s erneut.',
+  'errors.rateLimitToken': 'GitHub-API-Limit überschritten. Füge einen Token für 5000 Anfragen pro Stunde hinzu oder versuch es in {seconds} s erneut.',
+  'errors.fetchRepositories': 'Repositorys konnten nicht geladen werden: {message}',
+  'errors.rateLimit': 'GitHub-{resource}-API-Limit überschritten',
+  'errors.network': 'GitHub ist nicht erreichbar. Prüfe deine Verbindung.',
+  'errors.requestFailed': 'GitHub-API-Anfrage fehlgeschlagen ({status})',
+  'errors.backfillLimit': 'GitHub listet nur die ersten {count} Sterne-Vergeber auf, daher lässt sich der jüngste Verlauf von {name} nicht neu aufbauen',
+  'errors.notCollectionsExport': 'Das ist keine exportierte Sammlungsdatei'
+}
@@ -0,0 +1,396 @@
+// English strings, also the fallback for keys other catalogs don't have. `{name}` placeholders
+// are filled in by t(); entries with one/other forms are picked by the `count` variable.
+export default {
+  'app.tagline': 'Discover trending repositories',
+  'app.search': 'Search repositories...',
+  'app.searchLabel': 'Search repositories',
+  'app.views': 'Views',
+  'app.tokenSet': 'GitHub token set (5000 requests/hour)',
+  'app.tokenMissing': 'Add a GitHub token for 5000 requests/hour',
+  'app.alerts': 'Notification rules',
+  'app.cacheSettings': 'Cache settings',
+  'app.emptyHint': 'Try adjusting your search or filters',
+  'app.showing': { one: 'Showing {count} trending repository', other: 'Showing {count} trending repositories' },
+  'app.newSinceVisit': ', {count} new since your last visit',
+  'app.basicInfo': ' (basic info only)',
+  'app.retry': 'Retry',
+  'app.loadMore': 'Load more',
+  'app.noResults': 'No repositories found',
+  'app.backTo': 'Back to {view}',
+  'app.repoLoadError': 'Couldn\'t load {name}',
+  'app.exportTitle': 'Trending repositories {window}',
+  'app.exportTitleLanguages': 'Trending {languages} repositories {window}',
+  'app.allSeen': 'You\'ve seen every repo in this list',
+  'app.allSeenHint': 'Only repos new since your last visit are shown.',
+  'app.showSeen': 'Show them again',
+
+  'theme.system': 'System theme',
+  'theme.light': 'Light theme',
+  'theme.dark': 'Dark theme',
+  'theme.switch': '{current}, switch to {next}',
+
+  'range.daily': 'Daily',
+  'range.weekly': 'Weekly',
+  'range.monthly': 'Monthly',
+  'window.daily': 'today',
+  'window.weekly': 'this week',
+  'window.monthly': 'this month',
+  'window.since': 'since {date}',
+
+  'filters.timeRange': 'Time Range:',
+  'filters.advanced': 'Advanced',
+  'filters.advancedCount': 'Advanced ({count})',
+
+  'view.sort': 'Sort',
+  'view.ascending': 'Ascending, switch to descending',
+  'view.descending': 'Descending, switch to ascending',
+  'view.hideSeen': 'Hide repos already seen on a previous visit',
+  'view.layout': 'Layout',
+  'view.grid': 'Grid',
+  'view.list': 'Compact list',
+  'view.table': 'Table',
+
+  'card.created': 'Created {time}',
+  'card.openOnGitHub': 'Open {name} on GitHub',
+  'card.noDescription': 'No description available',
+  'card.showDetails': 'Show details',
+  'card.hideDetails': 'Hide details',
+  'card.viewReadme': 'View README',
+  'card.compare': 'Compare',
+  'card.compareFull': 'Comparing the maximum number of repos already',
+  'card.moreTopics': '{count} more topics',
+  'card.stars': { one: '{count} star', other: '{count} stars' },
+  'card.forks': { one: '{count} fork', other: '{count} forks' },
+  'card.starsGained': '+{count} stars {window}',
+  'card.historySince': 'Star history only goes back to {date}',
+  'card.tracking': 'Tracking stars',
+  'card.trackingHint': 'Star history starts now; check back later for gains',
+  'card.sparkline': 'Stars over the last 30 days',
+  'card.sparklineCaption': 'Stars, last 30 days',
+
+  'visit.new': 'NEW',
+  'visit.newHint': 'Not in this list on your last visit',
+  'visit.climbed': {
+    one: 'Climbed {count} place since your last visit',
+    other: 'Climbed {count} places since your last visit'
+  },
+
+  'token.label': 'GitHub Personal Access Token (optional)',
+  'token.checking': 'Checking…',
+  'token.save': 'Save',
+  'token.clear': 'Clear',
+  'token.remember': 'Remember on this device (stored unencrypted in local storage; otherwise forgotten when the tab closes)',
+  'token.signIn': 'Sign in with GitHub',
+  'token.enterCode': 'Enter this code on GitHub:',
+  'token.waiting': 'Waiting for GitHub…',
+  'token.cancel': 'Cancel',
+  'token.signedIn': 'Signed in as {login}',
+  'token.perRepository': 'permissions set per repository',
+  'token.scopes': 'scopes: {scopes}',
+  'token.noScopes': 'no scopes (public data only)',
+  'token.remaining': '{remaining} of {limit} requests left this hour',
+  'token.limits': 'Without token: 60 requests/hour. With token: 5000 requests/hour.',
+  'token.create': 'Create token',
+  'token.kind.fineGrained': 'Fine-grained personal access token',
+  'token.kind.classic': 'Classic personal access token',
+  'token.kind.oauth': 'OAuth token',
+  'token.kind.other': 'Token',
+  'token.rejected': 'GitHub rejected this token. It may be mistyped, expired or revoked.',
+  'token.serviceError': 'Sign-in service responded with {status}',
+  'token.codeExpired': 'The code expired before it was entered. Start again to get a new one.',
+  'token.signInCancelled': 'Sign-in was cancelled on GitHub.',
+  'token.misconfigured': 'The sign-in service is misconfigured (unknown client id).',
+  'token.deviceFlowDisabled': 'Device flow is not enabled for this OAuth app.',
+  'token.signInFailed': 'Sign-in failed',
+
+  'advanced.title': 'Advanced filters',
+  'advanced.min': 'Min',
+  'advanced.max': 'Max',
+  'advanced.stars': 'Stars',
+  'advanced.forks': 'Forks',
+  'advanced.topic': 'Topic',
+  'advanced.topicPlaceholder': 'e.g. machine-learning',
+  'advanced.license': 'License',
+  'advanced.anyLicense': 'Any license',
+  'advanced.dateField': 'Date applies to',
+  'advanced.dateField.created': 'Created',
+  'advanced.dateField.pushed': 'Last push',
+  'advanced.dateRange': 'Custom date range (overrides time range)',
+  'advanced.from': 'From date',
+  'advanced.to': 'To date',
+  'advanced.excludeOwners': 'Exclude owners',
+  'advanced.excludeOwnersPlaceholder': 'e.g. microsoft, google',
+  'advanced.excludeArchived': 'Hide archived repos',
+  'advanced.publicOnly': 'Public repos only',
+  'advanced.apiSearch': 'Send search text to GitHub',
+  'advanced.apiSearchHint': 'Otherwise the search box only filters repos already loaded.',
+  'advanced.reset': 'Reset',
+  'advanced.close': 'Close',
+  'advanced.apply': 'Apply filters',
+  'advanced.minOf': 'Minimum {label}',
+  'advanced.maxOf': 'Maximum {label}',
+
+  'languages.all': 'All Languages',
+  'languages.more': '{first} +{count}',
+  'languages.search': 'Search languages...',
+  'languages.inResults': 'In these results',
+  'languages.others': 'All languages',
+  'languages.loading': 'Loading languages…',
+  'languages.noMatches': 'No matching languages',
+  'languages.clear': 'Clear',
+  'languages.done': 'Done',
+  'languages.searchLabel': 'Search languages',
+  'languages.label': 'Languages',
+
+  'analytics.empty': 'Nothing to analyze',
+  'analytics.total': { one: '{count} trending repository {window}.', other: '{count} trending repositories {window}.' },
+  'analytics.comparison': 'Changes compare shares among the {current} repositories created in this period with the {previous} created {since}–{until}.',
+  'analytics.loadingPrevious': 'Loading the previous period…',
+  'analytics.previousError': 'Couldn\'t load the previous period: {error}',
+  'analytics.topics': 'Top topics',
+  'analytics.noTopics': 'No topics yet; they fill in as cards load their details.',
+  'analytics.languages': 'Language share',
+  'analytics.unknownLanguage': 'Unknown',
+  'analytics.noLanguages': 'No languages detected.',
+  'analytics.ownerTypes': 'Organizations vs users',
+  'analytics.ownerType.Organization': 'Organization',
+  'analytics.ownerType.User': 'User',
+  'analytics.noOwners': 'No owners.',
+  'analytics.owners': 'Owners with the most trending repos',
+  'analytics.repoCount': { one: '{count} repo', other: '{count} repos' },
+  'analytics.filterBy': 'Filter by {name}',
+  'analytics.share': '{count} · {percent}%',
+  'analytics.points': '{count} pt',
+  'analytics.noChange': '±0',
+
+  'insights.license': 'License',
+  'insights.noLicense': 'No license',
+  'insights.homepage': 'Homepage',
+  'insights.release': 'Latest release',
+  'insights.noReleases': 'No releases',
+  'insights.releaseError': 'Release unavailable',
+  'insights.loadingRelease': 'Loading release…',
+  'insights.issues': 'Open issues',
+  'insights.issueCount': '{count} open issues',
+  'insights.pulls': 'Open pull requests',
+  'insights.pullCount': '{count} open PRs',
+  'insights.pullsError': 'PRs unavailable',
+  'insights.loadingPulls': 'Counting PRs…',
+  'insights.community': 'Community health',
+  'insights.missing': 'Missing: {files}',
+  'insights.file.readme': 'README',
+  'insights.file.code_of_conduct': 'Code of conduct',
+  'insights.file.contributing': 'Contributing guide',
+  'insights.file.license': 'License',
+  'insights.file.issue_template': 'Issue template',
+  'insights.file.pull_request_template': 'PR template',
+  'insights.languages': 'Languages',
+  'insights.noCode': 'No code detected',
+  'insights.otherLanguages': 'Other',
+  'insights.percent': '{percent}%',
+  'insights.contributors': 'Top contributors',
+  'insights.noContributors': 'No contributors yet',
+  'insights.contributorCommits': { one: '{login} · {count} commit', other: '{login} · {count} commits' },
+  'insights.activity': 'Commit activity',
+  'insights.commits': { one: '{count} commit in the last {weeks} weeks', other: '{count} commits in the last {weeks} weeks' },
+  'insights.weekCommits': { one: 'Week of {date}: {count} commit', other: 'Week of {date}: {count} commits' },
+  'insights.computing': 'GitHub is still computing commit stats; check back shortly',
+  'insights.noCommits': 'No commits yet',
+  'insights.loadError': 'Couldn\'t load from GitHub',
+
+  'watchlist.remove': 'Remove from collection',
+  'watchlist.pushed': 'Last push {date}',
+  'watchlist.pushedSince': 'Last push {date} (new since bookmarked)',
+  'watchlist.saved': 'Saved {date}',
+  'watchlist.confirmDelete': { one: 'Delete "{name}" and its {count} bookmark?', other: 'Delete "{name}" and its {count} bookmarks?' },
+  'watchlist.invalidJson': 'That file is not valid JSON',
+  'watchlist.newCollection': 'New collection',
+  'watchlist.create': 'Create',
+  'watchlist.name': 'Collection name',
+  'watchlist.save': 'Save',
+  'watchlist.cancel': 'Cancel',
+  'watchlist.rename': 'Rename collection',
+  'watchlist.delete': 'Delete collection',
+  'watchlist.refresh': 'Refresh',
+  'watchlist.export': 'Export',
+  'watchlist.exportHint': 'Export this collection as JSON',
+  'watchlist.exportAll': 'Export all',
+  'watchlist.exportAllHint': 'Export every collection as JSON',
+  'watchlist.import': 'Import',
+  'watchlist.importError': 'Import failed: {error}',
+  'watchlist.refreshedAt': 'Changes since each repo was bookmarked, as of {time}',
+  'watchlist.empty': 'Nothing saved yet',
+  'watchlist.emptyHint': 'Use the bookmark button on any repository to add it here',
+  'watchlist.defaultName': 'Watchlist',
+  'watchlist.saveQuota': 'Your bookmarks couldn\'t be saved: this browser\'s storage is full. They will be lost when the page closes.',
+  'watchlist.saveFailed': 'Your bookmarks couldn\'t be saved ({error}). They will be lost when the page closes.',
+
+  'compare.empty': 'Nothing to compare yet',
+  'compare.emptyHint': 'Tick "Compare" on two or three repo cards',
+  'compare.metric': 'Metric',
+  'compare.remove': 'Remove {name} from comparison',
+  'compare.best': '(best)',
+  'compare.loadError': 'Couldn\'t load {name}',
+  'compare.stars': 'Stars',
+  'compare.forks': 'Forks',
+  'compare.velocity': 'Stars per day {window}',
+  'compare.lifetimeVelocity': 'Stars per day, lifetime average',
+  'compare.age': 'Age',
+  'compare.days': { one: '{count} day', other: '{count} days' },
+  'compare.months': { one: '{count} month', other: '{count} months' },
+  'compare.years': { one: '{count} year', other: '{count} years' },
+  'compare.license': 'License',
+  'compare.pushed': 'Last push',
+  'compare.release': 'Latest release',
+  'compare.issues': 'Open issues',
+  'compare.contributors': 'Contributors',
+  'compare.commits': 'Commits, last {weeks} weeks',
+  'compare.topics': 'Topics',
+  'compare.summary': 'README summary',
+
+  'cache.title': 'Cache',
+  'cache.usage': { one: '{size} used by {count} cached response', other: '{size} used by {count} cached responses' },
+  'cache.measuring': 'Measuring cache…',
+  'cache.limit': 'Size limit',
+  'cache.clear': 'Clear cache',
+  'cache.hint': 'Repo details are kept for {info} minutes and READMEs for {readme} minutes, then revalidated with GitHub. With a token, unchanged responses don\'t count against your rate limit.',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.palette': 'Open the command palette',
+  'shortcuts.next': 'Select the next repository',
+  'shortcuts.previous': 'Select the previous repository',
+  'shortcuts.open': 'Open the selected repository on GitHub',
+  'shortcuts.expand': 'Expand or collapse the selected card (grid view)',
+  'shortcuts.bookmark': 'Bookmark the selected repository',
+  'shortcuts.search': 'Focus the search box',
+  'shortcuts.help': 'Show this help',
+  'shortcuts.close': 'Close dialogs',
+
+  'dialog.close': 'Close',
+
+  'export.button': 'Export',
+  'export.format': 'Format',
+  'export.fields': 'Fields',
+  'export.enriched': '{enriched} of {total} repositories have README summaries loaded; the rest use their GitHub description.',
+  'export.download': { one: 'Download {count} repository', other: 'Download {count} repositories' },
+  'export.generated': { one: 'Generated {date} · {count} repository', other: 'Generated {date} · {count} repositories' },
+  'export.field.name': 'Name',
+  'export.field.url': 'URL',
+  'export.field.stars': 'Stars',
+  'export.field.forks': 'Forks',
+  'export.field.language': 'Language',
+  'export.field.topics': 'Topics',
+  'export.field.description': 'Description',
+
+  'sort.trending': 'Trending',
+  'sort.stars': 'Stars',
+  'sort.forks': 'Forks',
+  'sort.starsPerDay': 'Stars/day',
+  'sort.issues': 'Open issues',
+  'sort.pushed': 'Last push',
+  'sort.name': 'Name',
+
+  'table.name': 'Repository',
+  'table.language': 'Language',
+  'table.stars': 'Stars',
+  'table.trending': 'Gained',
+  'table.forks': 'Forks',
+  'table.starsPerDay': 'Stars/day',
+  'table.issues': 'Issues',
+  'table.pushed': 'Last push',
+  'table.actions': 'Actions',
+
+  'nav.trending': 'Trending',
+  'nav.analytics': 'Analytics',
+  'nav.watchlist': 'Watchlist',
+  'nav.compare': 'Compare',
+
+  'rateLimit.title': 'GitHub API rate limit reached',
+  'rateLimit.search': 'Search requests',
+  'rateLimit.core': 'Repository details requests',
+  'rateLimit.graphql': 'GraphQL requests',
+  'rateLimit.perMinute': '({limit}/min)',
+  'rateLimit.perHour': '({limit}/hr)',
+  'rateLimit.resume': 'resume in {time}',
+  'rateLimit.tokenHint': 'Add a GitHub token above for 5000 requests/hour.',
+  'rateLimit.addToken': 'Add Token',
+
+  'offline.title': 'Showing cached data from {time}',
+  'offline.stale': 'This is the last list loaded, so it may not match the current filters.',
+
+  'palette.timeRange': 'Time range',
+  'palette.goTo': 'Go to',
+  'palette.settings': 'Settings',
+  'palette.help': 'Help',
+  'palette.repository': 'Repository',
+  'palette.language': 'Language',
+  'palette.token': 'GitHub token',
+  'palette.cache': 'Cache settings',
+  'palette.alerts': 'Notification rules',
+  'palette.shortcuts': 'Keyboard shortcuts',
+  'palette.allLanguages': 'All languages',
+  'palette.openTyped': 'Open {name}',
+  'palette.title': 'Command palette',
+  'palette.placeholder': 'Type a command, language or repository…',
+  'palette.noMatches': 'No matching commands',
+
+  'readme.title': 'README for {name}',
+  'readme.openOnGitHub': 'Open the README of {name} on GitHub',
+  'readme.missing': 'This repository has no README we could load.',
+
+  'chart.stars': 'Stars',
+  'chart.forks': 'Forks',
+  'chart.watchers': 'Watchers',
+  'chart.openIssues': 'Open issues',
+  'chart.days': { one: '{count} day', other: '{count} days' },
+  'chart.noHistory': 'No history recorded yet.',
+  'chart.oneSnapshot': 'Only one snapshot so far.',
+  'chart.snapshotHint': 'Snapshots are taken at most hourly while you browse.',
+  'chart.label': '{metric} over the last {days} days',
+  'chart.today': 'Today',
+  'chart.point': '{time}: {count}',
+  'chart.backfilling': 'Rebuilding star history…',
+  'chart.backfill': 'Rebuild star history from GitHub',
+  'chart.backfillCost': 'Uses up to {count} API requests.',
+
+  'bookmark.saved': 'Bookmarked',
+  'bookmark.add': 'Bookmark',
+  'bookmark.saveTo': 'Save to',
+  'bookmark.newCollection': 'New collection',
+  'bookmark.create': 'Create collection',
+  'bookmark.menu': 'Save {name} to a collection',
+
+  'tray.count': 'Compare {count}/{max}',
+  'tray.pickTwo': 'Pick at least two repos',
+  'tray.compare': 'Compare',
+  'tray.clear': 'Clear',
+
+  'alerts.title': 'Notification rules',
+  'alerts.topic': 'Topic',
+  'alerts.topicPlaceholder': 'Topic, e.g. llm',
+  'alerts.language': 'Language',
+  'alerts.minStars': 'More than this many stars',
+  'alerts.minStarsPlaceholder': 'More than N stars',
+  'alerts.add': 'Add',
+  'alerts.remove': 'Remove rule {rule}',
+  'alerts.empty': 'No rules yet.',
+  'alerts.hint': 'While this tab is open, the trending list is refreshed every {minutes} minutes and repos matching a rule trigger a notification, once per repo.',
+  'alerts.unsupported': 'This browser doesn’t support notifications.',
+  'alerts.denied': 'Notifications are blocked for this site in your browser settings.',
+  'alerts.allow': 'Allow notifications',
+  'alerts.ruleTopic': 'topic {topic}',
+  'alerts.ruleStars': '>{count} stars',
+  'alerts.oneTrending': '{name} is trending',
+  'alerts.manyTrending': '{count} trending repos match {rule}',
+  'alerts.saveQuota': 'Rules couldn\'t be saved: this browser\'s storage is full. They will be lost when the page closes.',
+  'alerts.saveFailed': 'Rules couldn\'t be saved ({error}). They will be lost when the page closes.',
+
+  'errors.rateLimitRetry': 'GitHub API rate limit exceeded. Please retry in {seconds}s.',
+  'errors.rateLimitToken': 'GitHub API rate limit exceeded. Add a token for 5000 requests/hour, or retry in {seconds}s.',
+  'errors.fetchRepositories': 'Failed to fetch repositories: {message}',
+  'errors.rateLimit': 'GitHub {resource} API rate limit exceeded',
+  'errors.network': 'Can\'t reach GitHub. Check your connection.',
+  'errors.requestFailed': 'GitHub API request failed ({status})',
+  'errors.backfillLimit': 'GitHub only lists the first {count} stargazers, so recent history can\'t be rebuilt for {name}',
+  'errors.notCollectionsExport': 'Not a collections export file'
+}
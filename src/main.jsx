@@ -1,8 +1,21 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { getLanguage } from './lib/i18n'
 import './index.css'
 
+// Screen readers pick their voice from the page language
+document.documentElement.lang = getLanguage()
+
+// The dev server rebuilds modules on every change, so only production builds are cached for offline use
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Offline support is a bonus; the app works without it
+    })
+  })
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,64 @@
+import { http, HttpResponse } from 'msw'
+import { setupServer } from 'msw/node'
+
+export const API = 'https://api.github.com'
+
+// A REST search/repos result with everything the app reads; override what a test cares about
+export const makeRepo = (id, overrides = {}) => {
+  const owner = overrides.owner?.login || `owner${id}`
+  const name = overrides.name || `repo${id}`
+  return {
+    id,
+    name,
+    full_name: `${owner}/${name}`,
+    owner: { login: owner, avatar_url: `https://avatars.example/${owner}.png`, type: 'User' },
+    html_url: `https://github.com/${owner}/${name}`,
+    description: `Description of ${name}`,
+    homepage: null,
+    language: 'JavaScript',
+    topics: [],
+    license: null,
+    stargazers_count: 100,
+    forks_count: 10,
+    watchers_count: 100,
+    open_issues_count: 5,
+    created_at: '2024-01-01T00:00:00Z',
+    pushed_at: '2024-01-02T00:00:00Z',
+    ...overrides
+  }
+}
+
+// Repos created inside the window, and established ones pushed inside it
+export const createdRepos = [
+  makeRepo(1, { stargazers_count: 900, created_at: new Date().toISOString() }),
+  makeRepo(2, { stargazers_count: 300, created_at: new Date().toISOString() })
+]
+export const pushedRepos = [
+  makeRepo(3, { stargazers_count: 50000 }),
+  // Also matched by the created: query; the list must only show it once
+  createdRepos[0]
+]
+
+export const searchResponse = (items, totalCount = items.length) => ({ total_count: totalCount, incomplete_results: false, items })
+
+// The REST search endpoint answers each candidate query from the fixtures above
+export const handlers = [
+  http.get(`${API}/search/repositories`, ({ request }) => {
+    const q = new URL(request.url).searchParams.get('q')
+    return HttpResponse.json(searchResponse(q.startsWith('pushed:') ? pushedRepos : createdRepos))
+  }),
+  http.get(`${API}/repos/:owner/:repo/readme`, () =>
+    HttpResponse.json({ message: 'Not Found' }, { status: 404 })
+  ),
+  http.get(`${API}/user`, ({ request }) => {
+    if (request.headers.get('Authorization') !== 'Bearer good-token') {
+      return HttpResponse.json({ message: 'Bad credentials' }, { status: 401 })
+    }
+    return HttpResponse.json(
+      { login: 'octocat', name: 'The Octocat', avatar_url: 'https://avatars.example/octocat.png' },
+      { headers: { 'X-OAuth-Scopes': '', 'X-RateLimit-Limit': '5000', 'X-RateLimit-Remaining': '4999', 'X-RateLimit-Reset': '0' } }
+    )
+  })
+]
+
+export const server = setupServer(...handlers)
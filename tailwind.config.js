@@ -1,3 +1,40 @@
+import colors from 'tailwindcss/colors'
+import plugin from 'tailwindcss/plugin'
+
+// Components are styled against the dark palette. Slate and the accent colours resolve through CSS
+// variables instead, so the light theme (html.light) swaps in its own shades without a variant on
+// every class: slate flips from dark surfaces to light ones and accent text darkens to stay legible.
+const THEMED = ['slate', 'purple', 'pink', 'green', 'red', 'amber', 'blue', 'sky']
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950']
+
+// Shades drawn in place of others, per theme. White text on purple-500, red-500 or sky-500 is too
+// faint, so buttons get the next shade down in both themes.
+const SHARED = {
+  purple: { 500: '600', 600: '700' },
+  red: { 500: '600', 600: '700' },
+  sky: { 500: '600', 600: '700' }
+}
+const DARK = {
+  ...SHARED,
+  slate: { 500: '400' }
+}
+const ACCENT_TEXT = { 300: '800', 400: '700' }
+const LIGHT = {
+  slate: { 50: '950', 100: '900', 200: '800', 300: '700', 400: '600', 500: '600', 600: '300', 700: '200', 800: 'white', 900: '100' },
+  purple: { ...SHARED.purple, ...ACCENT_TEXT },
+  red: { ...SHARED.red, ...ACCENT_TEXT },
+  // The offline banner's body text is sky-200
+  sky: { ...SHARED.sky, ...ACCENT_TEXT, 200: '900' },
+  ...Object.fromEntries(['pink', 'green', 'amber', 'blue'].map(name => [name, ACCENT_TEXT]))
+}
+
+const rgb = (hex) => hex.slice(1).match(/../g).map(part => parseInt(part, 16)).join(' ')
+
+const variables = (remap) => Object.fromEntries(THEMED.flatMap(name => SHADES.map(shade => {
+  const use = remap[name]?.[shade] ?? shade
+  return [`--${name}-${shade}`, rgb(use === 'white' ? '#ffffff' : colors[name][use])]
+})))
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -5,7 +42,17 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: Object.fromEntries(THEMED.map(name => [
+        name,
+        Object.fromEntries(SHADES.map(shade => [shade, `rgb(var(--${name}-${shade}) / <alpha-value>)`]))
+      ]))
+    },
   },
-  plugins: [],
+  plugins: [
+    plugin(({ addBase }) => addBase({
+      ':root': variables(DARK),
+      ':root.light': variables(LIGHT)
+    }))
+  ],
 }
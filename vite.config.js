@@ -1,6 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import * as linguist from 'linguist-languages'
+
+// linguist-languages re-exports each language under names like "C++", which the build target can't
+// express, so the fields the app reads are written out as a plain data module at build time
+const LINGUIST_MODULE = 'virtual:linguist-languages'
+const RESOLVED_LINGUIST_MODULE = `\0${LINGUIST_MODULE}`
+
+const linguistLanguages = () => ({
+  name: 'linguist-languages',
+  resolveId: (id) => id === LINGUIST_MODULE ? RESOLVED_LINGUIST_MODULE : null,
+  load: (id) => {
+    if (id !== RESOLVED_LINGUIST_MODULE) return null
+    const languages = Object.values(linguist).map(({ name, color, type, aliases }) => ({ name, color, type, aliases }))
+    return `export default ${JSON.stringify(languages)}`
+  }
+})
+
+// The service worker precaches the hashed bundles of the build it ships with. Their names are only
+// known once the bundle is written, so they go out as a script the worker imports; a new build
+// changes that script, which is also what makes browsers install the new worker.
+const PRECACHE_MANIFEST = 'precache-manifest.js'
+
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(options, bundle) {
+    const files = Object.keys(bundle).filter(fileName => fileName.startsWith('assets/')).sort().map(fileName => `/${fileName}`)
+    this.emitFile({
+      type: 'asset',
+      fileName: PRECACHE_MANIFEST,
+      source: `self.PRECACHE_FILES = ${JSON.stringify(files, null, 2)}\n`
+    })
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), linguistLanguages(), precacheManifest()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js'
+  }
 })